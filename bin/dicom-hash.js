@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview dicom-hash - single entry point for every tool of this project.
+ *
+ * Usage: dicom-hash <command> [arguments] [options]
+ *        dicom-hash <command> --help
+ */
+const { EXIT, runCommand } = require('../lib/cli')
+
+const commands = [
+    require('../lib/commands/scan'),
+    require('../lib/commands/dups'),
+    require('../lib/commands/compare'),
+    require('../lib/commands/localIndex'),
+    require('../lib/commands/check'),
+    require('../lib/commands/sync'),
+    require('../lib/commands/frames'),
+    require('../lib/commands/query'),
+    require('../lib/commands/rollup'),
+    require('../lib/commands/resolve'),
+    require('../lib/commands/restore'),
+    require('../lib/commands/conflicts'),
+    require('../lib/commands/serve'),
+    require('../lib/commands/receive'),
+    require('../lib/commands/verify'),
+]
+
+
+
+/**
+ * Prints the list of commands
+ * @param {Function} print - console.log or console.error
+ */
+function printCommands(print) {
+    const width = Math.max(...commands.map(c => c.name.length)) + 2
+
+    print('Usage: dicom-hash <command> [arguments] [options]')
+    print('')
+    print('Commands:')
+    commands.forEach(c => print(`  ${c.name.padEnd(width)}${c.summary}`))
+    print('')
+    print('Run "dicom-hash <command> --help" for the options of a command')
+}
+
+
+
+;(async () => {
+    const [name, ...argv] = process.argv.slice(2)
+
+    if (!name || name === '-h' || name === '--help') {
+        printCommands(name ? console.log : console.error)
+        process.exit(name ? EXIT.OK : EXIT.USAGE)
+    }
+
+    // "dicom-hash help <command>" is the same as "dicom-hash <command> --help"
+    const helpRequested = name === 'help'
+    const commandName = helpRequested ? argv[0] : name
+    const command = commands.find(c => c.name === commandName)
+
+    if (!command) {
+        if (helpRequested && !commandName) {
+            printCommands(console.log)
+            process.exit(EXIT.OK)
+        }
+        console.error(`Unknown command: ${commandName}\n`)
+        printCommands(console.error)
+        process.exit(EXIT.USAGE)
+    }
+
+    const code = await runCommand(command, helpRequested ? ['--help'] : argv)
+    process.exit(code)
+})()
@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Shared command line handling for the dicom-hash subcommands.
+ *
+ * Every command module exports an object with the shape
+ *   { name, summary, usage, minPositionals, maxPositionals, options, run }
+ * where `options` is a list of option specs:
+ *   { name: 'outputFile', flags: ['-f', '--output'], arg: '<file>', description: '...' }
+ * Options without `arg` are boolean switches. `multiple: true` collects repeated values
+ * into an array, `parse` converts the raw string (e.g. Number) and `choices` lists the accepted values.
+ * `run(options, positionals)` resolves to one of the EXIT codes.
+ */
+
+/**
+ * Exit codes shared by every command
+ */
+const EXIT = {
+    OK: 0,          // command completed
+    FAILURE: 1,     // runtime error (file system, orthanc, database)
+    USAGE: 2,       // invalid arguments
+    NOT_FOUND: 3,   // negative answer, e.g. file not present in the hash database
+    CONFLICT: 4     // conflicts found, e.g. the same content filed under two patients
+}
+
+const helpOption = { name: 'help', flags: ['-h', '--help'], description: 'Show this help' }
+
+
+
+/**
+ * Error thrown for invalid command line arguments.
+ * runCommand prints the message followed by the usage line and exits with EXIT.USAGE
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message)
+        this.name = 'UsageError'
+    }
+}
+
+
+
+
+/**
+ * Parses an argument vector against a list of option specs.
+ * Long options also accept the --name=value form. Everything after "--" is positional.
+ * @param {string[]} argv - arguments without the node binary and script path
+ * @param {object[]} optionSpecs - option specs (see file header)
+ * @returns {{options: object, positionals: string[]}}
+ * @throws {UsageError} on unknown options or missing option values
+ */
+function parseArgs(argv, optionSpecs = []) {
+    const specs = [...optionSpecs, helpOption]
+    const options = {}
+    const positionals = []
+
+    for (const spec of specs) {
+        if (spec.multiple) {
+            options[spec.name] = spec.default ? [...spec.default] : []
+        } else if (spec.default !== undefined) {
+            options[spec.name] = spec.default
+        } else {
+            options[spec.name] = spec.arg ? null : false
+        }
+    }
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i]
+
+        if (arg === '--') {
+            positionals.push(...argv.slice(i + 1))
+            break
+        }
+
+        if (!arg.startsWith('-') || arg === '-') {
+            positionals.push(arg)
+            continue
+        }
+
+        let flag = arg
+        let inlineValue
+        if (arg.startsWith('--') && arg.includes('=')) {
+            flag = arg.slice(0, arg.indexOf('='))
+            inlineValue = arg.slice(arg.indexOf('=') + 1)
+        }
+
+        const spec = specs.find(s => s.flags.includes(flag))
+        if (!spec) {
+            throw new UsageError(`Unknown option: ${flag}`)
+        }
+
+        if (!spec.arg) {
+            if (inlineValue !== undefined) {
+                throw new UsageError(`Option ${flag} does not take a value`)
+            }
+            options[spec.name] = true
+            continue
+        }
+
+        const raw = inlineValue !== undefined ? inlineValue : argv[++i]
+        if (raw === undefined) {
+            throw new UsageError(`Option ${flag} requires a value ${spec.arg}`)
+        }
+
+        if (spec.choices && !spec.choices.includes(raw)) {
+            throw new UsageError(`Invalid value for ${flag}: ${raw} (expected one of ${spec.choices.join(', ')})`)
+        }
+
+        let value = raw
+        if (spec.parse) {
+            value = spec.parse(raw)
+            if (typeof value === 'number' && Number.isNaN(value)) {
+                throw new UsageError(`Invalid value for ${flag}: ${raw}`)
+            }
+        }
+
+        if (spec.multiple) {
+            options[spec.name].push(value)
+        } else {
+            options[spec.name] = value
+        }
+    }
+
+    return { options, positionals }
+}
+
+
+
+
+/**
+ * Builds the one line usage string of a command
+ * @param {object} command - command module
+ * @param {string} program - how the command is invoked, e.g. "dicom-hash dups"
+ * @returns {string}
+ */
+function formatUsage(command, program) {
+    const parts = [`Usage: ${program}`]
+    if (command.usage) parts.push(command.usage)
+    if (command.options && command.options.length) parts.push('[options]')
+    return parts.join(' ')
+}
+
+
+
+
+/**
+ * Builds the full --help text of a command
+ * @param {object} command - command module
+ * @param {string} program - how the command is invoked, e.g. "dicom-hash dups"
+ * @returns {string}
+ */
+function formatHelp(command, program) {
+    const specs = [...(command.options || []), helpOption]
+    const labels = specs.map(spec => spec.flags.join(', ') + (spec.arg ? ` ${spec.arg}` : ''))
+    const width = Math.max(...labels.map(l => l.length)) + 2
+
+    const lines = [formatUsage(command, program), '']
+    if (command.summary) {
+        lines.push(command.summary, '')
+    }
+    lines.push('Options:')
+    specs.forEach((spec, i) => {
+        const choices = spec.choices ? ` [${spec.choices.join('|')}]` : ''
+        const defaultValue = spec.arg && spec.default !== undefined && !spec.multiple ? ` (default: ${spec.default})` : ''
+        lines.push(`  ${labels[i].padEnd(width)}${spec.description || ''}${choices}${defaultValue}`)
+    })
+
+    return lines.join('\n')
+}
+
+
+
+
+/**
+ * Parses the arguments for a command, handles --help and runs it.
+ * Never throws: failures are printed and mapped to an exit code.
+ * @param {object} command - command module
+ * @param {string[]} argv - arguments without the node binary and script path
+ * @param {string} [program] - how the command is invoked, used in usage and help output
+ * @returns {Promise<number>} - one of EXIT
+ */
+async function runCommand(command, argv, program = `dicom-hash ${command.name}`) {
+    let parsed
+    try {
+        parsed = parseArgs(argv, command.options)
+
+        if (parsed.options.help) {
+            console.log(formatHelp(command, program))
+            return EXIT.OK
+        }
+
+        const min = command.minPositionals || 0
+        const max = command.maxPositionals === undefined ? Infinity : command.maxPositionals
+        if (parsed.positionals.length < min) {
+            throw new UsageError('Missing arguments')
+        }
+        if (parsed.positionals.length > max) {
+            throw new UsageError(`Unexpected argument: ${parsed.positionals[max]}`)
+        }
+
+    } catch (error) {
+        // e.g. a parse function of an option failing
+        if (!(error instanceof UsageError)) {
+            console.error('Error:', error.message || String(error))
+            return EXIT.FAILURE
+        }
+
+        console.error(error.message)
+        console.error(formatUsage(command, program))
+        console.error(`Run "${program} --help" for the list of options`)
+        return EXIT.USAGE
+    }
+
+    try {
+        const code = await command.run(parsed.options, parsed.positionals)
+        return code === undefined ? EXIT.OK : code
+
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(error.message)
+            console.error(formatUsage(command, program))
+            return EXIT.USAGE
+        }
+        console.error('Error:', error.message || String(error))
+        return EXIT.FAILURE
+    }
+}
+
+
+
+
+/**
+ * Entry point for the legacy single purpose scripts (findDups.js, run.js, ...).
+ * Runs the command with the process arguments and exits with its code.
+ * @param {object} command - command module
+ * @param {string} program - how the script is invoked, e.g. "node findDups.js"
+ */
+function runStandalone(command, program) {
+    runCommand(command, process.argv.slice(2), program).then(code => process.exit(code))
+}
+
+
+
+
+module.exports = { EXIT, UsageError, parseArgs, formatUsage, formatHelp, runCommand, runStandalone }
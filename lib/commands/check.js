@@ -0,0 +1,318 @@
+/**
+ * @fileoverview check command - checks if DICOM files are already present in the
+ * hash database built by the sync command.
+ *
+ * One file gets a yes / no answer and exit code. Several files or folders (e.g. a CD import or a
+ * research delivery) are checked in batches: the files are hashed, the hashes of a batch are
+ * looked up at once and every file is reported as found (with the matching instances), not found
+ * or unhashable, as text, JSON lines or CSV.
+ */
+const fs = require('fs')
+const path = require('path')
+const dicomParser = require('dicom-parser')
+
+const { EXIT, UsageError } = require('../cli')
+const { DEFAULT_CONFIG_PATH, loadConfig } = require('../config')
+const { walkTargets } = require('../fileHelper')
+const { hashDataSet, loadPlugins, reportDecodeFallbacks, pluginOption, hashModeOption } = require('../hashStrategies')
+const { checkStorageConfig, openStorage } = require('../storage')
+const { csvLine } = require('../csv')
+
+
+
+const FORMATS = ['text', 'json', 'csv']
+
+const STATUS = {
+    FOUND: 'found',
+    NOT_FOUND: 'not found',
+    UNHASHABLE: 'unhashable',
+}
+
+// one line per match, files without a match have one line with empty match columns
+const CSV_COLUMNS = ['path', 'status', 'hash', 'strategy', 'orthancId', 'instanceId', 'matchPath', 'reason']
+
+const options = [
+    { name: 'config', flags: ['--config'], arg: '<file>', default: DEFAULT_CONFIG_PATH, description: 'Configuration file' },
+    { name: 'deep', flags: ['-d', '--deep'], description: 'Deep scan: check every file of the folders whatever the extension' },
+    { name: 'format', flags: ['--format'], arg: '<format>', choices: FORMATS, default: 'text', description: 'Report format for several files or folders' },
+    { name: 'batchSize', flags: ['--batch-size'], arg: '<count>', parse: Number, default: 500, description: 'Number of hashes looked up in the database at once' },
+    pluginOption,
+    hashModeOption,
+]
+
+
+
+
+/**
+ * Checks files and folders against the database
+ * @param {object} opts - parsed options
+ * @param {string[]} pathArgs - DICOM files and folders
+ * @returns {Promise<number>} - EXIT.OK if every hashable file is found, EXIT.NOT_FOUND if not
+ */
+async function run(opts, pathArgs) {
+    if (!Number.isInteger(opts.batchSize) || opts.batchSize < 1) {
+        throw new UsageError('--batch-size must be a whole number greater than 0')
+    }
+    opts.plugins.forEach(loadPlugins)
+    const databaseConfig = loadConfig(opts.config).database
+
+    const configProblem = checkStorageConfig(databaseConfig)
+    if (configProblem) {
+        console.error(configProblem)
+        return EXIT.FAILURE
+    }
+
+    const targets = pathArgs.map(p => path.resolve(p))
+    if (targets.length === 1 && opts.format === 'text' && !isDirectory(targets[0])) {
+        return checkFile(databaseConfig, targets[0], opts)
+    }
+
+    const counts = { files: 0, found: 0, notFound: 0, unhashable: 0, otherStrategy: 0, unreadableFolders: 0 }
+    const storage = await openStorage(databaseConfig, { readOnly: true })
+    try {
+        if (opts.format === 'csv') console.log(CSV_COLUMNS.join(','))
+        counts.unreadableFolders = await checkPaths(storage, targets, opts, result => {
+            counts.files++
+            if (result.status === STATUS.FOUND) counts.found++
+            if (result.status === STATUS.NOT_FOUND) counts.notFound++
+            if (result.status === STATUS.UNHASHABLE) counts.unhashable++
+            if (result.otherStrategies && result.otherStrategies.length) counts.otherStrategy++
+            printResult(result, opts.format)
+        })
+    } finally {
+        await storage.close()
+    }
+
+    // the files of an unreadable folder may be missing from the database
+    const exitCode = counts.notFound ? EXIT.NOT_FOUND : counts.unreadableFolders ? EXIT.FAILURE : EXIT.OK
+    if (opts.format === 'json') {
+        process.stdout.write(JSON.stringify({ type: "summary", ...counts, exitCode }) + "\n")
+    } else if (opts.format === 'text') {
+        console.log('---------------------------------------------------')
+        console.log(`Files checked: ${counts.files}, found: ${counts.found}, not found: ${counts.notFound}, unhashable: ${counts.unhashable}`)
+        if (counts.unreadableFolders) console.log(`${counts.unreadableFolders} folders could not be read, their files were not checked`)
+    }
+    if (counts.otherStrategy) warnOtherStrategy(counts.otherStrategy, opts)
+    reportDecodeFallbacks()
+    return exitCode
+}
+
+
+
+
+/**
+ * @param {string} target
+ * @returns {boolean} - true if the path is a folder
+ */
+function isDirectory(target) {
+    return fs.existsSync(target) && fs.statSync(target).isDirectory()
+}
+
+
+
+
+/**
+ * Checks a single file, with the answer of the first versions
+ * @param {object} databaseConfig - "database" section of config.json
+ * @param {string} filePath - absolute path
+ * @param {object} opts - parsed options
+ * @returns {Promise<number>} - EXIT.OK if found, EXIT.NOT_FOUND if not, EXIT.FAILURE if it can't be hashed
+ */
+async function checkFile(databaseConfig, filePath, opts) {
+    let file
+    try {
+        file = await readFile(filePath, { mode: opts.hashMode })
+    } catch (error) {
+        console.error(`Unable to hash ${filePath}:`, error.message || String(error))
+        return EXIT.FAILURE
+    }
+    reportDecodeFallbacks()
+
+    const storage = await openStorage(databaseConfig, { readOnly: true })
+    let record
+    let otherStrategies
+    try {
+        // the instances deleted from Orthanc are left out (see lib/storage)
+        [record] = await storage.findByHash(file.hash)
+        if (!record) otherStrategies = await findOtherStrategies(storage, file)
+    } finally {
+        await storage.close()
+    }
+
+    if (!record) {
+        console.log(`DICOM file does not exist in database.`)
+        if (otherStrategies.length) {
+            console.log(`Its SOPInstanceUID is in the database, hashed with ${otherStrategies.join(', ')} instead of ${file.strategy}.`)
+            warnOtherStrategy(1, opts)
+        }
+        return EXIT.NOT_FOUND
+    }
+
+    console.log(`DICOM file exists in database.`)
+    if (record.orthancId) {
+        console.log(`Orthanc ID: ${record.orthancId}`)
+        console.log(`Instance ID: ${record.instanceId}`)
+    } else {
+        console.log(`File: ${record.path}`)
+        console.log(`Instance ID: ${record.sopInstanceUid}`)
+    }
+    return EXIT.OK
+}
+
+
+
+
+/**
+ * Hashes the files and the files of the folders, and looks their hashes up in batches
+ * @param {object} storage - open storage, see lib/storage
+ * @param {string[]} targets - absolute paths of files and folders
+ * @param {object} opts - parsed options
+ * @param {(result: {path: string, status: string, hash?: string, strategy?: string, reason?: string, matches: object[], otherStrategies?: string[]}) => void} onResult
+ *   called for every file, in the order they are listed. otherStrategies, for the files not found, lists the
+ *   strategies the records with their SOPInstanceUID were hashed with, when not the one of the file
+ * @returns {Promise<number>} - number of folders that could not be read, reported on stderr
+ */
+async function checkPaths(storage, targets, opts, onResult) {
+    const pending = []
+    let unreadableFolders = 0
+
+    const flush = async () => {
+        const batch = pending.splice(0)
+        const hashes = [...new Set(batch.filter(file => file.hash).map(file => file.hash))]
+        const matches = await storage.findByHashes(hashes)
+        for (const { sopInstanceUid, ...file } of batch) {
+            if (file.status) {
+                onResult(file)
+            } else if (matches.has(file.hash)) {
+                onResult({ ...file, status: STATUS.FOUND, matches: matches.get(file.hash) })
+            } else {
+                // the same instance hashed by another strategy points at a database synced with another --hash-mode
+                const otherStrategies = await findOtherStrategies(storage, { sopInstanceUid, strategy: file.strategy })
+                onResult({ ...file, status: STATUS.NOT_FOUND, matches: [], otherStrategies })
+            }
+        }
+    }
+
+    const addFile = async filePath => {
+        try {
+            pending.push({ path: filePath, ...await readFile(filePath, { mode: opts.hashMode }) })
+        } catch (error) {
+            // dicom-parser throws strings
+            pending.push({ path: filePath, status: STATUS.UNHASHABLE, reason: error.message || String(error), matches: [] })
+        }
+        if (pending.length >= opts.batchSize) await flush()
+    }
+
+    const onError = (folder, error) => {
+        console.error(`Unable to read the folder ${folder}: ${error.message}`)
+        unreadableFolders++
+    }
+
+    for await (const filePath of walkTargets(targets, opts.deep, onError)) await addFile(filePath)
+    await flush()
+    return unreadableFolders
+}
+
+
+
+
+/**
+ * Reads and hashes a file
+ * @param {string} filePath
+ * @param {object} hashOptions - see lib/hashStrategies.js
+ * @returns {Promise<{hash: string, strategy: string, sopInstanceUid: string|null}>}
+ * @throws if the file can't be read or parsed, or has nothing to hash (dicom-parser throws strings)
+ */
+async function readFile(filePath, hashOptions) {
+    const dataSet = dicomParser.parseDicom(await fs.promises.readFile(filePath))
+    const result = hashDataSet(dataSet, hashOptions)
+    if (!result) throw new Error('No hashable content found in the DICOM file.')
+    return { hash: result.hash, strategy: result.strategy, sopInstanceUid: dataSet.string('x00080018') || null }
+}
+
+
+
+
+/**
+ * Looks up a file that was not found by its SOPInstanceUID, to tell an instance hashed by another
+ * strategy (another hash mode or plugins) from a missing one
+ * @param {object} storage - open storage, see lib/storage
+ * @param {{sopInstanceUid: string|null, strategy: string}} file
+ * @returns {Promise<string[]>} - the other strategies of the records with the SOPInstanceUID
+ */
+async function findOtherStrategies(storage, { sopInstanceUid, strategy }) {
+    if (!sopInstanceUid) return []
+    const records = await storage.findByUid(sopInstanceUid)
+    return [...new Set(records.map(record => record.strategy).filter(id => id && id !== strategy))]
+}
+
+
+
+
+/**
+ * @param {number} count - number of files not found whose instance was hashed by another strategy
+ * @param {object} opts - parsed options
+ */
+function warnOtherStrategy(count, opts) {
+    console.error(`Warning: ${count} files not found are in the database hashed by another strategy, `
+        + `it was probably synced with another --hash-mode than ${opts.hashMode} (or other --plugins)`)
+}
+
+
+
+
+/**
+ * @param {object} record - matching record of the storage
+ * @returns {{orthancId: string|null, instanceId: string|null, matchPath: string|null}}
+ */
+function describeMatch(record) {
+    return {
+        orthancId: record.orthancId || null,
+        instanceId: record.instanceId || record.sopInstanceUid || null,
+        matchPath: record.orthancId ? null : record.path || null
+    }
+}
+
+
+
+
+/**
+ * Prints the result of one file
+ * @param {object} result - see checkPaths
+ * @param {string} format - one of FORMATS
+ */
+function printResult({ path: filePath, status, hash, strategy, reason, matches, otherStrategies }, format) {
+    const described = matches.map(describeMatch)
+
+    if (format === 'json') {
+        process.stdout.write(JSON.stringify({ type: "file", path: filePath, status, hash, strategy, reason, matches: described, otherStrategies }) + "\n")
+        return
+    }
+
+    if (format === 'csv') {
+        const rows = described.length ? described : [{}]
+        rows.forEach(match => console.log(csvLine(CSV_COLUMNS, { path: filePath, status, hash, strategy, reason, ...match })))
+        return
+    }
+
+    if (status === STATUS.UNHASHABLE) {
+        console.log(`[${status}] ${filePath}: ${reason}`)
+        return
+    }
+    console.log(`[${status}] ${filePath}`)
+    if (otherStrategies && otherStrategies.length) console.log(`    SOPInstanceUID in the database, hashed with ${otherStrategies.join(', ')} instead of ${strategy}`)
+    described.forEach(({ orthancId, instanceId, matchPath }) => {
+        console.log(orthancId ? `    Orthanc ID ${orthancId}, instance ${instanceId}` : `    ${matchPath}, instance ${instanceId}`)
+    })
+}
+
+
+
+module.exports = {
+    name: 'check',
+    summary: 'Check if DICOM files, or the files of folders, are already in the hash database',
+    usage: '<dicomFile|folder> [...]',
+    minPositionals: 1,
+    options,
+    run
+}
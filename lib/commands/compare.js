@@ -0,0 +1,158 @@
+/**
+ * @fileoverview compare command - compares the DICOM files of two folders and lists, for every
+ * file of the first folder, the files of the second folder with the same content hash
+ * along with their patient IDs.
+ */
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+const dicomParser = require('dicom-parser')
+const cliProgress = require('cli-progress')
+
+const { EXIT, UsageError } = require('../cli')
+const { saveAllFilePaths, processFilePaths, processDicomFile } = require('../fileHelper')
+const { loadPlugins, reportDecodeFallbacks, pluginOption, hashModeOption } = require('../hashStrategies')
+const { diffGroup, formatDiff, getDiffOptions, diffOptions } = require('../metadataDiff')
+
+
+
+const options = [
+    { name: 'matchesOnly', flags: ['-m', '--matches-only'], description: 'Only list files of the first folder that have a match' },
+    pluginOption,
+    hashModeOption,
+    ...diffOptions,
+]
+
+
+
+
+/**
+ * Extracts the patient ID from a DICOM file.
+ *
+ * @param {string} filePath - The path to the DICOM file.
+ * @returns {string|null} The patient ID if successfully extracted, otherwise null.
+ */
+function getPatientIdFromDicom(filePath) {
+    try {
+        const dicomData = fs.readFileSync(filePath)
+        const dataSet = dicomParser.parseDicom(dicomData, { untilTag: 'x7fe00010' })
+        return dataSet.string('x00100020')
+
+    } catch (error) {
+        console.error(`Error processing ${filePath}:`, error.message)
+        return null
+    }
+}
+
+
+
+
+/**
+ * Hashes every DICOM file of a folder (whatever the extension).
+ *
+ * @param {string} folder - The path to the folder containing DICOM files.
+ * @param {object} hashOptions - see lib/hashStrategies.js
+ * @returns {Promise<Map<string, string[]>>} hash -> file paths
+ */
+async function getDicomHashes(folder, hashOptions) {
+    const tempFilePath = path.join(os.tmpdir(), `filepaths-${Date.now()}.tmp`)
+    const hashes = new Map()
+    const counter = { count: 0, dicoms: 0 }
+
+    const progressBar = new cliProgress.SingleBar({
+        format: 'Processing [{bar}] {percentage}% | {value}/{total} files',
+        barCompleteChar: '█',
+        barIncompleteChar: '░',
+        hideCursor: true
+    })
+
+    console.log(`Scanning ${folder}...`)
+
+    try {
+        await saveAllFilePaths(folder, true, tempFilePath, counter)
+        await processFilePaths(tempFilePath, async filePath => {
+            const result = await processDicomFile(filePath, counter, hashOptions)
+            if (!result) return
+            const { hash } = result
+            if (!hashes.has(hash)) hashes.set(hash, [])
+            hashes.get(hash).push(filePath)
+        }, progressBar)
+
+    } finally {
+        if (fs.existsSync(tempFilePath)) fs.unlinkSync(tempFilePath)
+    }
+
+    return hashes
+}
+
+
+
+
+/**
+ * Compares DICOM file hashes between two folders and logs matches.
+ * @param {object} opts - parsed options
+ * @param {string[]} folderArgs - the two folders
+ * @returns {Promise<number>} - exit code
+ */
+async function run(opts, folderArgs) {
+    const [folder1, folder2] = folderArgs.map(f => path.resolve(f))
+
+    let diffOpts
+    try {
+        diffOpts = getDiffOptions(opts)
+    } catch (error) {
+        throw new UsageError(error.message)
+    }
+
+    opts.plugins.forEach(loadPlugins)
+
+    const hashOptions = { mode: opts.hashMode }
+    const hashes1 = await getDicomHashes(folder1, hashOptions)
+    const hashes2 = await getDicomHashes(folder2, hashOptions)
+    reportDecodeFallbacks()
+
+    console.log('\nComparing files...\n')
+    console.log('---------------------------------------------------')
+
+    for (const [hash, filesInFolder1] of hashes1) {
+        const filesInFolder2 = hashes2.get(hash) || []
+        if (opts.matchesOnly && filesInFolder2.length === 0) continue
+
+        for (const file of filesInFolder1) {
+            const patientId = getPatientIdFromDicom(file)
+            console.log(`🔍 ${file} (PatientID: ${patientId})`)
+
+            if (filesInFolder2.length > 0) {
+                console.log('  Matches:')
+                for (const matchFile of filesInFolder2) {
+                    const matchPatientId = getPatientIdFromDicom(matchFile)
+                    // same content under another patient, see the conflicts command
+                    const warning = matchPatientId !== patientId ? ' ⚠️  different PatientID' : ''
+                    console.log(`    ✅ ${matchFile} (PatientID: ${matchPatientId})${warning}`)
+                }
+                if (opts.diff) {
+                    console.log('  Header differences (this file | matches):')
+                    formatDiff(await diffGroup([file, ...filesInFolder2], diffOpts)).forEach(line => console.log(line))
+                }
+            } else {
+                console.log(`    ❌ No matches found`)
+            }
+
+            console.log('---------------------------------------------------')
+        }
+    }
+
+    return EXIT.OK
+}
+
+
+
+module.exports = {
+    name: 'compare',
+    summary: 'Compare the DICOM files of two folders',
+    usage: '<folder1> <folder2>',
+    minPositionals: 2,
+    maxPositionals: 2,
+    options,
+    run
+}
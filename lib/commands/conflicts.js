@@ -0,0 +1,167 @@
+/**
+ * @fileoverview conflicts command - reports the content hashes whose files (or Orthanc instances)
+ * disagree on patient, study or SOPInstanceUID, with a severity (see lib/identityConflicts.js).
+ *
+ * The exit code is EXIT.CONFLICT when a conflict at or above --fail-on is found, so CI jobs can
+ * stop on misfiled studies.
+ */
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+const dicomParser = require('dicom-parser')
+
+const { EXIT, UsageError } = require('../cli')
+const { DEFAULT_CONFIG_PATH, loadConfig } = require('../config')
+const { removeNestedFolders, saveAllFilePaths, processFilePaths } = require('../fileHelper')
+const { hashDataSet, loadPlugins, reportDecodeFallbacks, pluginOption, hashModeOption } = require('../hashStrategies')
+const { checkStorageConfig, openStorage } = require('../storage')
+const { SEVERITIES, readIdentity, findConflicts, atLeast } = require('../identityConflicts')
+
+
+
+const options = [
+    { name: 'database', flags: ['--database'], description: 'Check the hash database of config.json (stored by sync) instead of folders' },
+    { name: 'config', flags: ['--config'], arg: '<file>', default: DEFAULT_CONFIG_PATH, description: 'Configuration file (with --database)' },
+    { name: 'json', flags: ['-j', '--json'], description: 'Output one JSON object per conflict and a summary' },
+    { name: 'deep', flags: ['-d', '--deep'], description: 'Deep scan: check every file whatever the extension' },
+    { name: 'failOn', flags: ['--fail-on'], arg: '<severity>', choices: [...SEVERITIES, 'none'], default: 'high', description: 'Exit with code 4 if a conflict of this severity or worse is found' },
+    pluginOption,
+    hashModeOption,
+]
+
+
+
+
+/**
+ * Runs the conflict report
+ * @param {object} opts - parsed options
+ * @param {string[]} folderArgs - folders to check, none with --database
+ * @returns {Promise<number>} - exit code
+ */
+async function run(opts, folderArgs) {
+    if (opts.database === (folderArgs.length > 0)) {
+        throw new UsageError('Give the folders to check, or --database to check the hash database')
+    }
+
+    let records
+    if (opts.database) {
+        const databaseConfig = loadConfig(opts.config).database
+        const configProblem = checkStorageConfig(databaseConfig)
+        if (configProblem) {
+            console.error(configProblem)
+            return EXIT.FAILURE
+        }
+        const storage = await openStorage(databaseConfig, { readOnly: true })
+        try {
+            // files (and DICOMweb instances) are keyed by their path
+            records = (await storage.findSharedHashes()).map(record => record.orthancId ? record : { fullPath: record.path, ...record })
+        } finally {
+            await storage.close()
+        }
+    } else {
+        opts.plugins.forEach(loadPlugins)
+        records = await readFolders(folderArgs.map(f => path.resolve(f)), opts)
+        reportDecodeFallbacks()
+    }
+
+    const conflicts = findConflicts(records)
+    const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]))
+    conflicts.forEach(conflict => counts[conflict.severity]++)
+
+    const failed = conflicts.some(conflict => atLeast(conflict.severity, opts.failOn))
+    const exitCode = failed ? EXIT.CONFLICT : EXIT.OK
+
+    conflicts.forEach((conflict, i) => printConflict(conflict, i, opts.json))
+
+    if (opts.json) {
+        process.stdout.write(JSON.stringify({ type: "summary", totalConflicts: conflicts.length, ...counts, failOn: opts.failOn, exitCode }) + "\n")
+    } else {
+        console.log('---------------------------------------------------')
+        console.log(`Conflicts: ${conflicts.length} (${SEVERITIES.map(severity => `${severity}: ${counts[severity]}`).join(', ')})`)
+        if (failed) console.log(`Conflicts of severity ${opts.failOn} or worse found, exiting with code ${exitCode}`)
+    }
+
+    return exitCode
+}
+
+
+
+
+/**
+ * Hashes every DICOM file of the folders and reads its identity
+ * @param {string[]} folders - absolute paths
+ * @param {object} opts - parsed options
+ * @returns {Promise<object[]>} - { fullPath, hash, strategy, patientId, patientName, studyInstanceUid, seriesInstanceUid, sopInstanceUid }
+ */
+async function readFolders(folders, opts) {
+    const tempFilePath = path.join(os.tmpdir(), `filepaths-${Date.now()}.tmp`)
+    const counter = { count: 0, dicoms: 0 }
+    const records = []
+
+    try {
+        for (const folderPath of removeNestedFolders(folders)) {
+            if (!opts.json) console.log(`Processing folder: ${folderPath}`)
+            await saveAllFilePaths(folderPath, opts.deep, tempFilePath, counter)
+        }
+
+        await processFilePaths(tempFilePath, async filePath => {
+            try {
+                const dataSet = dicomParser.parseDicom(await fs.promises.readFile(filePath))
+                counter.dicoms++
+                const result = hashDataSet(dataSet, { mode: opts.hashMode })
+                if (result) {
+                    records.push({ fullPath: filePath, hash: result.hash, strategy: result.strategy, ...readIdentity(dataSet) })
+                }
+            } catch (error) {
+                // not a DICOM file, or nothing to hash
+            }
+        })
+    } finally {
+        if (fs.existsSync(tempFilePath)) fs.unlinkSync(tempFilePath)
+    }
+
+    if (!opts.json) console.log(`Files checked: ${counter.count}, dicoms: ${counter.dicoms}`)
+    return records
+}
+
+
+
+
+/**
+ * Prints one conflict
+ * @param {object} conflict - see findConflicts
+ * @param {number} index
+ * @param {boolean} json - one JSON object per line instead of text
+ */
+function printConflict({ hash, strategy, severity, fields, members }, index, json) {
+    // files have a path, Orthanc instances an Orthanc ID
+    const member = ({ fullPath, orthancId, patientId, patientName, studyInstanceUid, sopInstanceUid }) => ({
+        ...(fullPath ? { fullPath } : { orthancId }),
+        patientId: patientId || null,
+        patientName: patientName || null,
+        studyInstanceUid: studyInstanceUid || null,
+        sopInstanceUid: sopInstanceUid || null
+    })
+
+    if (json) {
+        process.stdout.write(JSON.stringify({ type: "conflict", severity, fields, hash, strategy, members: members.map(member) }) + "\n")
+        return
+    }
+
+    console.log(`conflict ${index + 1} [${severity.toUpperCase()}]: different ${fields.join(', ')} (hash ${hash.slice(0, 16)}…, ${strategy})`)
+    members.map(member).forEach(({ fullPath, orthancId, patientId, patientName, studyInstanceUid, sopInstanceUid }) => {
+        console.log(`- ${fullPath || `Orthanc ID ${orthancId}`}`)
+        console.log(`    PatientID: ${patientId}, PatientName: ${patientName}, StudyInstanceUID: ${studyInstanceUid}, SOPInstanceUID: ${sopInstanceUid}`)
+    })
+    console.log('')
+}
+
+
+
+module.exports = {
+    name: 'conflicts',
+    summary: 'Report identical content filed under different patients, studies or SOP instances',
+    usage: '[folder ...]',
+    options,
+    run
+}
@@ -0,0 +1,343 @@
+/**
+ * @fileoverview dups command - finds duplicate DICOM files across one or more folders
+ * by hashing the relevant content of each file (see lib/fileHelper.js).
+ */
+const fs = require('fs-extra')
+const path = require('path')
+const cliProgress = require('cli-progress')
+const os = require('os')
+
+const { EXIT, UsageError } = require('../cli')
+const {
+    removeNestedFolders,
+    saveAllFilePaths,
+    processFilePaths,
+    processDicomFile,
+} = require('../fileHelper')
+const { loadPlugins, reportDecodeFallbacks, pluginOption, hashModeOption, framesOption } = require('../hashStrategies')
+const { matchFrames } = require('../frameMatching')
+const { findSimilarGroups } = require('../perceptualHash')
+const { VERIFICATION, verifyGroup } = require('../groupVerification')
+const { parseKeepRule, chooseKeeper, keepOption } = require('../keepPolicy')
+const { diffGroup, formatDiff, getDiffOptions, diffOptions } = require('../metadataDiff')
+
+
+
+const options = [
+    { name: 'outputFile', flags: ['-f', '--output'], arg: '<file>', description: 'Save the duplicate groups as a JSON array' },
+    { name: 'communicate', flags: ['-c', '--communicate'], description: 'Output one JSON object per line (duplicate groups and summary)' },
+    { name: 'communicateHash', flags: ['-ch', '--communicate-hash'], description: 'Output one JSON object per line with the hash of every file' },
+    { name: 'deep', flags: ['-d', '--deep'], description: 'Deep scan: check every file whatever the extension' },
+    { name: 'verbose', flags: ['-v', '--verbose'], description: 'Print every file path while listing the folders' },
+    pluginOption,
+    hashModeOption,
+    { ...framesOption, description: 'Hash every frame and link the frames of multi-frame files to matching single-frame files' },
+    { name: 'similar', flags: ['--similar'], arg: '<threshold>', parse: Number, description: 'Group near duplicate images whose perceptual hashes differ by at most <threshold> bits (0-64)' },
+    { name: 'verify', flags: ['--verify'], description: 'Compare the files of every duplicate group byte for byte and label the group' },
+    keepOption,
+    ...diffOptions,
+]
+
+
+
+
+/**
+ * Runs the duplicate search
+ * @param {object} opts - parsed options
+ * @param {string[]} folderArgs - folders to search for duplicates
+ * @returns {Promise<number>} - exit code
+ */
+async function run(opts, folderArgs) {
+    const { outputFile, communicate, communicateHash, deep, verbose, similar } = opts
+    const startTime = Date.now()
+    const similarMode = similar !== null
+
+    if (similarMode && !(Number.isInteger(similar) && similar >= 0 && similar <= 64)) {
+        throw new UsageError(`Invalid value for --similar: ${similar} (expected a number of bits between 0 and 64)`)
+    }
+
+    let keepRules, diffOpts
+    try {
+        keepRules = opts.keep.map(parseKeepRule)
+        diffOpts = getDiffOptions(opts)
+    } catch (error) {
+        throw new UsageError(error.message)
+    }
+
+    opts.plugins.forEach(loadPlugins)
+
+    // Remove nested folders to avoid processing subfolders multiple times
+    const folders = removeNestedFolders(folderArgs.map(f => path.resolve(f)))
+
+    // set up the temp file path
+    const tempFilePath = path.join(os.tmpdir(), `filepaths-${Date.now()}.tmp`)
+
+    //define a cleanup function to remove the temp file on exit
+    const cleanup = () => {
+        try {
+            //check if file exists before trying to delete it
+            if (fs.existsSync(tempFilePath)) {
+                fs.unlinkSync(tempFilePath)
+            }
+        } catch (error) {
+            //no need to log if this fails, means the file was already deleted or never created
+        }
+    }
+    const onSignal = () => {
+        cleanup()
+        process.exit(EXIT.OK)
+    }
+    process.on('exit', cleanup)
+    process.on('SIGINT', onSignal)
+    process.on('SIGTERM', onSignal)
+
+    const progressBar = (!communicate && !communicateHash) ? new cliProgress.SingleBar({
+        format: 'Processing [{bar}] {percentage}% | {value}/{total} files',
+        barCompleteChar: '█',
+        barIncompleteChar: '░',
+        hideCursor: true
+    }) : null
+
+    try {
+        const counter = { count: 0, dicoms: 0 }
+        for (const folderPath of folders) {
+            if (!communicate && !communicateHash) console.log(`Processing folder: ${folderPath}`)
+            await saveAllFilePaths(folderPath, deep, tempFilePath, counter, verbose)
+        }
+
+        const hashes = new Map()
+        // files with frame hashes, for the multi-frame report
+        const framedFiles = []
+        // images with a perceptual hash, also grouped by similarity with --similar
+        const perceptualFiles = []
+
+        await processFilePaths(tempFilePath, async (filePath, index, total) => {
+            const result = await processDicomFile(filePath, counter, { mode: opts.hashMode, frames: opts.frames, perceptual: similarMode })
+
+            if (!result) {
+                return
+            }
+            const { hash, strategy, frameHashes, perceptualHash } = result
+
+            // just output the hashes for each file if communicateHash is true
+            if (communicateHash) {
+                process.stdout.write(JSON.stringify({
+                    type: "hash",
+                    fileName: path.basename(filePath),
+                    fullPath: filePath,
+                    hash,
+                    strategy,
+                    frameHashes,
+                    perceptualHash,
+                    progressCurrent: +index + 1,
+                    progressTotal: total
+                }) + "\n")
+
+            // keep hashes in memory for further processing if not in communicateHash mode
+            } else {
+                if (perceptualHash) {
+                    perceptualFiles.push({ fullPath: filePath, hash, strategy, perceptualHash })
+                }
+                //first hash found
+                if (!hashes.has(hash)) {
+                    hashes.set(hash, { strategy, files: [] })
+                }
+                //push the file path to the hash array (if only one exists in the array, it is a unique file)
+                hashes.get(hash).files.push(filePath)
+            }
+
+            if (frameHashes && !communicateHash) {
+                framedFiles.push({ fullPath: filePath, strategy, frameHashes })
+            }
+
+        }, progressBar)
+        reportDecodeFallbacks()
+
+        //exit prematurely if in communicate mode
+        if (communicateHash) {
+            return EXIT.OK
+        }
+
+        const duplicates = [...hashes.entries()].filter(([_, { files }]) => files.length > 1)
+        // the groups of one content hash only are already duplicate groups
+        const similarGroups = similarMode
+            ? findSimilarGroups(perceptualFiles, similar).filter(({ items }) => new Set(items.map(item => item.hash)).size > 1)
+            : []
+        const frameReports = opts.frames ? matchFrames(framedFiles) : []
+
+        // no duplicates found
+        if (duplicates.length === 0 && similarGroups.length === 0) {
+            printFrameReports(frameReports, communicate)
+            if (!communicate) {
+                console.log('No duplicates found.')
+            } else {
+                process.stdout.write(JSON.stringify({ type: "summary", totalDuplicates: 0, timeSeconds: ((Date.now() - startTime) / 1000) }) + "\n")
+            }
+            return EXIT.OK
+        }
+
+        const output = []
+        let totalDuplicates = 0
+        // number of groups of each verification label, with --verify
+        const verified = Object.fromEntries(Object.values(VERIFICATION).map(label => [label, 0]))
+
+        for (const [idx, [hash, { strategy, files }]] of duplicates.entries()) {
+            // the kept file goes first, it is the reference of the verification and the copy resolve keeps
+            const { files: fileList, keep } = keepRules.length ? await chooseKeeper(files, keepRules) : { files, keep: null }
+            const verification = opts.verify ? await verifyGroup(fileList, { mode: opts.hashMode }) : null
+            const group = fileList.map((file, i) => ({
+                fileName: path.basename(file),
+                fullPath: file,
+                ...(verification ? { verification: verification.files[i].verification, reason: verification.files[i].reason } : {})
+            }))
+            if (verification) verified[verification.verification]++
+            const diff = opts.diff ? await diffGroup(fileList, diffOpts) : null
+
+            if (!outputFile && !communicate) {
+                console.log(`duplicate ${idx + 1}${verification ? ` (${verification.verification})` : ''}:`)
+                group.forEach(({ fullPath, verification: label, reason }) => {
+                    const detail = label && label !== VERIFICATION.IDENTICAL_FILE ? `: ${label}${reason ? ` (${reason})` : ''}` : ''
+                    const kept = keep && fullPath === keep.fullPath ? ` [keep: ${keep.reason}]` : ''
+                    console.log(`- ${fullPath}${kept}${detail}`)
+                })
+                if (diff) {
+                    console.log('  header differences (in the order of the files):')
+                    formatDiff(diff).forEach(line => console.log(line))
+                }
+                console.log('')
+            }
+            output.push(keep || diff ? { files: fileList, ...(keep ? { keep } : {}), ...(diff ? { diff } : {}) } : fileList)
+            totalDuplicates += fileList.length - 1
+
+            if (communicate) {
+                process.stdout.write(JSON.stringify({
+                    type: "duplicate",
+                    group,
+                    hash,
+                    strategy,
+                    ...(keep ? { keep } : {}),
+                    ...(diff ? { diff } : {}),
+                    ...(verification ? { verification: verification.verification } : {})
+                }) + "\n")
+            }
+        }
+
+        let totalSimilar = 0
+
+        similarGroups.forEach(({ items, pairs }, idx) => {
+            const fileList = items.map(item => item.fullPath)
+            if (!outputFile && !communicate) {
+                console.log(`similar ${idx + 1}:`)
+                fileList.forEach(file => console.log(`- ${file}`))
+                pairs.forEach(({ a, b, distance, similarity }) => {
+                    const identical = a.hash === b.hash ? ', identical content' : ''
+                    console.log(`    ${a.fullPath} <-> ${b.fullPath}: similarity ${similarity} (${distance} bits${identical})`)
+                })
+                console.log('')
+            }
+            // not copies of each other, resolve leaves them out (see lib/duplicateReport.js)
+            output.push({ type: "similar", files: fileList })
+            totalSimilar += fileList.length - 1
+
+            if (communicate) {
+                process.stdout.write(JSON.stringify({
+                    type: "similar",
+                    group: fileList.map(file => ({ fileName: path.basename(file), fullPath: file })),
+                    pairs: pairs.map(({ a, b, distance, similarity }) => ({ a: a.fullPath, b: b.fullPath, distance, similarity, identical: a.hash === b.hash }))
+                }) + "\n")
+            }
+        })
+
+        printFrameReports(frameReports, communicate)
+
+        const similarSummary = similarMode ? `, similar: ${totalSimilar}` : ''
+        const verifiedSummary = opts.verify ? `\nVerified groups: ${Object.entries(verified).map(([label, count]) => `${label}: ${count}`).join(', ')}` : ''
+
+        // summary and output
+        if (!outputFile && !communicate) {
+            console.log('---------------------------------------------------')
+            console.log(`Files checked: ${counter.count}, dicoms: ${counter.dicoms}, duplicates: ${totalDuplicates}${similarSummary}${verifiedSummary}`)
+            console.log(`Time taken: ${(Date.now() - startTime) / 1000} seconds`)
+        }
+
+        if (communicate) {
+            process.stdout.write(JSON.stringify({
+                type: "summary",
+                totalFiles: counter.count,
+                totalDicoms: counter.dicoms,
+                totalDuplicates: totalDuplicates,
+                ...(similarMode ? { totalSimilar } : {}),
+                ...(opts.verify ? { verified } : {}),
+                timeSeconds: (Date.now() - startTime) / 1000
+            }) + "\n")
+        }
+
+        if (outputFile) {
+            try {
+                fs.writeFileSync(outputFile, JSON.stringify(output, null, 2), 'utf8')
+                if (!communicate) console.log(`Duplicate groups saved to ${outputFile}`)
+            } catch (err) {
+                console.error(`Failed to write duplicates to file: ${err.message}`)
+                return EXIT.FAILURE
+            }
+            if (!communicate) {
+                console.log(`Files checked: ${counter.count}, dicoms: ${counter.dicoms}, duplicates: ${totalDuplicates}${similarSummary}${verifiedSummary}`)
+                console.log(`Time taken: ${(Date.now() - startTime) / 1000} seconds`)
+            }
+        }
+
+        return EXIT.OK
+
+    } finally {
+        cleanup()
+        process.removeListener('exit', cleanup)
+        process.removeListener('SIGINT', onSignal)
+        process.removeListener('SIGTERM', onSignal)
+    }
+}
+
+
+
+
+/**
+ * Prints the frame report of every multi-frame file: which single-frame files hold each frame
+ * @param {object[]} frameReports - see lib/frameMatching.js
+ * @param {boolean} communicate - one JSON object per line instead of text
+ */
+function printFrameReports(frameReports, communicate) {
+    const file = fullPath => ({ fileName: path.basename(fullPath), fullPath })
+
+    frameReports.forEach(({ object, totalFrames, matchedFrames, frames }) => {
+        if (communicate) {
+            process.stdout.write(JSON.stringify({
+                type: "frames",
+                ...file(object.fullPath),
+                strategy: object.strategy,
+                totalFrames,
+                matchedFrames,
+                frames: frames.map(({ frame, hash, matches }) => ({ frame, hash, matches: matches.map(m => file(m.fullPath)) }))
+            }) + "\n")
+            return
+        }
+
+        console.log(`multi-frame ${object.fullPath}: ${matchedFrames}/${totalFrames} frames found in single-frame files`)
+        frames.forEach(({ frame, matches }) => {
+            if (!matches.length) {
+                console.log(`  frame ${frame}: no match`)
+            }
+            matches.forEach(m => console.log(`  frame ${frame}: ${m.fullPath}`))
+        })
+        console.log('')
+    })
+}
+
+
+
+module.exports = {
+    name: 'dups',
+    summary: 'Find duplicate DICOM files across one or more folders',
+    usage: '<folder> [folder ...]',
+    minPositionals: 1,
+    options,
+    run
+}
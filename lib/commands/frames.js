@@ -0,0 +1,86 @@
+/**
+ * @fileoverview frames command - links every frame of the multi-frame instances of the hash
+ * database to the single-frame instances holding the same frame. The frame hashes are stored
+ * by the sync command (and the index command) with the --frames option, in any backend of lib/storage.
+ */
+const { EXIT } = require('../cli')
+const { DEFAULT_CONFIG_PATH, loadConfig } = require('../config')
+const { checkStorageConfig, openStorage } = require('../storage')
+
+
+
+const options = [
+    { name: 'config', flags: ['--config'], arg: '<file>', default: DEFAULT_CONFIG_PATH, description: 'Configuration file' },
+    { name: 'json', flags: ['-j', '--json'], description: 'Output one JSON object per multi-frame instance' },
+]
+
+
+
+
+/**
+ * Prints the frame report of the hash database
+ * @param {object} opts - parsed options
+ * @returns {Promise<number>} - exit code
+ */
+async function run(opts) {
+    const databaseConfig = loadConfig(opts.config).database
+
+    const configProblem = checkStorageConfig(databaseConfig)
+    if (configProblem) {
+        console.error(configProblem)
+        return EXIT.FAILURE
+    }
+
+    const storage = await openStorage(databaseConfig, { readOnly: true })
+    let reports
+    try {
+        reports = await storage.findFrameMatches()
+    } finally {
+        await storage.close()
+    }
+
+    // Orthanc instances have an Orthanc ID, files (and DICOMweb instances) a path
+    const instance = ({ orthancId, path, instanceId, sopInstanceUid }) => ({
+        ...(orthancId ? { orthancId } : { path }),
+        instanceId: instanceId || sopInstanceUid || null
+    })
+    const location = ({ orthancId, path }) => orthancId ? `Orthanc ID: ${orthancId}` : path
+
+    for (const { object, totalFrames, matchedFrames, frames } of reports) {
+        if (opts.json) {
+            process.stdout.write(JSON.stringify({
+                type: "frames",
+                ...instance(object),
+                strategy: object.strategy,
+                totalFrames,
+                matchedFrames,
+                frames: frames.map(({ frame, hash, matches }) => ({ frame, hash, matches: matches.map(instance) }))
+            }) + "\n")
+            continue
+        }
+
+        console.log(`multi-frame ${instance(object).instanceId} (${location(object)}): ${matchedFrames}/${totalFrames} frames found in single-frame instances`)
+        frames.forEach(({ frame, matches }) => {
+            if (!matches.length) {
+                console.log(`  frame ${frame}: no match`)
+            }
+            matches.forEach(m => console.log(`  frame ${frame}: ${instance(m).instanceId} (${location(m)})`))
+        })
+        console.log('')
+    }
+
+    if (!opts.json) {
+        console.log(`Multi-frame instances: ${reports.length}, fully matched: ${reports.filter(r => r.matchedFrames === r.totalFrames).length}`)
+    }
+    return EXIT.OK
+}
+
+
+
+module.exports = {
+    name: 'frames',
+    summary: 'Link the frames of the multi-frame instances in the hash database to matching single-frame instances',
+    maxPositionals: 0,
+    options,
+    run
+}
@@ -0,0 +1,286 @@
+/**
+ * @fileoverview index command - scans folders and stores one record per DICOM file
+ * (hash and main UIDs) in a local LMDB database keyed by file path.
+ *
+ * The index is kept between runs: files whose size and modification time did not change since
+ * they were indexed (with the same hash options) are not read again, new and changed files are
+ * hashed and the records of the files deleted from the scanned folders are removed.
+ *
+ * With --database the records are written to the database of config.json (PostgreSQL, MongoDB
+ * or LMDB, see lib/storage) instead of the LMDB folder of --db.
+ */
+const fs = require('fs')
+const fsPromises = require('fs/promises')
+const path = require('path')
+const cliProgress = require('cli-progress')
+const dicomParser = require('dicom-parser')
+
+const { EXIT } = require('../cli')
+const { DEFAULT_CONFIG_PATH, DEFAULT_INDEX_PATH, loadConfig } = require('../config')
+const { removeNestedFolders, walkFiles, isDicomCandidate } = require('../fileHelper')
+const { checkStorageConfig, openStorage, describeStorage } = require('../storage')
+const { hashDataSet, loadPlugins, reportDecodeFallbacks, pluginOption, hashModeOption, framesOption, perceptualOption } = require('../hashStrategies')
+
+
+
+const options = [
+    { name: 'db', flags: ['--db'], arg: '<path>', default: DEFAULT_INDEX_PATH, description: 'LMDB index folder' },
+    { name: 'database', flags: ['--database'], description: 'Write the records to the database of config.json instead of --db' },
+    { name: 'config', flags: ['--config'], arg: '<file>', default: DEFAULT_CONFIG_PATH, description: 'Configuration file (with --database)' },
+    { name: 'deep', flags: ['-d', '--deep'], description: 'Deep scan: check every file whatever the extension' },
+    { name: 'full', flags: ['--full'], description: 'Hash every file again, even the unchanged ones (e.g. after changing the hash plugins)' },
+    pluginOption,
+    hashModeOption,
+    framesOption,
+    perceptualOption,
+]
+
+
+
+
+/**
+ * Scans the folders and updates the index
+ * @param {object} opts - parsed options
+ * @param {string[]} folderArgs - folders to index
+ * @returns {Promise<number>} - exit code
+ */
+async function run(opts, folderArgs) {
+    const startTime = Date.now()
+    const dbPath = path.resolve(opts.db)
+    opts.plugins.forEach(loadPlugins)
+
+    const databaseConfig = opts.database ? loadConfig(opts.config).database : { type: 'lmdb', path: dbPath }
+    const configProblem = checkStorageConfig(databaseConfig)
+    if (configProblem) {
+        console.error(configProblem)
+        return EXIT.FAILURE
+    }
+
+    const storage = await openStorage(databaseConfig)
+
+    try {
+        // Remove nested folders to avoid processing subfolders multiple times
+        const folders = removeNestedFolders(folderArgs.map(f => path.resolve(f)))
+
+        if (opts.database) console.log(`indexing into the ${describeStorage(databaseConfig)}`)
+        console.log('processing folders:')
+        folders.forEach(f => console.log(' -', f))
+
+        const hashOptions = { mode: opts.hashMode, frames: opts.frames, perceptual: opts.perceptual }
+        await scanAndIndexFiles(storage, folders, { deepMode: opts.deep, full: opts.full }, hashOptions, path.join(path.dirname(dbPath), 'scan-errors.log'))
+        reportDecodeFallbacks()
+
+    } finally {
+        await storage.close()
+        console.log(`Time taken: ${(Date.now() - startTime) / 1000} seconds`)
+    }
+
+    return EXIT.OK
+}
+
+
+
+
+/**
+ * Key of the hash options a record was built with, a record built with other options is hashed again
+ * @param {object} hashOptions - see lib/hashStrategies.js
+ * @returns {string} - e.g. "raw" or "decoded+frames"
+ */
+function hashOptionsKey(hashOptions) {
+    return [hashOptions.mode || 'raw', hashOptions.frames && 'frames', hashOptions.perceptual && 'perceptual'].filter(Boolean).join('+')
+}
+
+
+
+
+/**
+ * @param {string} filePath
+ * @param {string[]} folders
+ * @returns {boolean} - true if the file is inside one of the folders
+ */
+const isInside = (filePath, folders) => folders.some(folder => filePath.startsWith(folder.endsWith(path.sep) ? folder : folder + path.sep))
+
+
+
+
+/**
+ * Scan folders recursively, apply filtering rules, and update the file entries in the storage.
+ * Unchanged files (same size, modification time and hash options) are skipped, entries of files
+ * that are gone from the scanned folders are removed
+ * @param {object} storage - open storage, see lib/storage
+ * @param {string[]} folders - folders to scan
+ * @param {{deepMode: boolean, full: boolean}} scanOptions - deepMode checks every file whatever the
+ *        extension, full hashes the unchanged files again
+ * @param {object} hashOptions - see lib/hashStrategies.js
+ * @param {string} errorLogPath - where to write the list of files that failed
+ * @returns {Promise<{added: number, updated: number, removed: number, unchanged: number}>}
+ */
+async function scanAndIndexFiles(storage, folders, { deepMode, full }, hashOptions, errorLogPath) {
+    const bar = new cliProgress.SingleBar({
+        format: 'Processing [{bar}] {percentage}% | {value}/{total} files',
+        barCompleteChar: '█',
+        barIncompleteChar: '░',
+        hideCursor: true
+    })
+
+    const errors = []
+    // the entries of folders that can't be read are kept, they may be back on the next run
+    const unreadableFolders = []
+    const onError = (filePath, err) => {
+        errors.push({ filePath, message: err.message })
+        if (err.code && err.syscall === 'scandir') unreadableFolders.push(filePath)
+    }
+
+    const indexedWith = hashOptionsKey(hashOptions)
+    const counts = { added: 0, updated: 0, removed: 0, unchanged: 0 }
+    // every file that passed the filters, the other entries of the scanned folders are pruned
+    const seen = new Set()
+
+    let totalFiles = 0
+    let dicomCount = 0
+
+    for (const folder of folders) {
+        for await (const filePath of walkFiles(folder, onError)) {
+            totalFiles++
+
+            if (totalFiles === 1) bar.start(500, 1)
+            if (totalFiles === 500) bar.setTotal(1000)
+            if (totalFiles === 1000) bar.setTotal(5000)
+            if (totalFiles === 5000) bar.setTotal(10000)
+            if (totalFiles === 10000) bar.setTotal(100000)
+            if (totalFiles === 100000) bar.setTotal(1000000)
+            if (totalFiles % 1000000 === 0 && totalFiles >= 1000000) bar.setTotal(totalFiles + 1000000)
+
+            bar.update(totalFiles)
+
+            try {
+                const fileName = path.basename(filePath)
+                if (!isDicomCandidate(filePath, deepMode)) continue
+
+                seen.add(filePath)
+
+                const stats = await fsPromises.stat(filePath)
+                const existing = await storage.get(filePath)
+
+                if (!full && existing && existing.size === stats.size && existing.mtimeMs === stats.mtimeMs && existing.indexedWith === indexedWith) {
+                    counts.unchanged++
+                    dicomCount++
+                    continue
+                }
+
+                const dicomInfo = await processDicom(filePath, stats, hashOptions)
+                if (!dicomInfo) {
+                    // replaced by a file that is not a DICOM file
+                    if (existing) {
+                        await storage.delete([filePath])
+                        counts.removed++
+                    }
+                    continue
+                }
+
+                dicomCount++
+
+                const record = {
+                    path: filePath,
+                    fileName,
+                    size: stats.size,
+                    mtimeMs: stats.mtimeMs,
+                    indexedWith,
+                    ...dicomInfo
+                }
+
+                await storage.put(record)
+                existing ? counts.updated++ : counts.added++
+
+            } catch (err) {
+                onError(filePath, err)
+            }
+        }
+    }
+
+    bar.setTotal(totalFiles)
+    bar.stop()
+
+    // prune the entries of the scanned folders whose file is gone
+    const gone = []
+    for (const folder of folders) {
+        for await (const { key } of storage.iterate({ pathPrefix: folder.endsWith(path.sep) ? folder : folder + path.sep })) {
+            if (!seen.has(key) && !isInside(key, unreadableFolders)) gone.push(key)
+        }
+    }
+    counts.removed += await storage.delete(gone)
+
+    if (errors.length > 0) {
+        fs.writeFileSync(errorLogPath, errors.map(e => `${e.filePath} :: ${e.message}`).join('\n'))
+        console.log(`Erros registados em: ${errorLogPath}`)
+    }
+
+    console.log(`Total de ficheiros verificados: ${totalFiles}`)
+    console.log(`Total de DICOMs válidos: ${dicomCount}`)
+    console.log(`Total de erros: ${errors.length}`)
+    console.log(`Entradas adicionadas: ${counts.added}, atualizadas: ${counts.updated}, removidas: ${counts.removed}, inalteradas: ${counts.unchanged}`)
+
+    return counts
+}
+
+
+
+
+/**
+ * Reads a DICOM file and extracts the hash and the main identifiers.
+ * The hash is null for objects that no hash strategy handles, they are still indexed
+ * @param {string} filePath - path to the file
+ * @param {fs.Stats} stats - stats of the file
+ * @param {object} hashOptions - see lib/hashStrategies.js
+ * @returns {Promise<object|null>} - record to store, or null if the file is not a DICOM file
+ * @throws if the file can't be read (e.g. EACCES or EIO on a share), so its entry is kept
+ */
+async function processDicom(filePath, stats, hashOptions) {
+    if (stats.size > 1_000_000_000) return null // file too large
+
+    const buffer = await fsPromises.readFile(filePath)
+
+    if (!Buffer.isBuffer(buffer) || buffer.length < 128) return null
+
+    let dataSet
+    try {
+        dataSet = dicomParser.parseDicom(buffer)
+    } catch (err) {
+        // ficheiro não é DICOM
+        return null
+    }
+
+    const get = tag => {
+        try {
+            return dataSet.string(tag) || null
+        } catch (err) {
+            return null
+        }
+    }
+
+    const { hash, strategy, frameHashes = null, perceptualHash = null } = hashDataSet(dataSet, hashOptions) || { hash: null, strategy: null }
+
+    return {
+        hash,
+        strategy,
+        frameHashes,
+        perceptualHash,
+        patientId: get('x00100020'),
+        studyInstanceUid: get('x0020000d'),
+        seriesInstanceUid: get('x0020000e'),
+        sopInstanceUid: get('x00080018'),
+        sopClassUid: get('x00080016'),
+        modality: get('x00080060')
+    }
+}
+
+
+
+module.exports = {
+    name: 'index',
+    summary: 'Build or update a local LMDB index (hash and UIDs) of the DICOM files in one or more folders',
+    usage: '<folder> [folder ...]',
+    minPositionals: 1,
+    options,
+    run
+}
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview query command - searches the local LMDB index written by the index command,
+ * by UIDs, modality or path prefix, and lists the sets of duplicate files.
+ */
+const fs = require('fs')
+const path = require('path')
+
+const { EXIT } = require('../cli')
+const { DEFAULT_INDEX_PATH } = require('../config')
+const { openIndex, findRecords, findDuplicateGroups } = require('../indexStore')
+const { toCsv } = require('../csv')
+
+
+
+const FORMATS = ['table', 'json', 'csv']
+
+// columns of the table output, the csv and json outputs have every field
+const TABLE_COLUMNS = ['path', 'patientId', 'modality', 'studyInstanceUid', 'seriesInstanceUid', 'hash']
+const CSV_COLUMNS = [
+    'path', 'fileName', 'patientId', 'studyInstanceUid', 'seriesInstanceUid', 'sopInstanceUid',
+    'sopClassUid', 'modality', 'hash', 'strategy', 'size', 'mtimeMs'
+]
+
+const options = [
+    { name: 'db', flags: ['--db'], arg: '<path>', default: DEFAULT_INDEX_PATH, description: 'LMDB index folder' },
+    { name: 'patientId', flags: ['--patient'], arg: '<id>', description: 'Only files of this PatientID' },
+    { name: 'studyInstanceUid', flags: ['--study'], arg: '<uid>', description: 'Only files of this StudyInstanceUID' },
+    { name: 'seriesInstanceUid', flags: ['--series'], arg: '<uid>', description: 'Only files of this SeriesInstanceUID' },
+    { name: 'modality', flags: ['--modality'], arg: '<modality>', description: 'Only files of this Modality, e.g. CT' },
+    { name: 'sopClassUid', flags: ['--sop-class'], arg: '<uid>', description: 'Only files of this SOPClassUID' },
+    { name: 'hash', flags: ['--hash'], arg: '<hash>', description: 'Only files with this content hash' },
+    { name: 'pathPrefix', flags: ['--path'], arg: '<prefix>', description: 'Only files whose path starts with this prefix' },
+    { name: 'groupByHash', flags: ['-g', '--group-by-hash'], description: 'List the sets of files with the same hash (sets with at least one matching file)' },
+    { name: 'format', flags: ['--format'], arg: '<format>', choices: FORMATS, default: 'table', description: 'Output format' },
+    { name: 'limit', flags: ['-n', '--limit'], arg: '<count>', parse: Number, default: 50, description: 'Maximum number of files (or sets with -g) to display, 0 for all' },
+]
+
+
+
+
+/**
+ * Runs the query
+ * @param {object} opts - parsed options
+ * @returns {Promise<number>} - exit code
+ */
+async function run(opts) {
+    const dbPath = path.resolve(opts.db)
+    if (!fs.existsSync(dbPath)) {
+        console.error(`Index not found at ${dbPath}, run "dicom-hash index <folder>" first`)
+        return EXIT.FAILURE
+    }
+
+    const filters = {
+        patientId: opts.patientId,
+        studyInstanceUid: opts.studyInstanceUid,
+        seriesInstanceUid: opts.seriesInstanceUid,
+        modality: opts.modality,
+        sopClassUid: opts.sopClassUid,
+        hash: opts.hash,
+        pathPrefix: opts.pathPrefix && path.resolve(opts.pathPrefix),
+    }
+
+    const index = await openIndex(dbPath, { readOnly: true })
+
+    try {
+        const results = opts.groupByHash ? findDuplicateGroups(index, filters) : findRecords(index, filters)
+        const items = take(results, opts.limit)
+
+        if (opts.groupByHash) {
+            printGroups(items, opts.format)
+        } else {
+            printRecords(items, opts.format)
+        }
+    } finally {
+        await index.close()
+    }
+
+    return EXIT.OK
+}
+
+
+
+
+/**
+ * @param {Iterable} iterable
+ * @param {number} limit - 0 for all
+ * @returns {Array} - the first items
+ */
+function take(iterable, limit) {
+    const items = []
+    for (const item of iterable) {
+        if (limit > 0 && items.length >= limit) break
+        items.push(item)
+    }
+    return items
+}
+
+
+
+
+/**
+ * Prints a list of records
+ * @param {object[]} records - see findRecords
+ * @param {string} format - one of FORMATS
+ */
+function printRecords(records, format) {
+    if (format === 'json') {
+        console.log(JSON.stringify(records, null, 2))
+    } else if (format === 'csv') {
+        console.log(toCsv(CSV_COLUMNS, records))
+    } else {
+        console.log(toTable(TABLE_COLUMNS, records))
+        console.log(`\n${records.length} files`)
+    }
+}
+
+
+
+
+/**
+ * Prints the duplicate sets, one row per file with the number of its set
+ * @param {{hash: string, strategy: string, records: object[]}[]} groups - see findDuplicateGroups
+ * @param {string} format - one of FORMATS
+ */
+function printGroups(groups, format) {
+    if (format === 'json') {
+        console.log(JSON.stringify(groups, null, 2))
+        return
+    }
+
+    const rows = groups.flatMap((group, i) => group.records.map(record => ({ group: i + 1, ...record })))
+    if (format === 'csv') {
+        console.log(toCsv(['group', ...CSV_COLUMNS], rows))
+    } else {
+        console.log(toTable(['group', ...TABLE_COLUMNS], rows))
+        console.log(`\n${groups.length} sets of duplicates, ${rows.length} files`)
+    }
+}
+
+
+
+
+/**
+ * @param {string[]} columns
+ * @param {object[]} rows
+ * @returns {string} - aligned text table with a header line
+ */
+function toTable(columns, rows) {
+    const cell = value => value === null || value === undefined ? '' : String(value)
+    const widths = columns.map(column => Math.max(column.length, ...rows.map(row => cell(row[column]).length)))
+    const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd()
+
+    return [
+        line(columns),
+        line(widths.map(width => '-'.repeat(width))),
+        ...rows.map(row => line(columns.map(column => cell(row[column]))))
+    ].join('\n')
+}
+
+
+
+module.exports = {
+    name: 'query',
+    summary: 'Search the local LMDB index by UIDs, modality or path and list duplicate sets',
+    maxPositionals: 0,
+    options,
+    run
+}
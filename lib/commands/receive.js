@@ -0,0 +1,354 @@
+/**
+ * @fileoverview receive command - DICOM Storage SCP that hashes every instance pushed to it
+ * (C-STORE) and checks it against the hash database of config.json, so duplicates are caught
+ * while the data arrives instead of afterwards.
+ *
+ * Every received instance is hashed like a file (see lib/fileHelper.js) and compared with the
+ * hash database and with the instances received since the start. A duplicate is flagged and kept,
+ * or rejected with a C-STORE failure (--on-duplicate). Kept instances are written to a folder
+ * (--store) and / or sent to the Orthanc of config.json (--forward) before the sender gets its answer.
+ *
+ * Associations, instances and duplicates are reported as text, or as JSON lines with -c like dups -c.
+ */
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const dicomParser = require('dicom-parser')
+
+const { EXIT, UsageError } = require('../cli')
+const { DEFAULT_CONFIG_PATH, loadConfig } = require('../config')
+const { hashDicomBuffer, hashFile } = require('../fileHelper')
+const { loadPlugins, pluginOption, hashModeOption } = require('../hashStrategies')
+const { readIdentity } = require('../identityConflicts')
+const { createAxiosInstance } = require('../orthanc')
+const { checkStorageConfig, openStorage, describeStorage } = require('../storage')
+const { STATUS, ASSOCIATION_RJ_REASON, createStorageScp, buildPart10 } = require('../dimse')
+
+
+
+const DUPLICATE_POLICIES = ['flag', 'reject']
+
+const options = [
+    { name: 'config', flags: ['--config'], arg: '<file>', default: DEFAULT_CONFIG_PATH, description: 'Configuration file' },
+    { name: 'host', flags: ['--host'], arg: '<address>', default: '0.0.0.0', description: 'Address to listen on' },
+    { name: 'port', flags: ['-p', '--port'], arg: '<port>', parse: Number, default: 11112, description: 'DICOM port to listen on' },
+    { name: 'aeTitle', flags: ['--ae-title'], arg: '<title>', default: 'DICOMHASH', description: 'AE title of the receiver, associations called for another title are rejected' },
+    { name: 'allowCalling', flags: ['--allow-calling'], arg: '<title>', multiple: true, description: 'Only accept associations from this calling AE title (repeatable, default: any)' },
+    { name: 'onDuplicate', flags: ['--on-duplicate'], arg: '<policy>', choices: DUPLICATE_POLICIES, default: 'flag', description: 'Keep and flag duplicate instances, or reject them with a C-STORE failure' },
+    { name: 'store', flags: ['--store'], arg: '<dir>', description: 'Write the kept instances to this folder (<study>/<series>/<instance>.dcm, never overwritten)' },
+    { name: 'forward', flags: ['--forward'], description: 'Send the kept instances to the Orthanc of config.json' },
+    { name: 'communicate', flags: ['-c', '--communicate'], description: 'Output one JSON object per line (associations, instances, duplicates and summary)' },
+    pluginOption,
+    hashModeOption,
+]
+
+
+
+
+/**
+ * Runs the Storage SCP until SIGINT / SIGTERM
+ * @param {object} opts - parsed options
+ * @returns {Promise<number>} - exit code
+ */
+async function run(opts) {
+    if (!Number.isInteger(opts.port) || opts.port < 0 || opts.port > 65535) {
+        throw new UsageError('--port must be a port number (0 to 65535)')
+    }
+    if (!opts.store && !opts.forward) {
+        throw new UsageError('Give --store <dir> and / or --forward, the received instances have to be kept somewhere')
+    }
+    if (!opts.aeTitle || opts.aeTitle.length > 16) {
+        throw new UsageError('--ae-title must have 1 to 16 characters')
+    }
+    opts.plugins.forEach(loadPlugins)
+    const { orthanc, database } = loadConfig(opts.config)
+
+    const configProblem = checkStorageConfig(database)
+    if (configProblem) {
+        console.error(configProblem)
+        return EXIT.FAILURE
+    }
+    if (opts.forward && (!orthanc || !orthanc.url)) {
+        console.error('Invalid Orthanc configuration in config.json, needed by --forward')
+        return EXIT.FAILURE
+    }
+
+    const context = {
+        storage: await openStorage(database, { readOnly: true }),
+        axiosInstance: opts.forward ? createAxiosInstance(orthanc) : null,
+        storeDir: opts.store ? path.resolve(opts.store) : null,
+        hashOptions: { mode: opts.hashMode },
+        onDuplicate: opts.onDuplicate,
+        communicate: opts.communicate,
+        // hashes of the instances kept since the start, duplicates within a push are caught too
+        received: new Map(),
+        counts: { associations: 0, received: 0, kept: 0, duplicates: 0, rejected: 0, unhashable: 0, failed: 0 },
+        startedAt: Date.now()
+    }
+
+    try {
+        const sockets = new Set()
+        const server = createStorageScp({
+            onAssociate: info => {
+                const rejection = info.calledAeTitle !== opts.aeTitle
+                    ? ASSOCIATION_RJ_REASON.CALLED_AE_NOT_RECOGNIZED
+                    : opts.allowCalling.length && !opts.allowCalling.includes(info.callingAeTitle)
+                        ? ASSOCIATION_RJ_REASON.CALLING_AE_NOT_RECOGNIZED
+                        : null
+                const reason = rejection === ASSOCIATION_RJ_REASON.CALLED_AE_NOT_RECOGNIZED ? `called AE title is not ${opts.aeTitle}`
+                    : rejection ? 'calling AE title not allowed' : null
+                report(context, { type: "association", event: rejection ? 'rejected' : 'accepted', ...info, ...(reason ? { reason } : {}) })
+                if (!rejection) context.counts.associations++
+                return rejection
+            },
+            onStore: request => receiveInstance(context, request),
+            onClose: info => report(context, { type: "association", event: 'closed', ...info })
+        })
+        server.on('connection', socket => {
+            sockets.add(socket)
+            socket.on('close', () => sockets.delete(socket))
+        })
+
+        await new Promise((resolve, reject) => {
+            server.once('error', reject)
+            server.listen(opts.port, opts.host, resolve)
+        })
+        if (!context.communicate) {
+            const { address, port } = server.address()
+            console.log(`Receiving as ${opts.aeTitle} on ${address}:${port}, checking against the ${describeStorage(database)}`)
+            console.log(`Duplicates are ${opts.onDuplicate === 'reject' ? 'rejected' : 'flagged and kept'}, Ctrl+C to stop`)
+        }
+
+        // the first signal waits for the open associations, the second one aborts them
+        await new Promise(resolve => {
+            let stopping = false
+            const stop = () => {
+                if (stopping) {
+                    sockets.forEach(socket => socket.destroy())
+                    return
+                }
+                stopping = true
+                server.close(resolve)
+                if (sockets.size && !context.communicate) {
+                    console.log(`Waiting for ${sockets.size} open associations, Ctrl+C again to abort them`)
+                }
+            }
+            process.on('SIGINT', stop)
+            process.on('SIGTERM', stop)
+        })
+    } finally {
+        await context.storage.close()
+    }
+
+    const { counts } = context
+    const timeSeconds = (Date.now() - context.startedAt) / 1000
+    if (context.communicate) {
+        process.stdout.write(JSON.stringify({ type: "summary", ...counts, timeSeconds }) + "\n")
+    } else {
+        console.log('---------------------------------------------------')
+        console.log(`Associations: ${counts.associations}, instances received: ${counts.received}, kept: ${counts.kept}, `
+            + `duplicates: ${counts.duplicates} (rejected: ${counts.rejected}), unhashable: ${counts.unhashable}, failed: ${counts.failed}`)
+    }
+    return EXIT.OK
+}
+
+
+
+
+/**
+ * Hashes and checks a received instance, then keeps or rejects it
+ * @param {object} context - receiver context (see run)
+ * @param {object} request - C-STORE request (see lib/dimse.js createStorageScp)
+ * @returns {Promise<{status: number, comment?: string}>} - C-STORE status
+ */
+async function receiveInstance(context, request) {
+    const { callingAeTitle, sopClassUid, sopInstanceUid, transferSyntaxUid } = request
+    const file = buildPart10(request.dataSet, { sopClassUid, sopInstanceUid, transferSyntaxUid, sourceAeTitle: callingAeTitle })
+    const instance = { callingAeTitle, sopInstanceUid, sopClassUid, transferSyntaxUid }
+    context.counts.received++
+
+    try {
+        let hashed = null
+        try {
+            hashed = hashDicomBuffer(file, context.hashOptions)
+            instance.hash = hashed.hash
+            instance.strategy = hashed.strategy
+        } catch (error) {
+            // kept anyway: the sender's data is not dropped because it can't be hashed
+            instance.reason = error.message || String(error)
+            context.counts.unhashable++
+        }
+
+        const matches = hashed ? await findMatches(context, hashed.hash) : []
+        if (matches.length) {
+            const rejected = context.onDuplicate === 'reject'
+            context.counts.duplicates++
+            report(context, { type: "duplicate", ...instance, action: rejected ? 'rejected' : 'flagged', matches })
+
+            if (rejected) {
+                context.counts.rejected++
+                report(context, { type: "instance", ...instance, status: 'rejected', duplicate: true })
+                return { status: STATUS.DUPLICATE_SOP_INSTANCE, comment: `Duplicate content of ${describeMatch(matches[0])}` }
+            }
+        }
+
+        const kept = await keepInstance(context, file)
+        context.counts.kept++
+        if (hashed && !context.received.has(hashed.hash)) {
+            context.received.set(hashed.hash, { receivedFrom: callingAeTitle, sopInstanceUid, ...kept })
+        }
+        report(context, { type: "instance", ...instance, status: hashed ? 'kept' : 'unhashable', duplicate: matches.length > 0, ...kept })
+        return { status: STATUS.SUCCESS }
+
+    } catch (error) {
+        context.counts.failed++
+        report(context, { type: "instance", ...instance, status: 'failed', error: error.message })
+        return { status: STATUS.PROCESSING_FAILURE, comment: error.message }
+    }
+}
+
+
+
+
+/**
+ * @param {object} context - receiver context (see run)
+ * @param {string} hash
+ * @returns {Promise<object[]>} - records of the database and instances received since the start with this hash
+ * @throws if the database can't be read
+ */
+async function findMatches(context, hash) {
+    const records = await context.storage.findByHash(hash)
+    const matches = records.map(record => ({
+        orthancId: record.orthancId || null,
+        instanceId: record.instanceId || record.sopInstanceUid || null,
+        path: record.orthancId ? null : record.path || null,
+    }))
+    if (context.received.has(hash)) matches.push({ received: true, ...context.received.get(hash) })
+    return matches
+}
+
+
+
+
+/**
+ * @param {object} match - see findMatches
+ * @returns {string} - short description for the text output and the C-STORE error comment
+ */
+function describeMatch(match) {
+    if (match.received) return `instance ${match.sopInstanceUid} received from ${match.receivedFrom}`
+    return match.orthancId ? `Orthanc ID ${match.orthancId}` : match.path
+}
+
+
+
+
+/**
+ * Writes the instance to the --store folder and / or sends it to Orthanc
+ * @param {object} context - receiver context (see run)
+ * @param {Buffer} file - DICOM file of the instance
+ * @returns {Promise<{path?: string, orthancId?: string}>} - where the instance was kept
+ * @throws if it can't be written or sent
+ */
+async function keepInstance(context, file) {
+    const kept = {}
+
+    if (context.storeDir) {
+        // the UIDs are read again from the data set, the path only takes their digits and dots
+        let identity = {}
+        try {
+            identity = readIdentity(dicomParser.parseDicom(file, { untilTag: 'x7fe00010' }))
+        } catch (error) {
+            // stored under "unknown"
+        }
+        const safe = uid => (uid || 'unknown').replace(/[^0-9.]/g, '_')
+        const filePath = path.join(context.storeDir, safe(identity.studyInstanceUid), safe(identity.seriesInstanceUid), `${safe(identity.sopInstanceUid)}.dcm`)
+
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+        // written next to its final name first, so a crash leaves no truncated instance
+        const partialPath = `${filePath}.${process.pid}.partial`
+        await fs.promises.writeFile(partialPath, file)
+        try {
+            kept.path = await placeFile(partialPath, filePath, crypto.createHash('sha256').update(file).digest('hex'))
+        } finally {
+            await fs.promises.unlink(partialPath)
+        }
+    }
+
+    if (context.axiosInstance) {
+        const response = await context.axiosInstance.post('/instances', file, {
+            headers: { 'Content-Type': 'application/dicom' },
+            maxBodyLength: Infinity
+        })
+        kept.orthancId = response.data.ID
+    }
+
+    return kept
+}
+
+
+
+
+/**
+ * Gives the written file its final name without replacing another instance with the same
+ * SOPInstanceUID: an instance with other bytes goes next to it, with its SHA-256 in the name
+ * @param {string} partialPath - written file
+ * @param {string} filePath - <instance>.dcm path
+ * @param {string} sha256 - SHA-256 of the written file
+ * @returns {Promise<string>} - final path, an existing file with the same bytes is reused
+ * @throws if both names are taken by other bytes, or the file can't be linked
+ */
+async function placeFile(partialPath, filePath, sha256) {
+    for (const candidate of [filePath, filePath.replace(/\.dcm$/, `.${sha256}.dcm`)]) {
+        try {
+            // unlike rename, link never replaces an existing file
+            await fs.promises.link(partialPath, candidate)
+            return candidate
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error
+        }
+        if (await hashFile(candidate) === sha256) return candidate
+    }
+    throw new Error(`another instance with other bytes is already stored as ${filePath}`)
+}
+
+
+
+
+/**
+ * Prints an event, as a JSON line with -c
+ * @param {object} context - receiver context (see run)
+ * @param {object} event - { type: "association" | "instance" | "duplicate", ... }
+ */
+function report(context, event) {
+    if (context.communicate) {
+        process.stdout.write(JSON.stringify(event) + "\n")
+        return
+    }
+
+    if (event.type === 'association') {
+        const { event: what, callingAeTitle, calledAeTitle, remoteAddress, reason } = event
+        console.log(`Association ${what}: ${callingAeTitle} (${remoteAddress}) -> ${calledAeTitle}${reason ? `, ${reason}` : ''}`)
+
+    } else if (event.type === 'duplicate') {
+        console.log(`[duplicate, ${event.action}] ${event.sopInstanceUid} from ${event.callingAeTitle}`)
+        event.matches.forEach(match => console.log(`    same content as ${describeMatch(match)}`))
+
+    } else if (event.status === 'failed') {
+        console.log(`[failed] ${event.sopInstanceUid} from ${event.callingAeTitle}: ${event.error}`)
+
+    } else if (event.status !== 'rejected') {
+        const where = [event.path, event.orthancId && `Orthanc ID ${event.orthancId}`].filter(Boolean).join(', ')
+        const unhashable = event.status === 'unhashable' ? ` (unhashable: ${event.reason})` : ''
+        console.log(`[${event.duplicate ? 'kept' : 'new'}] ${event.sopInstanceUid} from ${event.callingAeTitle} -> ${where}${unhashable}`)
+    }
+}
+
+
+
+module.exports = {
+    name: 'receive',
+    summary: 'DICOM Storage SCP: hash every received instance and flag or reject the duplicates of the hash database',
+    maxPositionals: 0,
+    options,
+    run
+}
@@ -0,0 +1,348 @@
+/**
+ * @fileoverview resolve command - cleans up the duplicate groups of a dups report by moving the
+ * redundant copies to a quarantine folder, deleting them, or replacing them with hardlinks or
+ * symlinks to the kept copy (the first file of each group, or the one chosen by the --keep rules).
+ *
+ * Resolving is done in two steps:
+ *   1. resolve <report> --action <action> --dry-run   checks every group and writes the plan
+ *   2. resolve --apply <plan>                         takes the actions of the plan
+ * The dry run hashes every file again and only plans actions for copies whose content hash still
+ * matches the kept copy. Delete, hardlink and symlink are only planned for byte-identical copies, the
+ * other ones are moved to the --quarantine folder if one is given, or skipped. Before an action is taken, the SHA-256 of both files is compared with the
+ * plan, so files modified after the dry run are left alone. Both steps write a manifest (see lib/manifest.js).
+ */
+const fs = require('fs-extra')
+const path = require('path')
+
+const { EXIT, UsageError } = require('../cli')
+const { processDicomFile, hashFile } = require('../fileHelper')
+const { readDuplicateReport } = require('../duplicateReport')
+const { createManifest, readManifest } = require('../manifest')
+const { loadPlugins, pluginOption, hashModeOption } = require('../hashStrategies')
+const { VERIFICATION, verifyGroup } = require('../groupVerification')
+const { parseKeepRule, chooseKeeper, keepOption } = require('../keepPolicy')
+
+
+
+const ACTIONS = ['quarantine', 'delete', 'hardlink', 'symlink']
+
+const options = [
+    { name: 'action', flags: ['-a', '--action'], arg: '<action>', choices: ACTIONS, description: 'What to do with the redundant copies' },
+    { name: 'quarantine', flags: ['-q', '--quarantine'], arg: '<dir>', description: 'Quarantine folder, the copies keep their full path inside it (with --action quarantine, or for the copies that are not byte-identical with the other actions)' },
+    { name: 'dryRun', flags: ['--dry-run'], description: 'Preview the actions and write the plan, nothing is changed' },
+    { name: 'verify', flags: ['--verify'], description: 'Compare every copy byte for byte with the kept copy during the dry run, and skip the hash-only matches' },
+    { ...keepOption, description: `${keepOption.description}. Without rules the first file of each group is kept` },
+    { name: 'apply', flags: ['--apply'], arg: '<plan>', description: 'Take the actions of a plan written by --dry-run' },
+    { name: 'manifest', flags: ['-m', '--manifest'], arg: '<file>', description: 'Where to write the plan or manifest (default: resolve-plan-<time>.jsonl or resolve-manifest-<time>.jsonl)' },
+    pluginOption,
+    hashModeOption,
+]
+
+
+
+
+/**
+ * Runs the dry run or applies a plan
+ * @param {object} opts - parsed options
+ * @param {string[]} positionals - the duplicate report (dry run only)
+ * @returns {Promise<number>} - exit code
+ */
+async function run(opts, [reportArg]) {
+    if (opts.apply) {
+        if (reportArg || opts.action || opts.quarantine || opts.dryRun || opts.verify || opts.keep.length) {
+            throw new UsageError('--apply takes the report and the action from the plan, it can\'t be combined with a report, --action, --quarantine, --verify, --keep or --dry-run')
+        }
+        return applyPlan(path.resolve(opts.apply), opts.manifest)
+    }
+
+    if (!opts.dryRun) {
+        throw new UsageError('Preview the actions first with --dry-run, then take them with --apply <plan>')
+    }
+    if (!reportArg) {
+        throw new UsageError('Missing duplicate report')
+    }
+    if (!opts.action) {
+        throw new UsageError('Missing --action')
+    }
+    if (opts.action === 'quarantine' && !opts.quarantine) {
+        throw new UsageError('--action quarantine needs a --quarantine folder')
+    }
+
+    try {
+        opts.keepRules = opts.keep.map(parseKeepRule)
+    } catch (error) {
+        throw new UsageError(error.message)
+    }
+
+    opts.plugins.forEach(loadPlugins)
+    return planActions(path.resolve(reportArg), opts)
+}
+
+
+
+
+/**
+ * Reads what the actions need to know about a file
+ * @param {string} filePath
+ * @param {object} hashOptions - see lib/hashStrategies.js
+ * @returns {Promise<object|null>} - { stats, contentHash, strategy, sha256 }, null if the file doesn't exist
+ */
+async function describeFile(filePath, hashOptions) {
+    let stats
+    try {
+        stats = await fs.lstat(filePath)
+    } catch (error) {
+        return null
+    }
+    if (!stats.isFile()) return { stats }
+
+    const result = await processDicomFile(filePath, { dicoms: 0 }, hashOptions)
+    return {
+        stats,
+        contentHash: result ? result.hash : null,
+        strategy: result ? result.strategy : null,
+        sha256: await hashFile(filePath)
+    }
+}
+
+
+
+
+/**
+ * @param {string} filePath - absolute path
+ * @param {string} quarantineDir - absolute path
+ * @returns {string} - where the file goes in the quarantine folder, e.g. /q/data/a/b.dcm for /data/a/b.dcm
+ */
+function quarantinePath(filePath, quarantineDir) {
+    return path.join(quarantineDir, path.relative(path.parse(filePath).root, filePath))
+}
+
+
+
+
+/**
+ * Dry run: checks every group of the report and writes the plan
+ * @param {string} reportPath - duplicate report
+ * @param {object} opts - parsed options
+ * @returns {Promise<number>} - exit code
+ */
+async function planActions(reportPath, opts) {
+    const groups = readDuplicateReport(reportPath)
+    const hashOptions = { mode: opts.hashMode }
+    const quarantineDir = opts.quarantine ? path.resolve(opts.quarantine) : null
+    const planPath = path.resolve(opts.manifest || `resolve-plan-${Date.now()}.jsonl`)
+
+    const manifest = createManifest(planPath, {
+        dryRun: true,
+        createdAt: new Date().toISOString(),
+        report: reportPath,
+        action: opts.action,
+        quarantine: quarantineDir,
+        hashMode: opts.hashMode,
+        verify: Boolean(opts.verify),
+        keep: opts.keep,
+    })
+
+    let planned = 0
+    let skipped = 0
+    let bytes = 0
+
+    for (const [i, group] of groups.entries()) {
+        const { files, keep } = opts.keepRules.length
+            ? await chooseKeeper(group.map(f => path.resolve(f)), opts.keepRules)
+            : { files: group.map(f => path.resolve(f)), keep: null }
+        const [kept, ...copies] = files
+        const keptInfo = await describeFile(kept, hashOptions)
+        const verification = opts.verify ? await verifyGroup([kept, ...copies], hashOptions) : null
+
+        for (const [j, file] of copies.entries()) {
+            const entry = { group: i + 1, action: opts.action, file, kept, target: null }
+            if (keep) entry.keepReason = keep.reason
+            const check = verification && verification.files[j + 1]
+            if (check) entry.verification = check.verification
+
+            const skip = reason => {
+                manifest.write({ ...entry, status: 'skipped', reason })
+                console.log(`[skip] ${file}: ${reason}`)
+                skipped++
+            }
+
+            if (!keptInfo) { skip('kept copy not found'); continue }
+            if (!keptInfo.stats.isFile()) { skip('kept copy is not a regular file'); continue }
+            if (!keptInfo.contentHash) { skip('kept copy has no content hash'); continue }
+            if (file === kept) { skip('same path as the kept copy'); continue }
+
+            const info = await describeFile(file, hashOptions)
+            if (!info) { skip('file not found'); continue }
+            if (!info.stats.isFile()) { skip('not a regular file (already a symlink?)'); continue }
+            if (info.contentHash !== keptInfo.contentHash || info.strategy !== keptInfo.strategy) { skip('content hash differs from the kept copy'); continue }
+            if (check && check.verification === VERIFICATION.HASH_ONLY) { skip(`${check.verification}${check.reason ? ` (${check.reason})` : ''}`); continue }
+            if (info.stats.dev === keptInfo.stats.dev && info.stats.ino === keptInfo.stats.ino) { skip('already a hardlink of the kept copy'); continue }
+            if (opts.action !== 'quarantine' && info.sha256 !== keptInfo.sha256) {
+                // the header of the copy (e.g. another PatientID) would be lost for good
+                if (!quarantineDir) { skip('same content but different bytes than the kept copy, give --quarantine to move it there instead'); continue }
+                entry.action = 'quarantine'
+                entry.actionReason = `same content but different bytes than the kept copy, quarantined instead of ${opts.action}`
+            }
+            if (entry.action === 'hardlink' && info.stats.dev !== keptInfo.stats.dev) { skip('not on the same file system as the kept copy'); continue }
+
+            if (entry.action === 'quarantine') {
+                entry.target = quarantinePath(file, quarantineDir)
+                if (await fs.pathExists(entry.target)) { skip(`already in quarantine: ${entry.target}`); continue }
+            }
+
+            manifest.write({
+                ...entry,
+                size: info.stats.size,
+                mode: info.stats.mode,
+                mtimeMs: info.stats.mtimeMs,
+                sha256: info.sha256,
+                keptSha256: keptInfo.sha256,
+                contentHash: info.contentHash,
+                strategy: info.strategy,
+                status: 'planned'
+            })
+            console.log(`[plan] ${entry.action} ${file}${entry.target ? ` -> ${entry.target}` : ''} (keep ${kept}${keep ? `: ${keep.reason}` : ''}${check ? `, ${check.verification}` : ''})`)
+            planned++
+            bytes += info.stats.size
+        }
+    }
+
+    console.log('---------------------------------------------------')
+    console.log(`Groups: ${groups.length}, planned: ${planned}, skipped: ${skipped}, space freed: ${formatBytes(bytes)}`)
+    console.log(`Plan saved to ${planPath}`)
+    console.log(`Review it, then run: dicom-hash resolve --apply ${planPath}`)
+    return EXIT.OK
+}
+
+
+
+
+/**
+ * Takes one action
+ * @param {object} entry - planned action
+ */
+async function takeAction(entry) {
+    // hardlinks and symlinks are created next to the file and renamed over it,
+    // so the file is never missing if the link can't be created
+    const replaceWith = async createLink => {
+        const tempPath = `${entry.file}.resolve-${process.pid}.tmp`
+        await createLink(tempPath)
+        try {
+            await fs.rename(tempPath, entry.file)
+        } catch (error) {
+            await fs.remove(tempPath)
+            throw error
+        }
+    }
+
+    switch (entry.action) {
+        case 'quarantine':
+            await fs.move(entry.file, entry.target, { overwrite: false })
+            break
+        case 'delete':
+            await fs.unlink(entry.file)
+            break
+        case 'hardlink':
+            await replaceWith(tempPath => fs.link(entry.kept, tempPath))
+            break
+        case 'symlink':
+            await replaceWith(tempPath => fs.symlink(entry.kept, tempPath))
+            break
+        default:
+            throw new Error(`Unknown action: ${entry.action}`)
+    }
+}
+
+
+
+
+/**
+ * Takes the planned actions of a plan and writes the manifest
+ * @param {string} planPath - plan written by the dry run
+ * @param {string} [manifestArg] - manifest path
+ * @returns {Promise<number>} - exit code, EXIT.FAILURE if an action failed
+ */
+async function applyPlan(planPath, manifestArg) {
+    const { header, actions } = readManifest(planPath)
+    if (!header.dryRun) {
+        throw new UsageError(`${planPath} is not a plan written by --dry-run`)
+    }
+
+    const manifestPath = path.resolve(manifestArg || `resolve-manifest-${Date.now()}.jsonl`)
+    const manifest = createManifest(manifestPath, {
+        ...header,
+        dryRun: false,
+        plan: planPath,
+        appliedAt: new Date().toISOString(),
+    })
+
+    const counts = { done: 0, skipped: 0, failed: 0 }
+    let bytes = 0
+
+    for (const entry of actions.filter(a => a.status === 'planned')) {
+        const record = (status, detail = {}) => {
+            manifest.write({ ...entry, status, ...detail })
+            counts[status]++
+        }
+
+        // the files must be the ones checked by the dry run
+        let sha256, keptSha256
+        try {
+            [sha256, keptSha256] = await Promise.all([hashFile(entry.file), hashFile(entry.kept)])
+        } catch (error) {
+            console.log(`[skip] ${entry.file}: ${error.message}`)
+            record('skipped', { reason: error.message })
+            continue
+        }
+        if (sha256 !== entry.sha256 || keptSha256 !== entry.keptSha256) {
+            console.log(`[skip] ${entry.file}: modified since the dry run`)
+            record('skipped', { reason: 'modified since the dry run' })
+            continue
+        }
+
+        try {
+            await takeAction(entry)
+            console.log(`[done] ${entry.action} ${entry.file}${entry.target ? ` -> ${entry.target}` : ''}`)
+            record('done', { at: new Date().toISOString() })
+            bytes += entry.size
+        } catch (error) {
+            console.error(`[fail] ${entry.action} ${entry.file}: ${error.message}`)
+            record('failed', { error: error.message })
+        }
+    }
+
+    console.log('---------------------------------------------------')
+    console.log(`Done: ${counts.done}, skipped: ${counts.skipped}, failed: ${counts.failed}, space freed: ${formatBytes(bytes)}`)
+    console.log(`Manifest saved to ${manifestPath}`)
+    return counts.failed ? EXIT.FAILURE : EXIT.OK
+}
+
+
+
+
+/**
+ * @param {number} bytes
+ * @returns {string} - e.g. "1.5 GB"
+ */
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB']
+    let value = bytes
+    let unit = 0
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024
+        unit++
+    }
+    return `${unit ? value.toFixed(1) : value} ${units[unit]}`
+}
+
+
+
+module.exports = {
+    name: 'resolve',
+    summary: 'Quarantine, delete, hardlink or symlink the redundant copies of a duplicate report',
+    usage: '[report]',
+    maxPositionals: 1,
+    options,
+    run
+}
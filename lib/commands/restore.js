@@ -0,0 +1,168 @@
+/**
+ * @fileoverview restore command - undoes the actions of a resolve manifest and puts every file
+ * back at its original path.
+ *
+ * Quarantined files are moved back from the quarantine folder. Deleted, hardlinked and symlinked
+ * files are copied back from the kept copy, which is only possible when they were byte-identical
+ * to it: the SHA-256 recorded by resolve is checked before and after every restore, and the files
+ * that can't be restored cleanly are reported.
+ */
+const fs = require('fs-extra')
+const path = require('path')
+
+const { EXIT, UsageError } = require('../cli')
+const { hashFile } = require('../fileHelper')
+const { createManifest, readManifest } = require('../manifest')
+
+
+
+const options = [
+    { name: 'dryRun', flags: ['--dry-run'], description: 'Check what can be restored without changing anything' },
+    { name: 'manifest', flags: ['-m', '--manifest'], arg: '<file>', description: 'Where to write the restore manifest (default: restore-manifest-<time>.jsonl)' },
+]
+
+
+
+
+/**
+ * Restores the files of a resolve manifest
+ * @param {object} opts - parsed options
+ * @param {string[]} args - the resolve manifest
+ * @returns {Promise<number>} - exit code, EXIT.FAILURE if a file could not be restored
+ */
+async function run(opts, [manifestArg]) {
+    const manifestPath = path.resolve(manifestArg)
+    const { header, actions } = readManifest(manifestPath)
+    if (header.dryRun) {
+        throw new UsageError(`${manifestPath} is a plan written by --dry-run, nothing was changed`)
+    }
+
+    const restoreManifestPath = opts.dryRun ? null : path.resolve(opts.manifest || `restore-manifest-${Date.now()}.jsonl`)
+    const restoreManifest = opts.dryRun ? null : createManifest(restoreManifestPath, {
+        dryRun: false,
+        restoredAt: new Date().toISOString(),
+        manifest: manifestPath,
+    })
+
+    const counts = { restored: 0, skipped: 0, failed: 0 }
+
+    // last action first, like any undo
+    for (const entry of actions.filter(a => a.status === 'done').reverse()) {
+        const record = (status, label, reason = '') => {
+            counts[status]++
+            const print = status === 'failed' ? console.error : console.log
+            print(`[${label}] ${entry.file}${reason ? `: ${reason}` : ''}`)
+            if (restoreManifest) restoreManifest.write({ ...entry, status, reason: reason || undefined, at: new Date().toISOString() })
+        }
+
+        try {
+            const problem = await checkRestore(entry)
+            if (problem === 'already restored') {
+                record('skipped', 'skip', problem)
+                continue
+            }
+            if (problem) {
+                record('failed', 'fail', problem)
+                continue
+            }
+
+            if (opts.dryRun) {
+                record('restored', 'ok')
+                continue
+            }
+
+            await restoreFile(entry)
+            record('restored', 'done')
+
+        } catch (error) {
+            record('failed', 'fail', error.message)
+        }
+    }
+
+    console.log('---------------------------------------------------')
+    console.log(`${opts.dryRun ? 'Restorable' : 'Restored'}: ${counts.restored}, already restored: ${counts.skipped}, can't be restored: ${counts.failed}`)
+    if (restoreManifestPath) console.log(`Manifest saved to ${restoreManifestPath}`)
+    return counts.failed ? EXIT.FAILURE : EXIT.OK
+}
+
+
+
+
+/**
+ * Checks that a file can be restored
+ * @param {object} entry - action of the resolve manifest
+ * @returns {Promise<string|null>} - null if it can be restored, "already restored" or the reason it can't
+ */
+async function checkRestore(entry) {
+    // where the original bytes are now
+    const source = entry.action === 'quarantine' ? entry.target : entry.kept
+    if (entry.action !== 'quarantine' && entry.sha256 !== entry.keptSha256) {
+        return 'the original bytes were not kept, the file had the content hash of the kept copy but not the same bytes'
+    }
+
+    // what is at the original path now: nothing, the link resolve created, or something else
+    const current = await fs.lstat(entry.file).catch(() => null)
+    if (current) {
+        const keptStats = await fs.stat(entry.kept).catch(() => null)
+        const isOurLink = (entry.action === 'hardlink' && keptStats && current.dev === keptStats.dev && current.ino === keptStats.ino)
+            || (entry.action === 'symlink' && current.isSymbolicLink() && await fs.readlink(entry.file) === entry.kept)
+
+        if (!isOurLink) {
+            if (current.isFile() && await hashFile(entry.file) === entry.sha256) return 'already restored'
+            return 'another file is at the original path'
+        }
+    }
+
+    if (!await fs.pathExists(source)) {
+        return `${entry.action === 'quarantine' ? 'quarantined' : 'kept'} copy not found: ${source}`
+    }
+    if (await hashFile(source) !== entry.sha256) {
+        return `${entry.action === 'quarantine' ? 'quarantined' : 'kept'} copy was modified: ${source}`
+    }
+    return null
+}
+
+
+
+
+/**
+ * Puts a file back at its original path and checks its SHA-256
+ * @param {object} entry - action of the resolve manifest, checked with checkRestore
+ * @throws {Error} if the file can't be written or its SHA-256 doesn't match
+ */
+async function restoreFile(entry) {
+    await fs.ensureDir(path.dirname(entry.file))
+
+    if (entry.action === 'quarantine') {
+        await fs.move(entry.target, entry.file, { overwrite: false })
+    } else {
+        // copied next to the file and renamed over the link, so the path is never left empty
+        const tempPath = `${entry.file}.restore-${process.pid}.tmp`
+        await fs.copyFile(entry.kept, tempPath)
+        try {
+            await fs.rename(tempPath, entry.file)
+        } catch (error) {
+            await fs.remove(tempPath)
+            throw error
+        }
+    }
+
+    if (entry.mode !== undefined) await fs.chmod(entry.file, entry.mode & 0o7777)
+    if (entry.mtimeMs !== undefined) await fs.utimes(entry.file, new Date(), new Date(entry.mtimeMs))
+
+    if (await hashFile(entry.file) !== entry.sha256) {
+        throw new Error('restored file does not have the original SHA-256')
+    }
+}
+
+
+
+module.exports = {
+    name: 'restore',
+    summary: 'Put back the files changed by "resolve --apply", using its manifest',
+    usage: '<manifest>',
+    minPositionals: 1,
+    maxPositionals: 1,
+    options,
+    run
+}
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview rollup command - rolls the duplicates of the local LMDB index up to a
+ * Patient -> Study -> Series tree with the duplicate coverage of every node (see lib/rollup.js).
+ */
+const fs = require('fs')
+const path = require('path')
+
+const { EXIT } = require('../cli')
+const { DEFAULT_INDEX_PATH } = require('../config')
+const { openIndex, findRecords, findDuplicateGroups } = require('../indexStore')
+const { buildRollup } = require('../rollup')
+
+
+
+const options = [
+    { name: 'db', flags: ['--db'], arg: '<path>', default: DEFAULT_INDEX_PATH, description: 'LMDB index folder' },
+    { name: 'patientId', flags: ['--patient'], arg: '<id>', description: 'Only this PatientID' },
+    { name: 'studyInstanceUid', flags: ['--study'], arg: '<uid>', description: 'Only this StudyInstanceUID' },
+    { name: 'pathPrefix', flags: ['--path'], arg: '<prefix>', description: 'Only the files whose path starts with this prefix (copies elsewhere still count)' },
+    { name: 'all', flags: ['--all'], description: 'Also list the series without duplicates' },
+    { name: 'format', flags: ['--format'], arg: '<format>', choices: ['text', 'json'], default: 'text', description: 'Output format' },
+]
+
+
+
+
+/**
+ * Prints the rollup of the index
+ * @param {object} opts - parsed options
+ * @returns {Promise<number>} - exit code
+ */
+async function run(opts) {
+    const dbPath = path.resolve(opts.db)
+    if (!fs.existsSync(dbPath)) {
+        console.error(`Index not found at ${dbPath}, run "dicom-hash index <folder>" first`)
+        return EXIT.FAILURE
+    }
+
+    const filters = {
+        patientId: opts.patientId,
+        studyInstanceUid: opts.studyInstanceUid,
+        pathPrefix: opts.pathPrefix && path.resolve(opts.pathPrefix),
+    }
+
+    const index = await openIndex(dbPath, { readOnly: true })
+    let patients
+    try {
+        const records = [...findRecords(index, filters)]
+        // the copies outside the filters count for the coverage
+        const related = Object.values(filters).some(Boolean)
+            ? [...findDuplicateGroups(index, filters)].flatMap(group => group.records)
+            : []
+        patients = buildRollup(records, related)
+    } finally {
+        await index.close()
+    }
+
+    if (!opts.all) {
+        patients = patients
+            .map(patient => ({
+                ...patient,
+                studies: patient.studies
+                    .map(study => ({ ...study, series: study.series.filter(series => series.duplicated || series.internalDuplicates) }))
+                    .filter(study => study.series.length)
+            }))
+            .filter(patient => patient.studies.length)
+    }
+
+    if (opts.format === 'json') {
+        console.log(JSON.stringify(patients, null, 2))
+        return EXIT.OK
+    }
+
+    if (!patients.length) {
+        console.log('No duplicates found.')
+        return EXIT.OK
+    }
+    patients.forEach(printPatient)
+    return EXIT.OK
+}
+
+
+
+
+/**
+ * @param {{instances: number, duplicated: number, coverage: number}} node
+ * @returns {string} - e.g. "8/10 instances duplicated (80%)"
+ */
+function formatCoverage({ instances, duplicated, coverage }) {
+    return `${duplicated}/${instances} instance${instances === 1 ? '' : 's'} duplicated (${Math.round(coverage * 100)}%)`
+}
+
+
+
+
+/**
+ * Prints the tree of a patient
+ * @param {object} patient - see buildRollup
+ */
+function printPatient(patient) {
+    console.log(`Patient ${patient.patientId || '(no PatientID)'}: ${formatCoverage(patient)}`)
+
+    patient.studies.forEach(study => {
+        console.log(`  Study ${study.studyInstanceUid || '(no StudyInstanceUID)'}: ${formatCoverage(study)}`)
+
+        study.series.forEach(series => {
+            const internal = series.internalDuplicates ? `, ${series.internalDuplicates} copies inside the folder` : ''
+            console.log(`    Series ${series.seriesInstanceUid || '(no SeriesInstanceUID)'} in ${series.folder}: ${formatCoverage(series)}${internal}`)
+
+            series.copies.forEach(copy => {
+                const where = `series ${copy.seriesInstanceUid || '(no SeriesInstanceUID)'} in ${copy.folder}`
+                const otherPatient = copy.patientId !== patient.patientId ? ` (PatientID ${copy.patientId || 'none'})` : ''
+                console.log(copy.complete
+                    ? `      complete duplicate of ${where}${otherPatient}`
+                    : `      ${copy.shared} instance${copy.shared === 1 ? '' : 's'} also in ${where}${otherPatient}`)
+            })
+        })
+    })
+    console.log('')
+}
+
+
+
+module.exports = {
+    name: 'rollup',
+    summary: 'Roll the duplicates of the local LMDB index up to a Patient -> Study -> Series tree',
+    maxPositionals: 0,
+    options,
+    run
+}
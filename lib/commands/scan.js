@@ -0,0 +1,89 @@
+/**
+ * @fileoverview scan command - hashes every DICOM file in one or more folders and prints
+ * one "<hash>  <path>" line per file (or one JSON object per line with --json).
+ */
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+
+const { EXIT } = require('../cli')
+const {
+    removeNestedFolders,
+    saveAllFilePaths,
+    processFilePaths,
+    processDicomFile,
+} = require('../fileHelper')
+const { loadPlugins, reportDecodeFallbacks, pluginOption, hashModeOption, framesOption, perceptualOption } = require('../hashStrategies')
+
+
+
+const options = [
+    { name: 'json', flags: ['-j', '--json'], description: 'Output one JSON object per line instead of "<hash>  <path>"' },
+    { name: 'deep', flags: ['-d', '--deep'], description: 'Deep scan: check every file whatever the extension' },
+    pluginOption,
+    hashModeOption,
+    { ...framesOption, description: 'Also hash every frame of the images (frameHashes in the --json output)' },
+    { ...perceptualOption, description: 'Also compute the perceptual hash of the images (perceptualHash in the --json output)' },
+]
+
+
+
+
+/**
+ * Runs the scan
+ * @param {object} opts - parsed options
+ * @param {string[]} folderArgs - folders to scan
+ * @returns {Promise<number>} - exit code
+ */
+async function run(opts, folderArgs) {
+    opts.plugins.forEach(loadPlugins)
+
+    const folders = removeNestedFolders(folderArgs.map(f => path.resolve(f)))
+    const tempFilePath = path.join(os.tmpdir(), `filepaths-${Date.now()}.tmp`)
+
+    try {
+        const counter = { count: 0, dicoms: 0 }
+        for (const folderPath of folders) {
+            await saveAllFilePaths(folderPath, opts.deep, tempFilePath, counter)
+        }
+
+        await processFilePaths(tempFilePath, async (filePath, index, total) => {
+            const result = await processDicomFile(filePath, counter, { mode: opts.hashMode, frames: opts.frames, perceptual: opts.perceptual })
+            if (!result) return
+            const { hash, strategy, frameHashes, perceptualHash } = result
+
+            if (opts.json) {
+                process.stdout.write(JSON.stringify({
+                    type: "hash",
+                    fileName: path.basename(filePath),
+                    fullPath: filePath,
+                    hash,
+                    strategy,
+                    frameHashes,
+                    perceptualHash,
+                    progressCurrent: +index + 1,
+                    progressTotal: total
+                }) + "\n")
+            } else {
+                process.stdout.write(`${hash}  ${filePath}\n`)
+            }
+        })
+        reportDecodeFallbacks()
+
+        return EXIT.OK
+
+    } finally {
+        if (fs.existsSync(tempFilePath)) fs.unlinkSync(tempFilePath)
+    }
+}
+
+
+
+module.exports = {
+    name: 'scan',
+    summary: 'Hash every DICOM file in one or more folders',
+    usage: '<folder> [folder ...]',
+    minPositionals: 1,
+    options,
+    run
+}
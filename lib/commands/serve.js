@@ -0,0 +1,93 @@
+/**
+ * @fileoverview serve command - answers "do we already have this image?" over HTTP, from the
+ * hash database of config.json (see lib/lookupServer.js for the endpoints).
+ *
+ * Runs until Ctrl+C (SIGINT) or SIGTERM, then stops accepting requests and closes the database.
+ */
+const { EXIT, UsageError } = require('../cli')
+const { DEFAULT_CONFIG_PATH, loadConfig } = require('../config')
+const { loadPlugins, pluginOption, hashModeOption } = require('../hashStrategies')
+const { checkStorageConfig, openStorage, describeStorage } = require('../storage')
+const { createLookupServer } = require('../lookupServer')
+
+
+
+const options = [
+    { name: 'config', flags: ['--config'], arg: '<file>', default: DEFAULT_CONFIG_PATH, description: 'Configuration file' },
+    { name: 'host', flags: ['--host'], arg: '<address>', default: '127.0.0.1', description: 'Address to listen on, 0.0.0.0 for every interface' },
+    { name: 'port', flags: ['-p', '--port'], arg: '<port>', parse: Number, default: 8380, description: 'Port to listen on' },
+    { name: 'maxUpload', flags: ['--max-upload'], arg: '<MB>', parse: Number, default: 512, description: 'Largest DICOM file accepted by POST /lookup, in megabytes' },
+    { name: 'quiet', flags: ['-q', '--quiet'], description: 'Do not log the requests' },
+    pluginOption,
+    hashModeOption,
+]
+
+
+
+
+/**
+ * Starts the lookup service
+ * @param {object} opts - parsed options
+ * @returns {Promise<number>} - EXIT.OK once stopped
+ */
+async function run(opts) {
+    if (!Number.isInteger(opts.port) || opts.port < 0 || opts.port > 65535) {
+        throw new UsageError('--port must be a port number (0 to 65535)')
+    }
+    if (!(opts.maxUpload > 0)) {
+        throw new UsageError('--max-upload must be a number of megabytes greater than 0')
+    }
+    opts.plugins.forEach(loadPlugins)
+    const databaseConfig = loadConfig(opts.config).database
+
+    const configProblem = checkStorageConfig(databaseConfig)
+    if (configProblem) {
+        console.error(configProblem)
+        return EXIT.FAILURE
+    }
+
+    // read only, so the LMDB index can still be written by index and sync
+    const storage = await openStorage(databaseConfig, { readOnly: true })
+    try {
+        const server = createLookupServer(storage, {
+            hashOptions: { mode: opts.hashMode },
+            maxUploadBytes: Math.floor(opts.maxUpload * 1024 * 1024),
+            storageDescription: describeStorage(databaseConfig),
+            log: opts.quiet ? null : line => console.log(`${new Date().toISOString()} ${line}`)
+        })
+
+        await new Promise((resolve, reject) => {
+            server.once('error', reject)
+            server.listen(opts.port, opts.host, resolve)
+        })
+        const { address, port } = server.address()
+        console.log(`Lookup service on http://${address}:${port} (${describeStorage(databaseConfig)}), Ctrl+C to stop`)
+
+        await new Promise(resolve => {
+            const stop = () => {
+                process.removeListener('SIGINT', stop)
+                process.removeListener('SIGTERM', stop)
+                console.log('Stopping the lookup service')
+                server.close(resolve)
+                // idle keep-alive connections would hold close() back
+                server.closeIdleConnections()
+            }
+            process.on('SIGINT', stop)
+            process.on('SIGTERM', stop)
+        })
+    } finally {
+        await storage.close()
+    }
+
+    return EXIT.OK
+}
+
+
+
+module.exports = {
+    name: 'serve',
+    summary: 'Answer hash database lookups over HTTP (uploaded DICOM file, hash or batch of hashes)',
+    maxPositionals: 0,
+    options,
+    run
+}
@@ -0,0 +1,591 @@
+/**
+ * @fileoverview sync command - downloads every instance from Orthanc, hashes it and stores
+ * the hashes in the database configured in config.json (PostgreSQL, MongoDB or LMDB, see lib/storage).
+ * --source dicomweb reads the instances from any DICOMweb server instead (see lib/sources.js).
+ *
+ * With --changes only the instances added since the last run are hashed: the Orthanc changes log
+ * (/changes) is read from the last processed sequence number, stored in the database, and the
+ * deleted instances are marked. --follow keeps polling the changes log. The instances that failed
+ * are recorded in the checkpoint and hashed again by the next --changes run.
+ *
+ * Instances are downloaded and hashed by --fetch-workers concurrent workers, and every batch is
+ * written to the database in the background while the next one is downloaded. At most
+ * --max-pending-writes batches wait for the database, then the downloads wait (backpressure).
+ *
+ * The full sync records every stored batch in a checkpoint file (see lib/syncCheckpoint.js):
+ * --resume skips the instances already hashed by the interrupted run, --retry-failed hashes again
+ * the ones that failed.
+ *
+ * Only Orthanc has a changes log, a DICOMweb server is always read with a full sync.
+ */
+const fs = require('fs')
+const path = require('path')
+const cliProgress = require('cli-progress')
+const dicomParser = require('dicom-parser')
+
+const { EXIT, UsageError } = require('../cli')
+const { DEFAULT_CONFIG_PATH, DEFAULT_CHECKPOINT_PATH, loadConfig } = require('../config')
+const { SOURCE_TYPES, createSource } = require('../sources')
+const { testDatabaseConnection } = require('../database')
+const { checkStorageConfig, openStorage, recordKey } = require('../storage')
+const { hashDataSet, getStrategies, loadPlugins, reportDecodeFallbacks, pluginOption, hashModeOption, framesOption } = require('../hashStrategies')
+const { readIdentity } = require('../identityConflicts')
+const { mapConcurrent, createTaskQueue } = require('../concurrency')
+const { createCheckpoint, openCheckpoint, readCheckpoint } = require('../syncCheckpoint')
+
+
+
+const options = [
+    { name: 'test', flags: ['-t', '--test'], description: 'Test mode: check the connections and hash the instances without saving to the database' },
+    { name: 'config', flags: ['--config'], arg: '<file>', default: DEFAULT_CONFIG_PATH, description: 'Configuration file' },
+    { name: 'source', flags: ['--source'], arg: '<type>', choices: SOURCE_TYPES, default: 'orthanc', description: 'Read the instances from Orthanc or from a DICOMweb server ("dicomweb" section of config.json)' },
+    { name: 'batchSize', flags: ['--batch-size'], arg: '<count>', parse: Number, default: 1000, description: 'Save records in the database in batches of this size (0 = single batch)' },
+    pluginOption,
+    hashModeOption,
+    { ...framesOption, description: 'Also store the hash of every frame (needed by the frames command)' },
+    { name: 'changes', flags: ['--changes'], description: 'Incremental sync: only process the Orthanc changes since the last run' },
+    { name: 'follow', flags: ['--follow'], description: 'With --changes, keep polling the changes log until interrupted' },
+    { name: 'since', flags: ['--since'], arg: '<seq>', parse: Number, description: 'With --changes, start after this change sequence number instead of the stored one' },
+    { name: 'interval', flags: ['--interval'], arg: '<seconds>', parse: Number, default: 10, description: 'With --follow, seconds between two polls once the changes log is read' },
+    { name: 'pageSize', flags: ['--page-size'], arg: '<count>', parse: Number, default: 1000, description: 'With --changes, number of changes read per request' },
+    { name: 'fetchWorkers', flags: ['--fetch-workers'], arg: '<count>', parse: Number, default: 4, description: 'Number of instances downloaded and hashed at the same time' },
+    { name: 'writeWorkers', flags: ['--write-workers'], arg: '<count>', parse: Number, default: 1, description: 'Number of batches written to the database at the same time' },
+    { name: 'checkpoint', flags: ['--checkpoint'], arg: '<file>', default: DEFAULT_CHECKPOINT_PATH, description: 'Checkpoint file of the full sync' },
+    { name: 'resume', flags: ['--resume'], description: 'Continue the interrupted full sync of the checkpoint, skipping the instances already hashed' },
+    { name: 'retryFailed', flags: ['--retry-failed'], description: 'Hash again the instances that failed in the checkpoint' },
+    { name: 'maxPendingWrites', flags: ['--max-pending-writes'], arg: '<count>', parse: Number, default: 2, description: 'Number of hashed batches waiting for the database before the downloads wait' },
+]
+
+
+
+
+/**
+ * Creates a new progress bar instance using the cliProgress library.
+ * The progress bar displays the processing status of files with a custom format.
+ * @returns {cliProgress.SingleBar}
+ */
+const createProgressBar = () => new cliProgress.SingleBar({
+    format: '{name} [{bar}] {percentage}% | {rate} inst/s | {written} written',
+    barCompleteChar: '█',
+    barIncompleteChar: '░',
+    hideCursor: true,
+    stopOnComplete: true,
+    renderThrottle: 100
+}, cliProgress.Presets.shades_grey)
+
+
+
+
+/**
+ * Runs the Orthanc to database synchronisation
+ * @param {object} opts - parsed options
+ * @returns {Promise<number>} - exit code
+ */
+async function run(opts) {
+    const isTesting = opts.test
+    if ((opts.follow || opts.since !== null) && !opts.changes) {
+        throw new UsageError('--follow and --since need --changes')
+    }
+    if (opts.changes && opts.source !== 'orthanc') {
+        throw new UsageError('--changes reads the Orthanc changes log, a DICOMweb server has none')
+    }
+    if (opts.changes && (opts.resume || opts.retryFailed)) {
+        throw new UsageError('--resume and --retry-failed apply to the full sync, --changes already starts from the last stored change')
+    }
+    if (!(opts.pageSize > 0) || !(opts.interval > 0)) {
+        throw new UsageError('--page-size and --interval must be greater than 0')
+    }
+    if (![opts.fetchWorkers, opts.writeWorkers].every(count => Number.isInteger(count) && count > 0)
+        || !(Number.isInteger(opts.maxPendingWrites) && opts.maxPendingWrites >= 0)) {
+        throw new UsageError('--fetch-workers and --write-workers must be whole numbers greater than 0, --max-pending-writes a whole number')
+    }
+    opts.plugins.forEach(loadPlugins)
+    const config = loadConfig(opts.config)
+    const { database } = config
+    const sourceSettings = config[opts.source]
+
+    // Validate configuration
+    if (!sourceSettings || !sourceSettings.url) {
+        console.error(`Invalid ${opts.source === 'orthanc' ? 'Orthanc' : 'DICOMweb'} configuration in config.json`)
+        return EXIT.FAILURE
+    }
+
+    const configProblem = !isTesting && checkStorageConfig(database)
+    if (configProblem) {
+        console.error(configProblem)
+        return EXIT.FAILURE
+    }
+
+    console.log('------- Config -------')
+    console.log(sourceSettings, database)
+    console.log('----------------------')
+
+    const source = createSource(opts.source, sourceSettings, { concurrency: opts.fetchWorkers })
+
+    // Test the connection to Orthanc or to the DICOMweb server
+    if (!await source.test()) {
+        console.log(opts.source === 'orthanc'
+            ? 'no orthanc detected, consider starting orthanc or using the compare command which is intended for physical folders'
+            : 'no DICOMweb server detected, check the "dicomweb" url of config.json')
+        return EXIT.FAILURE
+    }
+
+    // Test database connection
+    if (!isTesting && !await testDatabaseConnection(database)) {
+        console.log('Database connection is required to run this script in production mode. Add testing flag "-t" to print the results without saving to database')
+        return EXIT.FAILURE
+    }
+
+    const context = {
+        source,
+        storage: isTesting ? null : await openStorage(database),
+        isTesting,
+        batchSize: opts.batchSize,
+        hashOptions: { mode: opts.hashMode, frames: opts.frames },
+        fetchWorkers: opts.fetchWorkers,
+        writeQueueOptions: { concurrency: opts.writeWorkers, maxPending: opts.maxPendingWrites },
+        progressBar: createProgressBar(),
+        execErrors: [],
+        checkpointPath: path.resolve(opts.checkpoint),
+        // throughput shown next to the progress bar
+        startedAt: Date.now(),
+        processed: 0,
+        written: 0
+    }
+
+    try {
+        if (opts.changes) {
+            try {
+                await syncChanges(context, opts)
+            } catch (error) {
+                console.error('Error reading the Orthanc changes:', error.message)
+                return EXIT.FAILURE
+            }
+            return EXIT.OK
+        }
+
+        let totalImagesHashed = 0
+        try {
+            totalImagesHashed = await buildHashDatabase(context, opts)
+        } catch (error) {
+            console.error('Error building hash database:', error.message)
+            return EXIT.FAILURE
+        }
+
+        const failures = context.execErrors.length
+        printErrors(context)
+        if (failures && !isTesting) {
+            console.log(`\n${failures} instances failed, run again with --retry-failed to hash them again (checkpoint: ${context.checkpointPath})`)
+        }
+
+        console.log(`\n--------- Hashing complete on ${totalImagesHashed} images ---------------`)
+        return EXIT.OK
+    } finally {
+        if (context.storage) await context.storage.close()
+        reportDecodeFallbacks()
+    }
+}
+
+
+
+
+/**
+ * Prints the instances that could not be hashed and clears the list
+ * @param {object} context - sync context (see run)
+ */
+function printErrors(context) {
+    if (context.execErrors.length) {
+        console.log('\n--------- Hashing failed for the following instances: ---------------\n')
+        context.execErrors.forEach(e => {
+            console.log(`${e.id}\t- ${e.instanceId.padStart(70, ' ')}\t- ${e.error}`)
+        })
+    }
+    context.execErrors.length = 0
+}
+
+
+
+
+/**
+ * Parses a DICOM file downloaded from the source and hashes its relevant content
+ * with the same strategies used for local files (see lib/hashStrategies.js)
+ * @param {Buffer} dicomData - the DICOM file
+ * @param {string} id - id of the instance in the source (Orthanc ID or WADO-RS URL)
+ * @param {object} recordFields - fields identifying the instance, see lib/sources.js
+ * @param {object} hashOptions - see lib/hashStrategies.js
+ * @param {object[]} execErrors - failures are appended here
+ * @returns {object|null} - { orthancId or path, instanceId, sopInstanceUid, patientId, patientName, studyInstanceUid,
+ *   seriesInstanceUid, modality, sopClassUid, hash, strategy, frameHashes }
+ *   or null if it can't be hashed
+ */
+function processDicomFile(dicomData, id, recordFields, hashOptions, execErrors) {
+    let instanceId = 'Unknown'
+    try {
+        const dataSet = dicomParser.parseDicom(dicomData)
+
+        instanceId = dataSet.string('x00080018') || 'Unknown'
+
+        const result = hashDataSet(dataSet, hashOptions)
+        if (!result) {
+            execErrors.push({ id, instanceId, error: 'No hashable content found', detail: '' })
+            return null
+        }
+
+        return {
+            ...recordFields,
+            instanceId,
+            ...readIdentity(dataSet),
+            modality: dataSet.string('x00080060') || null,
+            sopClassUid: dataSet.string('x00080016') || null,
+            ...result
+        }
+
+    } catch (error) {
+        execErrors.push({ id, instanceId, error: 'failed to parse dicom file', detail: error.message })
+        return null
+    }
+}
+
+
+
+
+/**
+ * @param {object} context - sync context (see run)
+ * @returns {{rate: string, written: number}} - progress bar payload: instances hashed per second
+ *   since the start, and instances written to the database
+ */
+function throughput(context) {
+    const seconds = (Date.now() - context.startedAt) / 1000
+    return { rate: (seconds > 0 ? context.processed / seconds : 0).toFixed(1), written: context.written }
+}
+
+
+
+
+/**
+ * Downloads and hashes a list of instances with context.fetchWorkers concurrent workers
+ * @param {object} context - sync context (see run)
+ * @param {string[]} ids - ids of the instances in the source
+ * @param {string} progressName - label shown next to the progress bar
+ * @returns {Promise<object[]>} - hashed records, in the order of ids
+ */
+const processInstances = async (context, ids, progressName) => {
+    const { source, progressBar, hashOptions, execErrors, fetchWorkers } = context
+    let completed = 0
+
+    const results = await mapConcurrent(ids, fetchWorkers, async id => {
+        let result = null
+        try {
+            const dicomData = await source.fetchInstance(id)
+            result = processDicomFile(dicomData, id, source.recordFields(id), hashOptions, execErrors)
+
+        } catch (error) {
+            execErrors.push({ id, instanceId: '', error: 'Error fetching DICOM file', detail: error.message })
+        }
+
+        context.processed++
+        progressBar.update(++completed, { name: progressName, ...throughput(context) })
+        return result
+    })
+
+    return results.filter(result => result !== null) // Filter out null results
+}
+
+
+
+
+/**
+ * Queues a batch for the database, waits while too many batches are pending
+ * @param {object} context - sync context (see run)
+ * @param {{push: Function}} writes - see createTaskQueue
+ * @param {object[]} data - hashed records
+ * @param {Function} [afterWrite] - called once the batch is stored
+ * @returns {Promise<void>}
+ */
+async function queueWrite(context, writes, data, afterWrite = async () => {}) {
+    await writes.push(async () => {
+        if (data.length) await context.storage.bulkUpsert(data)
+        await afterWrite()
+        context.written += data.length
+        // no-op once the bar of the batch is stopped
+        context.progressBar.update({ written: context.written })
+    })
+}
+
+
+
+
+/**
+ * @param {object} previous - checkpoint of a previous run (see readCheckpoint)
+ * @param {object} source - source of this run (see lib/sources.js)
+ * @throws {Error} if the checkpoint was made for another source
+ */
+function checkCheckpointSource(previous, source) {
+    const { source: type, sourceUrl } = previous.header
+    if (type !== source.type || sourceUrl !== source.url) {
+        throw new Error(`The checkpoint was made for the ${type} server at ${sourceUrl}, give another --checkpoint`)
+    }
+}
+
+
+
+
+/**
+ * Reads the change sequence number of a full sync, or the checkpoint of a previous run with --resume / --retry-failed
+ * @param {object} context - sync context (see run)
+ * @param {object} opts - parsed options (resume, retryFailed)
+ * @returns {Promise<{lastChange: number|null, previous: object|null}>} - change sequence number to store
+ *   at the end (null without changes log) and the previous checkpoint (see readCheckpoint)
+ * @throws {Error} if the previous checkpoint is missing or was made for another source or with other hash options
+ */
+async function startCheckpoint(context, opts) {
+    const { source, hashOptions, checkpointPath } = context
+
+    if (!opts.resume && !opts.retryFailed) {
+        // changes made while the instances are hashed are processed again by the next --changes run
+        const lastChange = source.fetchLastChange ? await source.fetchLastChange() : null
+        return { lastChange, previous: null }
+    }
+
+    if (!fs.existsSync(checkpointPath)) {
+        throw new Error(`No checkpoint found at ${checkpointPath}, run a full sync first`)
+    }
+    const previous = readCheckpoint(checkpointPath)
+    checkCheckpointSource(previous, source)
+    const { mode, frames } = previous.header.hashOptions
+    if (mode !== hashOptions.mode || Boolean(frames) !== Boolean(hashOptions.frames)) {
+        throw new Error(`The checkpoint was made with --hash-mode ${mode}${frames ? ' --frames' : ''}, use the same options or run a full sync`)
+    }
+
+    // the changes since the interrupted run started are processed again by the next --changes run
+    return { lastChange: previous.header.lastChange, previous }
+}
+
+
+
+
+/**
+ * Hashes every instance of the source in batches and stores each batch in the database,
+ * while the next batch is downloaded
+ * @param {object} context - sync context (see run)
+ * @param {object} opts - parsed options (resume, retryFailed)
+ * @returns {Promise<number>} - number of instances processed
+ */
+async function buildHashDatabase(context, opts) {
+    const { source, storage, isTesting, batchSize, progressBar, execErrors, hashOptions, checkpointPath } = context
+    const writes = createTaskQueue(context.writeQueueOptions)
+
+    const startedAt = new Date().toISOString()
+    const { lastChange, previous } = await startCheckpoint(context, opts)
+    // a failed listing throws before anything is stored, the next run lists the instances again
+    let ids = await source.listInstances()
+    // the stored sequence number is the one of the Orthanc changes log
+    const storeSyncState = async () => {
+        if (!isTesting && lastChange !== null) await storage.writeSyncState(lastChange)
+    }
+
+    if (previous) {
+        // instances hashed by a strategy that changed version since are hashed again
+        const strategyIds = new Set(getStrategies().map(strategy => strategy.id))
+        const isDone = id => strategyIds.has(previous.done.get(id))
+        const total = ids.length
+        ids = ids.filter(id => !isDone(id) && (previous.failed.has(id) ? opts.retryFailed : opts.resume))
+
+        console.log(`\nCheckpoint ${checkpointPath}: ${total - ids.length} of ${total} instances skipped, `
+            + `${previous.failed.size} failed in the previous runs${opts.retryFailed ? ' (retried)' : ''}`)
+    }
+
+    if (!ids.length) {
+        console.log(previous ? 'No instances left to hash.' : `No instances found in ${source.type === 'orthanc' ? 'Orthanc' : 'the DICOMweb server'}.`)
+        await storeSyncState()
+        return 0
+    }
+
+    // replaced only once there is something to hash, a failed listing keeps the checkpoint of the previous run
+    const checkpoint = isTesting ? null
+        : previous ? openCheckpoint(checkpointPath)
+            : createCheckpoint(checkpointPath, { source: source.type, sourceUrl: source.url, hashOptions, lastChange, startedAt })
+
+    const batchLength = batchSize > 0 ? batchSize : ids.length
+    const totalBatches = Math.ceil(ids.length / batchLength)
+
+    console.log(`\nStart hashing ${ids.length} images in ${totalBatches} batches \n`)
+
+    for (let i = 0; i < totalBatches; i++) {
+
+        const batch = ids.slice(i * batchLength, (i + 1) * batchLength)
+
+        const progressName = `Processing images (${+i + 1}/${totalBatches})`.padStart(22, ' ')
+        progressBar.start(batch.length, 0, { name: progressName, ...throughput(context) })
+
+        const errorsBefore = execErrors.length
+        const data = await processInstances(context, batch, progressName)
+        const failed = execErrors.slice(errorsBefore).map(({ id, instanceId, error, detail }) => ({ id, instanceId, error, detail }))
+
+        progressBar.update(batch.length, { name: `Batch ${+i + 1}/${totalBatches}`, ...throughput(context) })
+        progressBar.stop()
+
+        if (!isTesting) {
+            await queueWrite(context, writes, data, async () => {
+                checkpoint.write({ done: data.map(record => ({ id: recordKey(record), strategy: record.strategy })), failed })
+            })
+        } else if (i === 0) {
+            console.log('Sample of the data that would be saved:', data.slice(0, 5))
+        }
+    }
+
+    await writes.drain()
+    await storeSyncState()
+    return ids.length
+}
+
+
+
+
+/**
+ * Opens the checkpoint for an incremental sync, or creates it if no full sync wrote one
+ * @param {object} context - sync context (see run)
+ * @param {number} since - change sequence number the run starts after
+ * @returns {{checkpoint: object, failed: string[]}} - the checkpoint to write (see lib/syncCheckpoint.js)
+ *   and the ids of the instances that failed in the previous runs
+ * @throws {Error} if the checkpoint was made for another source
+ */
+function openChangesCheckpoint(context, since) {
+    const { source, hashOptions, checkpointPath } = context
+
+    if (!fs.existsSync(checkpointPath)) {
+        const header = { source: source.type, sourceUrl: source.url, hashOptions, lastChange: since, startedAt: new Date().toISOString() }
+        return { checkpoint: createCheckpoint(checkpointPath, header), failed: [] }
+    }
+
+    const previous = readCheckpoint(checkpointPath)
+    checkCheckpointSource(previous, source)
+    return { checkpoint: openCheckpoint(checkpointPath), failed: [...previous.failed.keys()] }
+}
+
+
+
+
+/**
+ * Incremental sync: reads the Orthanc changes log page by page, hashes the new instances and
+ * marks the deleted ones. The sequence number is stored after every page, so an interrupted
+ * run starts again from the last stored page. The pages are written one at a time, in order,
+ * while the next page is downloaded.
+ * The sequence number moves past the instances that failed, they are written to the checkpoint
+ * and hashed again with the first page of the next run
+ * @param {object} context - sync context (see run)
+ * @param {object} opts - parsed options (since, follow, interval, pageSize)
+ */
+async function syncChanges(context, opts) {
+    const { source, storage, isTesting, progressBar, execErrors } = context
+    const writes = createTaskQueue({ ...context.writeQueueOptions, concurrency: 1 })
+
+    let since = opts.since
+    if (since === null) {
+        if (isTesting) {
+            throw new Error('The test mode does not read the database, give --since <seq>')
+        }
+        since = await storage.readSyncState()
+        if (since === null) {
+            throw new Error('No change sequence stored yet, run a full sync first (without --changes) or give --since <seq>')
+        }
+    }
+
+    // nothing is written in test mode, the failures are not retried
+    let { checkpoint, failed: retries } = isTesting ? { checkpoint: null, failed: [] } : openChangesCheckpoint(context, since)
+    if (retries.length) console.log(`\n${retries.length} instances failed in the previous runs, hashing them again`)
+
+    // SIGINT / SIGTERM stop following after the current page
+    let stopping = false
+    let wake = () => {}
+    const stop = () => {
+        stopping = true
+        wake()
+    }
+    process.on('SIGINT', stop)
+    process.on('SIGTERM', stop)
+
+    const totals = { added: 0, deleted: 0, failed: 0 }
+    console.log(`\nReading the Orthanc changes after sequence ${since}${opts.follow ? ' (following, Ctrl+C to stop)' : ''}\n`)
+
+    try {
+        while (!stopping) {
+            const page = await source.fetchChanges(since, opts.pageSize)
+
+            // last change of every instance of the page, an instance can be added and deleted in the same page
+            const latest = new Map()
+            page.Changes
+                .filter(change => change.ResourceType === 'Instance' && ['NewInstance', 'Deleted'].includes(change.ChangeType))
+                .forEach(change => latest.set(change.ID, change.ChangeType))
+            const added = [...latest].filter(([, type]) => type === 'NewInstance').map(([id]) => id)
+            const deleted = [...latest].filter(([, type]) => type === 'Deleted').map(([id]) => id)
+            // the failures of the previous runs go with the first page, unless the page has them
+            const retried = retries.filter(id => !latest.has(id))
+            retries = []
+            const toHash = [...retried, ...added]
+
+            let data = []
+            const errorsBefore = execErrors.length
+            if (toHash.length) {
+                const progressName = 'Processing changes'.padStart(22, ' ')
+                progressBar.start(toHash.length, 0, { name: progressName, ...throughput(context) })
+                data = await processInstances(context, toHash, progressName)
+                progressBar.stop()
+
+                if (isTesting) console.log('Sample of the data that would be saved:', data.slice(0, 5))
+            }
+            const failed = execErrors.slice(errorsBefore).map(({ id, instanceId, error, detail }) => ({ id, instanceId, error, detail }))
+
+            since = page.Last
+            if (!isTesting) {
+                const last = since
+                await queueWrite(context, writes, data, async () => {
+                    if (deleted.length) await storage.delete(deleted)
+                    // recorded before the sequence number moves past the failures
+                    checkpoint.write({ done: data.map(record => ({ id: recordKey(record), strategy: record.strategy })), failed, deleted })
+                    await storage.writeSyncState(last)
+                })
+            }
+
+            totals.added += added.length
+            totals.deleted += deleted.length
+            totals.failed += failed.length
+            if (toHash.length || deleted.length) {
+                console.log(`Changes up to ${since}: ${added.length} new instances, ${deleted.length} deleted${retried.length ? `, ${retried.length} earlier failures hashed again` : ''}`)
+            }
+            printErrors(context)
+
+            if (page.Done) {
+                // everything read so far is stored before waiting for new changes
+                await writes.drain()
+                if (!opts.follow) break
+                await new Promise(resolve => {
+                    const timer = setTimeout(resolve, opts.interval * 1000)
+                    wake = () => {
+                        clearTimeout(timer)
+                        resolve()
+                    }
+                })
+            }
+        }
+        await writes.drain()
+    } finally {
+        process.removeListener('SIGINT', stop)
+        process.removeListener('SIGTERM', stop)
+    }
+
+    console.log(`\n--------- Changes processed up to ${since}: ${totals.added} new instances, ${totals.deleted} deleted ---------------`)
+    if (totals.failed && !isTesting) {
+        console.log(`${totals.failed} instances failed, the next --changes run hashes them again (checkpoint: ${context.checkpointPath})`)
+    }
+}
+
+
+
+module.exports = {
+    name: 'sync',
+    summary: 'Hash every instance stored in Orthanc (or a DICOMweb server) into the database configured in config.json',
+    maxPositionals: 0,
+    options,
+    run
+}
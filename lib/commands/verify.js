@@ -0,0 +1,283 @@
+/**
+ * @fileoverview verify command - checks that the DICOM files of local folders all arrived in the
+ * archive (Orthanc, or a DICOMweb server) synced into the hash database, e.g. after a migration.
+ *
+ * Every file is hashed and reported as present, present under a different SOPInstanceUID,
+ * in the archive with a different content, missing or unhashable (see lib/migrationReport.js),
+ * then every study and the whole migration are rated complete or not.
+ *
+ * With -f the full report (a header describing the run, every file, every study and the summary)
+ * is saved as JSON lines, to be kept as the proof of the migration.
+ */
+const fs = require('fs')
+const path = require('path')
+const dicomParser = require('dicom-parser')
+
+const { EXIT, UsageError } = require('../cli')
+const { DEFAULT_CONFIG_PATH, loadConfig } = require('../config')
+const { walkTargets } = require('../fileHelper')
+const { hashDataSet, loadPlugins, reportDecodeFallbacks, pluginOption, hashModeOption } = require('../hashStrategies')
+const { readIdentity } = require('../identityConflicts')
+const { checkStorageConfig, openStorage, describeStorage } = require('../storage')
+const { STATUS, classifyFile, createStudyTally } = require('../migrationReport')
+const { csvLine } = require('../csv')
+
+
+
+const FORMATS = ['text', 'json', 'csv']
+
+// one line per archive instance, files without one have one line with empty archive columns
+const CSV_COLUMNS = ['path', 'status', 'patientId', 'studyInstanceUid', 'sopInstanceUid', 'hash', 'strategy', 'archiveOrthancId', 'archiveUrl', 'archiveSopInstanceUid', 'reason']
+
+const options = [
+    { name: 'config', flags: ['--config'], arg: '<file>', default: DEFAULT_CONFIG_PATH, description: 'Configuration file' },
+    { name: 'deep', flags: ['-d', '--deep'], description: 'Deep scan: check every file of the folders whatever the extension' },
+    { name: 'format', flags: ['--format'], arg: '<format>', choices: FORMATS, default: 'text', description: 'Output format' },
+    { name: 'all', flags: ['--all'], description: 'List every file in the text output, not only the ones that are not present' },
+    { name: 'outputFile', flags: ['-f', '--output'], arg: '<file>', description: 'Save the full report as JSON lines (must not exist)' },
+    { name: 'batchSize', flags: ['--batch-size'], arg: '<count>', parse: Number, default: 500, description: 'Number of hashes looked up in the database at once' },
+    pluginOption,
+    hashModeOption,
+]
+
+
+
+
+/**
+ * Verifies files and folders against the archive instances of the database
+ * @param {object} opts - parsed options
+ * @param {string[]} pathArgs - DICOM files and folders
+ * @returns {Promise<number>} - EXIT.OK if every hashable file is in the archive, EXIT.NOT_FOUND if not
+ */
+async function run(opts, pathArgs) {
+    if (!Number.isInteger(opts.batchSize) || opts.batchSize < 1) {
+        throw new UsageError('--batch-size must be a whole number greater than 0')
+    }
+    if (opts.outputFile && fs.existsSync(opts.outputFile)) {
+        throw new UsageError(`${opts.outputFile} already exists, reports are never overwritten`)
+    }
+    opts.plugins.forEach(loadPlugins)
+    const databaseConfig = loadConfig(opts.config).database
+
+    const configProblem = checkStorageConfig(databaseConfig)
+    if (configProblem) {
+        console.error(configProblem)
+        return EXIT.FAILURE
+    }
+
+    const targets = pathArgs.map(p => path.resolve(p))
+    const report = createReport(opts, {
+        generatedAt: new Date().toISOString(),
+        targets,
+        deep: Boolean(opts.deep),
+        hashOptions: { mode: opts.hashMode },
+        database: describeStorage(databaseConfig),
+    })
+
+    const tally = createStudyTally()
+    let unreadableFolders = 0
+    const storage = await openStorage(databaseConfig, { readOnly: true })
+    try {
+        unreadableFolders = await verifyPaths(storage, targets, opts, file => {
+            tally.add(file)
+            report.file(file)
+        })
+    } finally {
+        await storage.close()
+    }
+    reportDecodeFallbacks()
+
+    const totals = tally.totals()
+    const complete = !totals.counts[STATUS.MISSING] && !totals.counts[STATUS.CONTENT_DIFFERS]
+    // the files of an unreadable folder are not accounted for
+    const exitCode = !complete ? EXIT.NOT_FOUND : unreadableFolders ? EXIT.FAILURE : EXIT.OK
+
+    tally.studies().forEach(report.study)
+    report.summary({ ...totals, unreadableFolders, complete, exitCode })
+    return exitCode
+}
+
+
+
+
+/**
+ * Hashes the files and the files of the folders, and looks them up in the database in batches
+ * @param {object} storage - open storage, see lib/storage
+ * @param {string[]} targets - absolute paths of files and folders
+ * @param {object} opts - parsed options
+ * @param {(file: object) => void} onFile - called for every file, in the order they are listed, with
+ *   { path, status, patientId, studyInstanceUid, sopInstanceUid, hash?, strategy?, reason?, archive }
+ * @returns {Promise<number>} - number of folders that could not be read, reported on stderr
+ */
+async function verifyPaths(storage, targets, opts, onFile) {
+    const pending = []
+    let unreadableFolders = 0
+
+    const flush = async () => {
+        const batch = pending.splice(0)
+        const hashes = [...new Set(batch.filter(file => file.hash).map(file => file.hash))]
+        const hashMatches = await storage.findByHashes(hashes)
+
+        for (const file of batch) {
+            if (file.status) {
+                onFile(file)
+                continue
+            }
+            let result = classifyFile(file.sopInstanceUid, hashMatches.get(file.hash) || [])
+            // the SOPInstanceUID tells a modified instance from a missing one
+            if (result.status === STATUS.MISSING && file.sopInstanceUid) {
+                result = classifyFile(file.sopInstanceUid, [], await storage.findByUid(file.sopInstanceUid))
+            }
+            onFile({ ...file, ...result })
+        }
+    }
+
+    const addFile = async filePath => {
+        pending.push(await readFile(filePath, { mode: opts.hashMode }))
+        if (pending.length >= opts.batchSize) await flush()
+    }
+
+    const onError = (folder, error) => {
+        console.error(`Unable to read the folder ${folder}: ${error.message}`)
+        unreadableFolders++
+    }
+
+    for await (const filePath of walkTargets(targets, opts.deep, onError)) await addFile(filePath)
+    await flush()
+    return unreadableFolders
+}
+
+
+
+
+/**
+ * Reads the identity and the hash of a file
+ * @param {string} filePath - absolute path
+ * @param {object} hashOptions - see lib/hashStrategies.js
+ * @returns {Promise<object>} - { path, patientId, studyInstanceUid, sopInstanceUid, hash, strategy },
+ *   or with status unhashable and the reason
+ */
+async function readFile(filePath, hashOptions) {
+    const file = { path: filePath, patientId: null, studyInstanceUid: null, sopInstanceUid: null }
+    try {
+        const dataSet = dicomParser.parseDicom(await fs.promises.readFile(filePath))
+        const { patientId, studyInstanceUid, sopInstanceUid } = readIdentity(dataSet)
+        Object.assign(file, { patientId, studyInstanceUid, sopInstanceUid })
+
+        const result = hashDataSet(dataSet, hashOptions)
+        if (!result) return { ...file, status: STATUS.UNHASHABLE, reason: 'No hashable content found in the DICOM file.', archive: [] }
+        return { ...file, hash: result.hash, strategy: result.strategy }
+    } catch (error) {
+        // dicom-parser throws strings
+        return { ...file, status: STATUS.UNHASHABLE, reason: error.message || String(error), archive: [] }
+    }
+}
+
+
+
+
+/**
+ * Creates the outputs of the report: the console in the chosen format, and the JSON lines file of -f
+ * @param {object} opts - parsed options
+ * @param {object} header - description of the run
+ * @returns {{file: (file: object) => void, study: (study: object) => void, summary: (summary: object) => void}}
+ */
+function createReport(opts, header) {
+    const save = opts.outputFile
+        ? entry => fs.appendFileSync(opts.outputFile, JSON.stringify(entry) + "\n")
+        : () => { }
+    const json = opts.format === 'json'
+    const print = entry => process.stdout.write(JSON.stringify(entry) + "\n")
+
+    if (opts.outputFile) fs.writeFileSync(opts.outputFile, JSON.stringify({ type: "header", ...header }) + "\n", { flag: 'wx' })
+    if (json) print({ type: "header", ...header })
+    if (opts.format === 'csv') console.log(CSV_COLUMNS.join(','))
+
+    return {
+        file: file => {
+            const entry = { type: "file", ...file }
+            save(entry)
+            if (json) print(entry)
+            else if (opts.format === 'csv') printCsvFile(file)
+            else if (opts.all || file.status !== STATUS.PRESENT) printTextFile(file)
+        },
+
+        study: study => {
+            const entry = { type: "study", ...study }
+            save(entry)
+            if (json) print(entry)
+            else if (opts.format === 'text') console.log(`[${study.status}] study ${study.studyInstanceUid}${study.patientId ? ` (patient ${study.patientId})` : ''}: ${describeCounts(study.files, study.counts)}`)
+        },
+
+        summary: summary => {
+            const entry = { type: "summary", ...summary }
+            save(entry)
+            if (json) print(entry)
+            if (opts.format !== 'text') return
+
+            console.log('---------------------------------------------------')
+            console.log(`Total ${describeCounts(summary.files, summary.counts)}`)
+            console.log(`Studies: ${summary.studies}, ${Object.entries(summary.studyCounts).map(([status, count]) => `${status}: ${count}`).join(', ')}`)
+            console.log(summary.complete ? 'Every hashable file is in the archive.' : 'The migration is incomplete, some files are not in the archive.')
+            if (summary.unreadableFolders) console.log(`${summary.unreadableFolders} folders could not be read, their files were not verified`)
+            if (opts.outputFile) console.log(`Report saved to ${opts.outputFile}`)
+        },
+    }
+}
+
+
+
+
+/**
+ * @param {number} files - number of files
+ * @param {object} counts - number of files per status
+ * @returns {string} - e.g. "files: 12, present: 10, missing: 2"
+ */
+function describeCounts(files, counts) {
+    const nonZero = Object.entries(counts).filter(([, count]) => count)
+    return [`files: ${files}`, ...nonZero.map(([status, count]) => `${status}: ${count}`)].join(', ')
+}
+
+
+
+
+/**
+ * @param {object} file - see verifyPaths
+ */
+function printTextFile({ path: filePath, status, studyInstanceUid, sopInstanceUid, reason, archive }) {
+    if (status === STATUS.UNHASHABLE) {
+        console.log(`[${status}] ${filePath}: ${reason}`)
+        return
+    }
+    console.log(`[${status}] ${filePath} (study ${studyInstanceUid || 'unknown'}, instance ${sopInstanceUid || 'unknown'})`)
+    archive.forEach(({ orthancId, url, sopInstanceUid: archiveUid }) => {
+        console.log(orthancId ? `    Orthanc ID ${orthancId}, instance ${archiveUid}` : `    ${url}, instance ${archiveUid}`)
+    })
+}
+
+
+
+
+/**
+ * @param {object} file - see verifyPaths
+ */
+function printCsvFile({ archive, ...file }) {
+    const rows = archive.length ? archive : [{}]
+    rows.forEach(instance => console.log(csvLine(CSV_COLUMNS, {
+        ...file,
+        archiveOrthancId: instance.orthancId,
+        archiveUrl: instance.url,
+        archiveSopInstanceUid: instance.sopInstanceUid,
+    })))
+}
+
+
+
+module.exports = {
+    name: 'verify',
+    summary: 'Verify that the DICOM files of folders all arrived in the archive synced into the hash database',
+    usage: '<folder|dicomFile> [...]',
+    minPositionals: 1,
+    options,
+    run
+}
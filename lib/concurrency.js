@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Bounded concurrency helpers for the sync pipeline: downloads run in parallel
+ * with mapConcurrent, and database writes go through a task queue that makes the producer wait
+ * when too many writes are pending (backpressure).
+ */
+
+
+
+/**
+ * Calls an async function on every item, with at most `limit` calls in flight
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit - maximum number of concurrent calls
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>} - results in the order of the items
+ * @throws the first error of fn, the calls already started are not cancelled
+ */
+async function mapConcurrent(items, limit, fn) {
+    const results = new Array(items.length)
+    let next = 0
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++
+            results[index] = await fn(items[index], index)
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker))
+    return results
+}
+
+
+
+
+/**
+ * Creates a queue running async tasks in the background
+ * @param {{concurrency?: number, maxPending?: number}} [options] - number of tasks running at the same
+ *   time, and of tasks waiting to run before push waits
+ * @returns {{push: (task: () => Promise) => Promise<void>, drain: () => Promise<void>}}
+ *   push resolves once the task is queued (so the caller waits while the queue is full),
+ *   drain resolves once every task is done. Both reject with the first error of a task
+ */
+function createTaskQueue({ concurrency = 1, maxPending = 1 } = {}) {
+    const queued = []
+    const roomWaiters = []
+    const idleWaiters = []
+    let running = 0
+    let failure = null
+
+    const pump = () => {
+        while (running < concurrency && queued.length) {
+            const task = queued.shift()
+            running++
+            Promise.resolve()
+                .then(task)
+                .catch(error => {
+                    failure = failure || error
+                })
+                .finally(() => {
+                    running--
+                    pump()
+                })
+        }
+        while (roomWaiters.length && queued.length <= maxPending) roomWaiters.shift()()
+        if (!running && !queued.length) idleWaiters.splice(0).forEach(resolve => resolve())
+    }
+
+    return {
+        async push(task) {
+            if (failure) throw failure
+            queued.push(task)
+            pump()
+            while (queued.length > maxPending) {
+                await new Promise(resolve => roomWaiters.push(resolve))
+            }
+        },
+
+        async drain() {
+            if (running || queued.length) {
+                await new Promise(resolve => idleWaiters.push(resolve))
+            }
+            if (failure) throw failure
+        }
+    }
+}
+
+
+
+module.exports = { mapConcurrent, createTaskQueue }
@@ -0,0 +1,32 @@
+const fs = require('fs')
+const path = require('path')
+
+// config.json, the local LMDB index and the sync checkpoint live next to the scripts by default
+const DEFAULT_CONFIG_PATH = path.resolve(__dirname, '..', 'config.json')
+const DEFAULT_INDEX_PATH = path.resolve(__dirname, '..', 'dicom_db')
+const DEFAULT_CHECKPOINT_PATH = path.resolve(__dirname, '..', 'sync-checkpoint.ndjson')
+
+
+
+/**
+ * Loads and parses config.json
+ * @param {string} [configPath] - path to the configuration file, defaults to config.json in the project folder
+ * @returns {object} - the parsed configuration
+ * @throws {Error} if the file is missing or is not valid JSON
+ */
+function loadConfig(configPath = DEFAULT_CONFIG_PATH) {
+    const resolved = path.resolve(configPath)
+    if (!fs.existsSync(resolved)) {
+        throw new Error(`Configuration file "${resolved}" not found.`)
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(resolved, 'utf8'))
+    } catch (error) {
+        throw new Error(`Error parsing "${resolved}": ${error.message}`)
+    }
+}
+
+
+
+module.exports = { DEFAULT_CONFIG_PATH, DEFAULT_INDEX_PATH, DEFAULT_CHECKPOINT_PATH, loadConfig }
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview RFC 4180 CSV output shared by the commands with a --format csv option.
+ */
+
+
+
+/**
+ * @param {any} value
+ * @returns {string} - the value as a CSV cell, quoted when needed, empty for null and undefined
+ */
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value)
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+
+
+
+/**
+ * @param {string[]} columns
+ * @param {object} row
+ * @returns {string} - one CSV line (without the line break) with the row values of the columns
+ */
+function csvLine(columns, row) {
+    return columns.map(column => csvCell(row[column])).join(',')
+}
+
+
+
+
+/**
+ * @param {string[]} columns
+ * @param {object[]} rows
+ * @returns {string} - RFC 4180 CSV with a header line
+ */
+function toCsv(columns, rows) {
+    return [columns.map(csvCell).join(','), ...rows.map(row => csvLine(columns, row))].join('\n')
+}
+
+
+
+module.exports = { csvLine, toCsv }
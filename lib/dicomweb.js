@@ -0,0 +1,181 @@
+/**
+ * @fileoverview DICOMweb helpers used to build the hash database from any PACS with a DICOMweb
+ * API: the instances are listed with QIDO-RS and downloaded with WADO-RS, in their stored transfer
+ * syntax so they hash like the files of Orthanc or of a folder.
+ *
+ * The axios instance is the one of lib/orthanc.js createAxiosInstance, bound to the DICOMweb root
+ * (e.g. http://pacs:8042/dicom-web) with the same basic auth settings.
+ */
+const { mapConcurrent } = require('./concurrency')
+
+
+
+// results asked per QIDO-RS request, servers may return fewer
+const QIDO_PAGE_SIZE = 1000
+
+const TAGS = {
+    studyInstanceUid: '0020000D',
+    seriesInstanceUid: '0020000E',
+    sopInstanceUid: '00080018',
+}
+
+// any transfer syntax: the instance as stored, not transcoded by the server
+const WADO_ACCEPT = 'multipart/related; type="application/dicom"; transfer-syntax=*'
+
+
+
+/**
+ * @param {object} dataset - DICOM JSON object of a QIDO-RS result
+ * @param {string} tag - e.g. '0020000D'
+ * @returns {string|null} - first value of the attribute
+ */
+function jsonValue(dataset, tag) {
+    const attribute = dataset[tag]
+    return attribute && attribute.Value && attribute.Value.length ? String(attribute.Value[0]) : null
+}
+
+
+
+
+/**
+ * Tests the DICOMweb connection with a one study QIDO-RS query
+ * @param {import('axios').AxiosInstance} axiosInstance
+ * @returns {Promise<boolean>}
+ */
+async function testDicomwebConnection(axiosInstance) {
+    try {
+        const response = await axiosInstance.get('/studies', { params: { limit: 1 }, headers: { Accept: 'application/dicom+json' } })
+        // 204: no study yet
+        if (response.status === 200 || response.status === 204) {
+            console.log('Successfully connected to the DICOMweb server.')
+            return true
+        }
+        console.error('Unexpected response from the DICOMweb server:', response.status)
+        return false
+    } catch (error) {
+        console.error('Failed to connect to the DICOMweb server:', error.message)
+        return false
+    }
+}
+
+
+
+
+/**
+ * Runs a QIDO-RS query page by page, until a page is empty or only holds results already seen
+ * @param {import('axios').AxiosInstance} axiosInstance
+ * @param {string} url - e.g. '/studies'
+ * @param {object} params - query parameters
+ * @param {string} keyTag - attribute identifying a result, servers ignoring offset would
+ *   otherwise return the first page forever
+ * @returns {Promise<object[]>} - DICOM JSON results
+ * @throws if a request fails
+ */
+async function queryAll(axiosInstance, url, params, keyTag) {
+    const results = []
+    const seen = new Set()
+
+    for (let offset = 0; ;) {
+        const response = await axiosInstance.get(url, {
+            params: { ...params, limit: QIDO_PAGE_SIZE, offset },
+            headers: { Accept: 'application/dicom+json' }
+        })
+        const page = Array.isArray(response.data) ? response.data : []
+        const fresh = page.filter(dataset => !seen.has(jsonValue(dataset, keyTag)))
+        fresh.forEach(dataset => seen.add(jsonValue(dataset, keyTag)))
+        results.push(...fresh)
+
+        // a short page is not the end, servers cap the limit below QIDO_PAGE_SIZE
+        if (!fresh.length) return results
+        offset += page.length
+    }
+}
+
+
+
+
+/**
+ * Lists every instance of the server: the studies, then the instances of every study
+ * @param {import('axios').AxiosInstance} axiosInstance
+ * @param {number} concurrency - number of studies queried at the same time
+ * @returns {Promise<string[]>} - WADO-RS URLs of the instances (the root URL followed by
+ *   /studies/{study}/series/{series}/instances/{instance})
+ * @throws if a request fails
+ */
+async function fetchDicomwebInstances(axiosInstance, concurrency) {
+    const root = axiosInstance.defaults.baseURL.replace(/\/+$/, '')
+    const studies = await queryAll(axiosInstance, '/studies', {}, TAGS.studyInstanceUid)
+    const studyUids = studies.map(study => jsonValue(study, TAGS.studyInstanceUid)).filter(Boolean)
+
+    const perStudy = await mapConcurrent(studyUids, concurrency, async studyUid => {
+        // the series UID is returned for the instances of a study, asked anyway for older servers
+        const instances = await queryAll(axiosInstance, `/studies/${studyUid}/instances`, { includefield: TAGS.seriesInstanceUid }, TAGS.sopInstanceUid)
+        return instances
+            .map(instance => [jsonValue(instance, TAGS.seriesInstanceUid), jsonValue(instance, TAGS.sopInstanceUid)])
+            .filter(([seriesUid, sopUid]) => seriesUid && sopUid)
+            .map(([seriesUid, sopUid]) => `${root}/studies/${studyUid}/series/${seriesUid}/instances/${sopUid}`)
+    })
+
+    return perStudy.flat()
+}
+
+
+
+
+/**
+ * Splits a multipart/related body in its parts
+ * @param {Buffer} body
+ * @param {string} contentType - Content-Type header of the response, with the boundary
+ * @returns {Buffer[]} - content of every part, without its headers
+ * @throws {Error} if the content type has no boundary
+ */
+function parseMultipart(body, contentType) {
+    const match = /boundary="?([^";]+)"?/i.exec(contentType)
+    if (!match) throw new Error(`No multipart boundary in the content type "${contentType}"`)
+
+    const delimiter = Buffer.from(`--${match[1]}`)
+    const parts = []
+    let start = body.indexOf(delimiter)
+    while (start !== -1) {
+        const next = body.indexOf(delimiter, start + delimiter.length)
+        if (next === -1) break
+
+        const part = body.subarray(start + delimiter.length, next)
+        const headersEnd = part.indexOf('\r\n\r\n')
+        if (headersEnd !== -1) {
+            let content = part.subarray(headersEnd + 4)
+            // the line break before a delimiter belongs to the delimiter
+            if (content.subarray(-2).toString() === '\r\n') content = content.subarray(0, -2)
+            parts.push(content)
+        }
+        start = next
+    }
+    return parts
+}
+
+
+
+
+/**
+ * Downloads an instance with WADO-RS
+ * @param {import('axios').AxiosInstance} axiosInstance
+ * @param {string} instanceUrl - WADO-RS URL of the instance (see fetchDicomwebInstances)
+ * @returns {Promise<Buffer>} - the DICOM file
+ * @throws if the download fails or the answer holds no instance
+ */
+async function fetchDicomwebFile(axiosInstance, instanceUrl) {
+    const response = await axiosInstance.get(instanceUrl, { responseType: 'arraybuffer', headers: { Accept: WADO_ACCEPT } })
+    const body = Buffer.from(response.data)
+    const contentType = response.headers['content-type'] || ''
+
+    // some servers answer a single instance without the multipart envelope
+    if (contentType.startsWith('application/dicom')) return body
+
+    const [dicomData] = parseMultipart(body, contentType)
+    if (!dicomData) throw new Error('Empty WADO-RS answer')
+    return dicomData
+}
+
+
+
+module.exports = { testDicomwebConnection, fetchDicomwebInstances, fetchDicomwebFile }
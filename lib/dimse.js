@@ -0,0 +1,594 @@
+/**
+ * @fileoverview Minimal DICOM network Storage SCP (PS3.7 DIMSE, PS3.8 upper layer) for the
+ * receive command: it accepts associations, answers C-ECHO and hands every C-STORE request to
+ * a handler, whose answer is sent back as the C-STORE status.
+ *
+ * Only what a storage SCP needs is implemented: association negotiation (Verification and the
+ * Storage SOP classes, any transfer syntax except deflate), P-DATA fragments, release and abort.
+ * Command sets are always implicit VR little endian (PS3.7 6.3.1).
+ */
+const net = require('net')
+
+
+
+const PDU = {
+    ASSOCIATE_RQ: 0x01,
+    ASSOCIATE_AC: 0x02,
+    ASSOCIATE_RJ: 0x03,
+    P_DATA_TF: 0x04,
+    RELEASE_RQ: 0x05,
+    RELEASE_RP: 0x06,
+    ABORT: 0x07,
+}
+
+const ITEM = {
+    APPLICATION_CONTEXT: 0x10,
+    PRESENTATION_CONTEXT_RQ: 0x20,
+    PRESENTATION_CONTEXT_AC: 0x21,
+    ABSTRACT_SYNTAX: 0x30,
+    TRANSFER_SYNTAX: 0x40,
+    USER_INFORMATION: 0x50,
+    MAX_LENGTH: 0x51,
+    IMPLEMENTATION_CLASS_UID: 0x52,
+    IMPLEMENTATION_VERSION_NAME: 0x55,
+}
+
+const COMMAND = {
+    C_STORE_RQ: 0x0001,
+    C_STORE_RSP: 0x8001,
+    C_ECHO_RQ: 0x0030,
+    C_ECHO_RSP: 0x8030,
+}
+
+/**
+ * C-STORE statuses (PS3.4 B.2.3) and the general ones used by the receive command (PS3.7 C)
+ */
+const STATUS = {
+    SUCCESS: 0x0000,
+    PROCESSING_FAILURE: 0x0110,
+    DUPLICATE_SOP_INSTANCE: 0x0111,
+}
+
+const APPLICATION_CONTEXT_UID = '1.2.840.10008.3.1.1.1'
+const VERIFICATION_SOP_CLASS = '1.2.840.10008.1.1'
+// every Storage SOP class is under this root (PS3.4 B.5)
+const STORAGE_SOP_CLASS_ROOT = '1.2.840.10008.5.1.4.1.1.'
+// deflated data sets would have to be inflated before they can be parsed
+const DEFLATED_TRANSFER_SYNTAX = '1.2.840.10008.1.2.1.99'
+
+const IMPLEMENTATION_CLASS_UID = '2.25.128132309842898672668019916342604993313'
+const IMPLEMENTATION_VERSION_NAME = 'DICOM_HASH_1'
+
+// largest P-DATA-TF announced to the peers, and largest PDU accepted from them
+const MAX_PDU_LENGTH = 65536
+const MAX_RECEIVED_PDU_LENGTH = 64 * 1024 * 1024
+
+// associations without any PDU for this long are aborted
+const IDLE_TIMEOUT_MS = 5 * 60 * 1000
+
+// no-data-set value of CommandDataSetType
+const NO_DATA_SET = 0x0101
+
+const ASSOCIATION_RJ_REASON = {
+    NO_REASON: 1,
+    APPLICATION_CONTEXT_NOT_SUPPORTED: 2,
+    CALLING_AE_NOT_RECOGNIZED: 3,
+    CALLED_AE_NOT_RECOGNIZED: 7,
+}
+
+
+
+/**
+ * @param {Buffer} buffer
+ * @returns {string} - text value without its padding (spaces or NULs)
+ */
+function readText(buffer) {
+    return buffer.toString('latin1').replace(/[\0 ]+$/, '').trim()
+}
+
+
+
+
+/**
+ * @param {string} value
+ * @param {string} padding - '\0' for UIDs, ' ' for the other strings
+ * @returns {Buffer} - value padded to an even length
+ */
+function textValue(value, padding) {
+    const text = value.length % 2 ? value + padding : value
+    return Buffer.from(text, 'latin1')
+}
+
+
+
+
+/**
+ * @param {string} title - AE title
+ * @returns {Buffer} - the 16 bytes field of the association PDUs
+ */
+function aeTitleField(title) {
+    return Buffer.from(title.padEnd(16, ' ').slice(0, 16), 'latin1')
+}
+
+
+
+
+/**
+ * @param {number} type - PDU type
+ * @param {Buffer} body
+ * @returns {Buffer} - the PDU with its header
+ */
+function encodePdu(type, body) {
+    const header = Buffer.alloc(6)
+    header.writeUInt8(type, 0)
+    header.writeUInt32BE(body.length, 2)
+    return Buffer.concat([header, body])
+}
+
+
+
+
+/**
+ * @param {number} type - item type
+ * @param {Buffer} content
+ * @returns {Buffer} - the item of an association PDU, with its header
+ */
+function encodeItem(type, content) {
+    const header = Buffer.alloc(4)
+    header.writeUInt8(type, 0)
+    header.writeUInt16BE(content.length, 2)
+    return Buffer.concat([header, content])
+}
+
+
+
+
+/**
+ * Splits the variable part of an association PDU (or of one of its items) in items
+ * @param {Buffer} buffer
+ * @returns {{type: number, content: Buffer}[]}
+ * @throws {Error} if an item runs past the end of the buffer
+ */
+function readItems(buffer) {
+    const items = []
+    for (let offset = 0; offset + 4 <= buffer.length;) {
+        const type = buffer.readUInt8(offset)
+        const length = buffer.readUInt16BE(offset + 2)
+        if (offset + 4 + length > buffer.length) throw new Error('Invalid association item length')
+        items.push({ type, content: buffer.subarray(offset + 4, offset + 4 + length) })
+        offset += 4 + length
+    }
+    return items
+}
+
+
+
+
+/**
+ * Parses an A-ASSOCIATE-RQ
+ * @param {Buffer} body - PDU without its header
+ * @returns {{calledAeTitle: string, callingAeTitle: string, applicationContext: string|null,
+ *   presentationContexts: {id: number, abstractSyntax: string, transferSyntaxes: string[]}[], maxPduLength: number}}
+ * @throws {Error} if the PDU is malformed
+ */
+function parseAssociateRequest(body) {
+    if (body.length < 68) throw new Error('A-ASSOCIATE-RQ too short')
+
+    const request = {
+        calledAeTitle: readText(body.subarray(4, 20)),
+        callingAeTitle: readText(body.subarray(20, 36)),
+        applicationContext: null,
+        presentationContexts: [],
+        // 0: no limit
+        maxPduLength: 0
+    }
+
+    for (const item of readItems(body.subarray(68))) {
+        if (item.type === ITEM.APPLICATION_CONTEXT) {
+            request.applicationContext = readText(item.content)
+
+        } else if (item.type === ITEM.PRESENTATION_CONTEXT_RQ) {
+            const subItems = readItems(item.content.subarray(4))
+            const abstractSyntax = subItems.find(sub => sub.type === ITEM.ABSTRACT_SYNTAX)
+            request.presentationContexts.push({
+                id: item.content.readUInt8(0),
+                abstractSyntax: abstractSyntax ? readText(abstractSyntax.content) : '',
+                transferSyntaxes: subItems.filter(sub => sub.type === ITEM.TRANSFER_SYNTAX).map(sub => readText(sub.content))
+            })
+
+        } else if (item.type === ITEM.USER_INFORMATION) {
+            const maxLength = readItems(item.content).find(sub => sub.type === ITEM.MAX_LENGTH)
+            if (maxLength && maxLength.content.length >= 4) request.maxPduLength = maxLength.content.readUInt32BE(0)
+        }
+    }
+    return request
+}
+
+
+
+
+/**
+ * Chooses the answer to every proposed presentation context
+ * @param {{id: number, abstractSyntax: string, transferSyntaxes: string[]}[]} presentationContexts
+ * @returns {{id: number, abstractSyntax: string, result: number, transferSyntax: string}[]} - result 0
+ *   is acceptance, 3 abstract syntax not supported, 4 transfer syntaxes not supported (PS3.8 9.3.3.2)
+ */
+function negotiate(presentationContexts) {
+    return presentationContexts.map(({ id, abstractSyntax, transferSyntaxes }) => {
+        const supported = abstractSyntax === VERIFICATION_SOP_CLASS || abstractSyntax.startsWith(STORAGE_SOP_CLASS_ROOT)
+        if (!supported) return { id, abstractSyntax, result: 3, transferSyntax: transferSyntaxes[0] || '' }
+
+        // the first syntax proposed by the sender is kept, the instance is stored as it was sent
+        const transferSyntax = transferSyntaxes.find(uid => uid !== DEFLATED_TRANSFER_SYNTAX)
+        return transferSyntax
+            ? { id, abstractSyntax, result: 0, transferSyntax }
+            : { id, abstractSyntax, result: 4, transferSyntax: transferSyntaxes[0] || '' }
+    })
+}
+
+
+
+
+/**
+ * Builds the A-ASSOCIATE-AC of a request
+ * @param {object} request - see parseAssociateRequest
+ * @param {object[]} contexts - see negotiate
+ * @returns {Buffer}
+ */
+function encodeAssociateAccept(request, contexts) {
+    const fixed = Buffer.alloc(68)
+    fixed.writeUInt16BE(1, 0)
+    aeTitleField(request.calledAeTitle).copy(fixed, 4)
+    aeTitleField(request.callingAeTitle).copy(fixed, 20)
+
+    const maxLength = Buffer.alloc(4)
+    maxLength.writeUInt32BE(MAX_PDU_LENGTH, 0)
+
+    return encodePdu(PDU.ASSOCIATE_AC, Buffer.concat([
+        fixed,
+        encodeItem(ITEM.APPLICATION_CONTEXT, Buffer.from(APPLICATION_CONTEXT_UID, 'latin1')),
+        ...contexts.map(({ id, result, transferSyntax }) => encodeItem(ITEM.PRESENTATION_CONTEXT_AC, Buffer.concat([
+            Buffer.from([id, 0, result, 0]),
+            encodeItem(ITEM.TRANSFER_SYNTAX, Buffer.from(transferSyntax, 'latin1'))
+        ]))),
+        encodeItem(ITEM.USER_INFORMATION, Buffer.concat([
+            encodeItem(ITEM.MAX_LENGTH, maxLength),
+            encodeItem(ITEM.IMPLEMENTATION_CLASS_UID, Buffer.from(IMPLEMENTATION_CLASS_UID, 'latin1')),
+            encodeItem(ITEM.IMPLEMENTATION_VERSION_NAME, Buffer.from(IMPLEMENTATION_VERSION_NAME, 'latin1'))
+        ]))
+    ]))
+}
+
+
+
+
+/**
+ * Parses a command set
+ * @param {Buffer} buffer - implicit VR little endian group 0000 elements
+ * @returns {Map<number, Buffer>} - element number (e.g. 0x0100) to its value
+ * @throws {Error} if an element runs past the end of the buffer
+ */
+function parseCommand(buffer) {
+    const elements = new Map()
+    for (let offset = 0; offset + 8 <= buffer.length;) {
+        const element = buffer.readUInt16LE(offset + 2)
+        const length = buffer.readUInt32LE(offset + 4)
+        if (offset + 8 + length > buffer.length) throw new Error('Invalid command element length')
+        elements.set(element, buffer.subarray(offset + 8, offset + 8 + length))
+        offset += 8 + length
+    }
+    return elements
+}
+
+
+
+
+/**
+ * Builds a command set
+ * @param {[number, string, (string|number)][]} elements - [element, VR, value], in ascending order,
+ *   without the group length
+ * @returns {Buffer} - implicit VR little endian elements, group length first
+ */
+function encodeCommand(elements) {
+    const encoded = elements.map(([element, vr, value]) => {
+        let content
+        if (vr === 'US') {
+            content = Buffer.alloc(2)
+            content.writeUInt16LE(value, 0)
+        } else {
+            content = textValue(String(value), vr === 'UI' ? '\0' : ' ')
+        }
+        const header = Buffer.alloc(8)
+        header.writeUInt16LE(0x0000, 0)
+        header.writeUInt16LE(element, 2)
+        header.writeUInt32LE(content.length, 4)
+        return Buffer.concat([header, content])
+    })
+
+    const body = Buffer.concat(encoded)
+    const groupLength = Buffer.alloc(12)
+    groupLength.writeUInt16LE(0x0000, 0)
+    groupLength.writeUInt16LE(0x0000, 2)
+    groupLength.writeUInt32LE(4, 4)
+    groupLength.writeUInt32LE(body.length, 8)
+    return Buffer.concat([groupLength, body])
+}
+
+
+
+
+/**
+ * Builds the P-DATA-TF PDUs of a message fragment stream
+ * @param {number} contextId - presentation context id
+ * @param {Buffer} data - command set or data set
+ * @param {boolean} isCommand
+ * @param {number} maxPduLength - announced by the peer, 0 for no limit
+ * @returns {Buffer[]}
+ */
+function encodePData(contextId, data, isCommand, maxPduLength) {
+    // 6 bytes of PDV header inside the PDU: length, context id, control header
+    const maxFragment = (maxPduLength || MAX_PDU_LENGTH) - 6
+    const pdus = []
+    for (let offset = 0; offset < data.length || offset === 0; offset += maxFragment) {
+        const fragment = data.subarray(offset, offset + maxFragment)
+        const last = offset + maxFragment >= data.length
+        const header = Buffer.alloc(6)
+        header.writeUInt32BE(fragment.length + 2, 0)
+        header.writeUInt8(contextId, 4)
+        header.writeUInt8((isCommand ? 1 : 0) | (last ? 2 : 0), 5)
+        pdus.push(encodePdu(PDU.P_DATA_TF, Buffer.concat([header, fragment])))
+        if (last) break
+    }
+    return pdus
+}
+
+
+
+
+/**
+ * Wraps a received data set in a DICOM file (PS3.10), so it can be hashed and stored like any file
+ * @param {Buffer} dataSet - data set in the negotiated transfer syntax
+ * @param {{sopClassUid: string, sopInstanceUid: string, transferSyntaxUid: string, sourceAeTitle: string}} meta
+ * @returns {Buffer}
+ */
+function buildPart10(dataSet, { sopClassUid, sopInstanceUid, transferSyntaxUid, sourceAeTitle }) {
+    const element = (tag, vr, content) => {
+        const header = Buffer.alloc(vr === 'OB' ? 12 : 8)
+        header.writeUInt16LE(0x0002, 0)
+        header.writeUInt16LE(tag, 2)
+        header.write(vr, 4, 'latin1')
+        if (vr === 'OB') {
+            header.writeUInt32LE(content.length, 8)
+        } else {
+            header.writeUInt16LE(content.length, 6)
+        }
+        return Buffer.concat([header, content])
+    }
+
+    const metaElements = Buffer.concat([
+        element(0x0001, 'OB', Buffer.from([0, 1])),
+        element(0x0002, 'UI', textValue(sopClassUid, '\0')),
+        element(0x0003, 'UI', textValue(sopInstanceUid, '\0')),
+        element(0x0010, 'UI', textValue(transferSyntaxUid, '\0')),
+        element(0x0012, 'UI', textValue(IMPLEMENTATION_CLASS_UID, '\0')),
+        element(0x0013, 'SH', textValue(IMPLEMENTATION_VERSION_NAME, ' ')),
+        ...(sourceAeTitle ? [element(0x0016, 'AE', textValue(sourceAeTitle, ' '))] : []),
+    ])
+    const groupLength = Buffer.alloc(4)
+    groupLength.writeUInt32LE(metaElements.length, 0)
+
+    return Buffer.concat([Buffer.alloc(128), Buffer.from('DICM', 'latin1'), element(0x0000, 'UL', groupLength), metaElements, dataSet])
+}
+
+
+
+
+/**
+ * Handles one association: negotiation, DIMSE messages and release
+ * @param {net.Socket} socket
+ * @param {object} handlers - see createStorageScp
+ */
+function handleAssociation(socket, handlers) {
+    let received = Buffer.alloc(0)
+    let association = null
+    // DIMSE messages are answered one at a time, in the order they arrive
+    let queue = Promise.resolve()
+    // fragments of the message being received
+    let message = null
+    let closed = false
+
+    const send = buffers => {
+        if (!closed) buffers.forEach(buffer => socket.write(buffer))
+    }
+
+    const close = (reason) => {
+        if (closed) return
+        closed = true
+        socket.end()
+        if (association && handlers.onClose) handlers.onClose({ ...association.info, reason })
+    }
+
+    const abort = (reason) => {
+        // source 0: service user, reason 0: not specified
+        send([encodePdu(PDU.ABORT, Buffer.from([0, 0, 0, 0]))])
+        close(reason)
+    }
+
+    const enqueue = task => {
+        queue = queue.then(task).catch(error => abort(error.message))
+    }
+
+    const respond = (contextId, elements) => {
+        send(encodePData(contextId, encodeCommand(elements), true, association.maxPduLength))
+    }
+
+    const handleMessage = async (contextId, command, dataSet) => {
+        const context = association.contexts.get(contextId)
+        const commandField = command.has(0x0100) ? command.get(0x0100).readUInt16LE(0) : null
+        const messageId = command.has(0x0110) ? command.get(0x0110).readUInt16LE(0) : 0
+        const sopClassUid = command.has(0x0002) ? readText(command.get(0x0002)) : context.abstractSyntax
+
+        if (commandField === COMMAND.C_ECHO_RQ) {
+            respond(contextId, [
+                [0x0002, 'UI', sopClassUid],
+                [0x0100, 'US', COMMAND.C_ECHO_RSP],
+                [0x0120, 'US', messageId],
+                [0x0800, 'US', NO_DATA_SET],
+                [0x0900, 'US', STATUS.SUCCESS],
+            ])
+            return
+        }
+
+        if (commandField !== COMMAND.C_STORE_RQ) {
+            abort(`unsupported DIMSE command 0x${(commandField || 0).toString(16)}`)
+            return
+        }
+
+        const sopInstanceUid = command.has(0x1000) ? readText(command.get(0x1000)) : ''
+        let answer
+        try {
+            answer = await handlers.onStore({
+                ...association.info,
+                sopClassUid,
+                sopInstanceUid,
+                transferSyntaxUid: context.transferSyntax,
+                dataSet
+            })
+        } catch (error) {
+            answer = { status: STATUS.PROCESSING_FAILURE, comment: error.message }
+        }
+
+        respond(contextId, [
+            [0x0002, 'UI', sopClassUid],
+            [0x0100, 'US', COMMAND.C_STORE_RSP],
+            [0x0120, 'US', messageId],
+            [0x0800, 'US', NO_DATA_SET],
+            [0x0900, 'US', answer.status],
+            // Error Comment is at most 64 characters (LO)
+            ...(answer.comment && answer.status !== STATUS.SUCCESS ? [[0x0902, 'LO', answer.comment.slice(0, 64)]] : []),
+            [0x1000, 'UI', sopInstanceUid],
+        ])
+    }
+
+    const handlePData = body => {
+        for (let offset = 0; offset + 6 <= body.length;) {
+            const length = body.readUInt32BE(offset)
+            const contextId = body.readUInt8(offset + 4)
+            const control = body.readUInt8(offset + 5)
+            const fragment = body.subarray(offset + 6, offset + 4 + length)
+            offset += 4 + length
+
+            if (!association.contexts.has(contextId)) {
+                abort(`data on presentation context ${contextId}, which was not accepted`)
+                return
+            }
+            const isCommand = (control & 1) === 1
+            const isLast = (control & 2) === 2
+
+            if (!message) message = { contextId, command: [], commandDone: false, data: [] }
+            if (isCommand) {
+                message.command.push(fragment)
+                if (isLast) message.commandDone = true
+            } else {
+                message.data.push(fragment)
+            }
+
+            if (!message.commandDone) continue
+            const command = parseCommand(Buffer.concat(message.command))
+            const hasDataSet = command.has(0x0800) && command.get(0x0800).readUInt16LE(0) !== NO_DATA_SET
+            if (hasDataSet && !(!isCommand && isLast)) continue
+
+            const { contextId: id, data } = message
+            message = null
+            enqueue(() => handleMessage(id, command, Buffer.concat(data)))
+        }
+    }
+
+    const handlePdu = (type, body) => {
+        if (type === PDU.ASSOCIATE_RQ && !association) {
+            const request = parseAssociateRequest(body)
+            const info = { callingAeTitle: request.callingAeTitle, calledAeTitle: request.calledAeTitle, remoteAddress: socket.remoteAddress }
+            const rejection = request.applicationContext !== APPLICATION_CONTEXT_UID
+                ? ASSOCIATION_RJ_REASON.APPLICATION_CONTEXT_NOT_SUPPORTED
+                : handlers.onAssociate(info)
+            if (rejection) {
+                // result 1: rejected-permanent, source 1: service-user
+                send([encodePdu(PDU.ASSOCIATE_RJ, Buffer.from([0, 1, 1, rejection]))])
+                closed = true
+                socket.end()
+                return
+            }
+
+            const contexts = negotiate(request.presentationContexts)
+            association = {
+                info,
+                maxPduLength: request.maxPduLength,
+                contexts: new Map(contexts.filter(context => context.result === 0).map(context => [context.id, context]))
+            }
+            send([encodeAssociateAccept(request, contexts)])
+
+        } else if (type === PDU.P_DATA_TF && association) {
+            handlePData(body)
+
+        } else if (type === PDU.RELEASE_RQ && association) {
+            // the release waits for the answers of the messages already received
+            enqueue(() => {
+                send([encodePdu(PDU.RELEASE_RP, Buffer.alloc(4))])
+                close('released')
+            })
+
+        } else if (type === PDU.ABORT) {
+            close('aborted by the peer')
+
+        } else {
+            abort(`unexpected PDU type ${type}`)
+        }
+    }
+
+    socket.on('data', chunk => {
+        received = Buffer.concat([received, chunk])
+        while (!closed && received.length >= 6) {
+            const length = received.readUInt32BE(2)
+            if (length > MAX_RECEIVED_PDU_LENGTH) {
+                abort(`PDU of ${length} bytes`)
+                return
+            }
+            if (received.length < 6 + length) return
+
+            const type = received.readUInt8(0)
+            const body = received.subarray(6, 6 + length)
+            received = received.subarray(6 + length)
+            try {
+                handlePdu(type, body)
+            } catch (error) {
+                abort(error.message)
+            }
+        }
+    })
+
+    socket.setTimeout(IDLE_TIMEOUT_MS, () => abort('idle timeout'))
+    socket.on('error', error => close(error.message))
+    socket.on('close', () => close('connection closed'))
+}
+
+
+
+
+/**
+ * Creates a Storage SCP, it still has to listen
+ * @param {object} handlers
+ * @param {(info: {callingAeTitle: string, calledAeTitle: string, remoteAddress: string}) => number|null} handlers.onAssociate -
+ *   null to accept the association, or the A-ASSOCIATE-RJ reason (see ASSOCIATION_RJ_REASON)
+ * @param {(request: {callingAeTitle: string, calledAeTitle: string, remoteAddress: string, sopClassUid: string,
+ *   sopInstanceUid: string, transferSyntaxUid: string, dataSet: Buffer}) => Promise<{status: number, comment?: string}>} handlers.onStore -
+ *   handles a C-STORE request, resolves to its status (see STATUS)
+ * @param {(info: object) => void} [handlers.onClose] - called when an accepted association ends, with the reason
+ * @returns {net.Server}
+ */
+function createStorageScp(handlers) {
+    return net.createServer(socket => handleAssociation(socket, handlers))
+}
+
+
+
+module.exports = { STATUS, ASSOCIATION_RJ_REASON, createStorageScp, buildPart10 }
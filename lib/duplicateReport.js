@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Reads the duplicate reports written by the dups command: the JSON array of
+ * groups written with -f, or the JSON lines written with -c.
+ * With --keep the kept file is the first one of every group.
+ */
+const fs = require('fs')
+
+
+
+/**
+ * Reads a duplicate report. Near duplicate groups (type "similar" of the -f and -c outputs) are
+ * left out, their files are not copies of each other
+ * @param {string} filePath - report written by "dups -f" or "dups -c"
+ * @returns {string[][]} - groups of file paths
+ * @throws {Error} if the file can't be read or is not a duplicate report
+ */
+function readDuplicateReport(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8')
+
+    // -f: [["/a", "/b"], ...], or [{"files": ["/a", "/b"], "keep": {...}}, ...] with --keep,
+    // and {"type": "similar", "files": [...]} for the near duplicates with --similar
+    if (text.trimStart().startsWith('[')) {
+        const groups = JSON.parse(text)
+            .filter(g => !(g && g.type === 'similar'))
+            .map(g => g && Array.isArray(g.files) ? g.files : g)
+        if (!groups.every(g => Array.isArray(g) && g.every(f => typeof f === 'string'))) {
+            throw new Error(`${filePath} is not a duplicate report`)
+        }
+        return groups
+    }
+
+    // -c: one JSON object per line, the groups are the "duplicate" lines
+    const groups = []
+    text.split('\n').forEach((line, i) => {
+        if (!line.trim()) return
+        let event
+        try {
+            event = JSON.parse(line)
+        } catch (error) {
+            throw new Error(`${filePath}:${i + 1} is not valid JSON`)
+        }
+        if (event.type === 'duplicate') {
+            groups.push(event.group.map(file => file.fullPath))
+        }
+    })
+    return groups
+}
+
+
+
+module.exports = { readDuplicateReport }
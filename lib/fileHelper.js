@@ -1,11 +1,13 @@
 const fs = require('fs')
 const path = require('path')
+const crypto = require('crypto')
 const { promisify } = require('util')
 const { once } = require('events')
 const readline = require('readline')
-const crypto = require('crypto')
 const dicomParser = require('dicom-parser')
 
+const { hashDataSet } = require('./hashStrategies')
+
 const readdir = promisify(fs.readdir)
 
 
@@ -41,11 +43,13 @@ function removeNestedFolders(folders) {
 /**
  * Recursively walks through a directory and appends file paths to a temp file.
  * @param {string} dir - The directory to walk.
+ * @param {boolean} deepMode - when false only files without extension or with .dcm/.dicom are listed
  * @param {fs.WriteStream} writeStream - The write stream to append paths to.
  * @param {object} counter - Object with a 'count' property to track files checked.
+ * @param {boolean} [verbose] - print every listed path
  * @returns {Promise<void>}
  */
-async function writeFilePathsToTemp(dir, deepMode, writeStream, counter) {
+async function writeFilePathsToTemp(dir, deepMode, writeStream, counter, verbose = false) {
   let entries
   try {
     entries = await readdir(dir, { withFileTypes: true })
@@ -61,7 +65,7 @@ async function writeFilePathsToTemp(dir, deepMode, writeStream, counter) {
   for (const entry of entries) {
     const fullPath = path.join(dir, entry.name)
     if (entry.isDirectory()) {
-      await writeFilePathsToTemp(fullPath, deepMode, writeStream, counter)
+      await writeFilePathsToTemp(fullPath, deepMode, writeStream, counter, verbose)
       
     } else if (entry.isFile()) {
        
@@ -77,7 +81,7 @@ async function writeFilePathsToTemp(dir, deepMode, writeStream, counter) {
         }
 
         counter.count++ // increment for every file checked
-        console.log(`${fullPath}`)
+        if (verbose) console.log(`${fullPath}`)
 
         try {
           writeStream.write(fullPath + '\n')
@@ -94,11 +98,12 @@ async function writeFilePathsToTemp(dir, deepMode, writeStream, counter) {
  * @param {boolean} deepMode
  * @param {string} tempFilePath
  * @param {object} counter - Object with a 'count' property to track files checked.
+ * @param {boolean} [verbose] - print every listed path
  * @returns {null} 
  */
-async function saveAllFilePaths(dirPath, deepMode, tempFilePath, counter) {
+async function saveAllFilePaths(dirPath, deepMode, tempFilePath, counter, verbose = false) {
   const writeStream = fs.createWriteStream(tempFilePath, { flags: 'a' })
-  await writeFilePathsToTemp(dirPath, deepMode, writeStream, counter)
+  await writeFilePathsToTemp(dirPath, deepMode, writeStream, counter, verbose)
   writeStream.end()
   await once(writeStream, 'finish')
 }
@@ -174,15 +179,18 @@ async function isDicomFile(filePath) {
 
 /**
  * Processes a DICOM file to extract relevant data and generate a hash.
+ * The relevant data depends on the SOP Class UID, see lib/hashStrategies.js
  * @param {string} filePath - The path to the DICOM file to be processed.
- * @returns {Promise<string|null>} - A promise that resolves to the hash of the relevant data, or null if no relevant data is found.
+ * @param {object} counter - Object with a 'dicoms' property incremented for every parsed DICOM file.
+ * @param {object} [hashOptions] - hash options, e.g. { mode: 'decoded' } (see lib/hashStrategies.js)
+ * @returns {Promise<{hash: string, strategy: string}|null>} - the hash and the id of the strategy used, or null if no relevant data is found.
  */
-async function processDicomFile(filePath, counter) {
+async function processDicomFile(filePath, counter, hashOptions = {}) {
     try {
         const dicomData = await fs.promises.readFile(filePath)
         const dataSet = dicomParser.parseDicom(dicomData)
         counter.dicoms++
-        return extractRelevantData(dataSet)
+        return hashDataSet(dataSet, hashOptions)
     } catch (error) {
         //console.error(`Error processing ${filePath}:`, error)
         return null
@@ -193,149 +201,123 @@ async function processDicomFile(filePath, counter) {
 
 
 /**
- * Extracts relevant data from a DICOM dataset based on SOP Class UID and modality.
- * @param {object} dataSet - The DICOM dataset to extract data from.
- * @returns {string|null} - The hash of the relevant data, or null if no relevant data is found.
+ * Hashes DICOM content already in memory, the same way as the files of the commands.
+ * @param {Buffer} dicomData - content of a DICOM file
+ * @param {object} [hashOptions] - hash options, e.g. { mode: 'decoded' } (see lib/hashStrategies.js)
+ * @returns {{hash: string, strategy: string}} - the hash and the id of the strategy used
+ * @throws if the content can't be parsed or has nothing to hash (dicom-parser throws strings)
  */
-function extractRelevantData(dataSet) {
-    const sopClassUID = dataSet.string('x00080016') || ''
-    const modality = dataSet.string('x00080060') || ''
-    
-    // Handle image-based modalities
-    if (!isSpecialSOPClass(sopClassUID)) {
-        const pixelDataElement = dataSet.elements.x7fe00010
-        if (!pixelDataElement || pixelDataElement.length === 0) return null
-
-        const pixelData = new Uint8Array(
-            dataSet.byteArray.buffer,
-            pixelDataElement.dataOffset,
-            pixelDataElement.length
-        )
-        return hashBuffer(pixelData)
+function hashDicomBuffer(dicomData, hashOptions = {}) {
+    const dataSet = dicomParser.parseDicom(dicomData)
+    const result = hashDataSet(dataSet, hashOptions)
+    if (!result) {
+        throw new Error('No hashable content found in the DICOM file.')
     }
-
-    // Handle special cases
-    return handleSpecialSOPClass(dataSet, sopClassUID)
+    return result
 }
 
 
 
 
+/**
+ * Reads and hashes a DICOM file, unlike processDicomFile the reason of a failure is kept.
+ * @param {string} filePath - The path to the DICOM file.
+ * @param {object} [hashOptions] - hash options (see lib/hashStrategies.js)
+ * @returns {Promise<{hash: string, strategy: string}>} - the hash and the id of the strategy used
+ * @throws if the file can't be read or parsed, or has nothing to hash
+ */
+async function hashDicomFile(filePath, hashOptions = {}) {
+    return hashDicomBuffer(await fs.promises.readFile(filePath), hashOptions)
+}
 
 
-/** 
- * Checks if the SOP Class UID corresponds to a special DICOM SOP Class.
- * This includes PDF, SR, RT Structure Set, and Waveform SOP Classes.
- * @param {string} sopClassUID - The SOP Class UID to check.
- * @returns {boolean} - Returns true if the SOP Class UID is special, false otherwise.
-*/
-function isSpecialSOPClass(sopClassUID) {
-    return [
-        '1.2.840.10008.5.1.4.1.1.104.1', // PDF
-        '1.2.840.10008.5.1.4.1.1.88.',   // SR (prefix match)
-        '1.2.840.10008.5.1.4.1.1.481.3', // RT Structure Set
-        '1.2.840.10008.5.1.4.1.1.9.1.',  // Waveform
-        //'1.2.840.10008.5.1.4.1.1.66.4'   // Segmentation (has pixelData so it's normal)
-    ].some(prefix => sopClassUID.startsWith(prefix))
-}
 
 
+/**
+ * Computes the SHA-256 of a whole file (header included), without loading it in memory.
+ * @param {string} filePath - The path to the file.
+ * @returns {Promise<string>} - The SHA-256 hash in hexadecimal format.
+ */
+async function hashFile(filePath) {
+    const hash = crypto.createHash('sha256')
+    for await (const chunk of fs.createReadStream(filePath)) {
+        hash.update(chunk)
+    }
+    return hash.digest('hex')
+}
 
 
 
-/** 
- * Handles special SOP Class UIDs by extracting relevant data and generating a hash.
- * @param {object} dataSet - The DICOM dataset to extract data from.
- * @param {string} sopClassUID - The SOP Class UID to check.
- * @returns {string|null} - The hash of the relevant data, or null if no relevant data is found.
-*/
-function handleSpecialSOPClass(dataSet, sopClassUID) {
-    //encapsulated pdf
-    if (sopClassUID === '1.2.840.10008.5.1.4.1.1.104.1') {
-        const docElement = dataSet.elements.x00420011
-        if (!docElement || docElement.length === 0) return null
-        const buffer = new Uint8Array(
-            dataSet.byteArray.buffer,
-            docElement.dataOffset,
-            docElement.length
-        )
 
-        return hashBuffer(buffer)
+/**
+ * Async generator that walks through all files in a directory and its subdirectories.
+ * Dotfiles and dot folders are skipped, unreadable folders are reported through onError.
+ * @param {string} dir - The directory to walk.
+ * @param {(filePath: string, error: Error) => void} [onError] - called for folders that can't be read
+ * @returns {AsyncGenerator<string>} - full paths of the files found
+ */
+async function* walkFiles(dir, onError = () => {}) {
+    let entries
+    try {
+        entries = await readdir(dir, { withFileTypes: true })
+    } catch (err) {
+        onError(dir, err)
+        return
     }
 
-    //SR 
-    if(sopClassUID.startsWith('1.2.840.10008.5.1.4.1.1.88.') ){
-        const contentElement = dataSet.elements.x0040a730
-        if (!contentElement || contentElement.length === 0) return null
-    
-        const buffer = new Uint8Array(
-            dataSet.byteArray.buffer,
-            contentElement.dataOffset,
-            contentElement.length
-        )
-       
-        return hashBuffer(buffer)
-    }
-    
-    // RT Structure 
-    if (sopClassUID === '1.2.840.10008.5.1.4.1.1.481.3') {
-        const targets = [
-            'x30060020', // StructureSetROISequence
-            'x30060039', // ROIContourSequence
-            'x30060080'  // RTROIObservationsSequence
-        ]
-    
-        const buffers = []
-    
-        for (const tag of targets) {
-            const element = dataSet.elements[tag]
-            if (element && element.length > 0) {
-                const buffer = new Uint8Array(
-                    dataSet.byteArray.buffer,
-                    element.dataOffset,
-                    element.length
-                )
-                buffers.push(...buffer)
-            }
+    for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue
+
+        const fullPath = path.join(dir, entry.name)
+        if (entry.isDirectory()) {
+            yield* walkFiles(fullPath, onError)
+        } else if (entry.isFile()) {
+            yield fullPath
         }
-    
-        if (buffers.length === 0) return null
-    
-        return hashBuffer(new Uint8Array(buffers))
     }
+}
 
-    //Waveform
-    if(sopClassUID.startsWith('1.2.840.10008.5.1.4.1.1.9.1.') ){
-        const waveformElement = dataSet.elements.x54000100
-        if (!waveformElement || waveformElement.length === 0) return null
 
-        const buffer = new Uint8Array(
-            dataSet.byteArray.buffer,
-            waveformElement.dataOffset,
-            waveformElement.length
-        )
 
-        return hashBuffer(buffer)
-    }
 
-    // Add other handlers as needed
-    return null
+/**
+ * Tells the files worth reading outside deep mode: no extension, .dcm or .dicom
+ * @param {string} filePath
+ * @param {boolean} deepMode - every file is read in deep mode
+ * @returns {boolean}
+ */
+function isDicomCandidate(filePath, deepMode) {
+    if (deepMode) return true
+    const fileName = path.basename(filePath)
+    const ext = path.extname(fileName).toLowerCase()
+    return !fileName.startsWith('.') && (!ext || ext === '.dcm' || ext === '.dicom')
 }
 
 
 
 
 /**
- * Generates a SHA-256 hash from a buffer.
- * @param {Buffer} buffer - The buffer to hash.
- * @returns {string} - The SHA-256 hash in hexadecimal format.
+ * Async generator of the given files, then of the files of the given folders (see walkFiles)
+ * that pass isDicomCandidate.
+ * @param {string[]} targets - absolute paths of files and folders
+ * @param {boolean} deepMode - see isDicomCandidate
+ * @param {(filePath: string, error: Error) => void} [onError] - called for folders that can't be read
+ * @returns {AsyncGenerator<string>}
  */
-function hashBuffer(buffer) {
-    return crypto.createHash('sha256').update(buffer).digest('hex')
+async function* walkTargets(targets, deepMode, onError = () => {}) {
+    const isFolder = target => fs.existsSync(target) && fs.statSync(target).isDirectory()
+
+    yield* targets.filter(target => !isFolder(target))
+
+    for (const folder of removeNestedFolders(targets.filter(isFolder))) {
+        for await (const filePath of walkFiles(folder, onError)) {
+            if (isDicomCandidate(filePath, deepMode)) yield filePath
+        }
+    }
 }
 
 
 
 
 // Export functions for use in other modules
-module.exports = { removeNestedFolders, writeFilePathsToTemp, saveAllFilePaths, processFilePaths, isDicomFile, processDicomFile }
\ No newline at end of file
+module.exports = { removeNestedFolders, writeFilePathsToTemp, saveAllFilePaths, processFilePaths, walkFiles, isDicomCandidate, walkTargets, isDicomFile, processDicomFile, hashDicomBuffer, hashDicomFile, hashFile }
\ No newline at end of file
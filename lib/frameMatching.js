@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Links the frames of multi-frame objects (Enhanced CT/MR, legacy converted, ...)
+ * to the single-frame objects holding the same frame, using the frame hashes computed by
+ * lib/hashStrategies.js with the frames option.
+ *
+ * Frame hashes are only compared when they were computed by the same strategy, like object hashes.
+ */
+
+/**
+ * @typedef {object} HashedObject
+ * @property {string} strategy - id of the strategy that produced the hashes
+ * @property {string[]} [frameHashes] - SHA-256 of every frame
+ */
+
+/**
+ * @typedef {object} FrameReport
+ * @property {HashedObject} object - the multi-frame object
+ * @property {number} totalFrames
+ * @property {number} matchedFrames - frames found in at least one single-frame object
+ * @property {{frame: number, hash: string, matches: HashedObject[]}[]} frames - frame numbers start at 1
+ */
+
+
+
+const frameKey = (strategy, hash) => `${strategy}:${hash}`
+
+
+
+/**
+ * Indexes the single-frame objects of a list by frame hash
+ * @param {HashedObject[]} objects - objects without frame hashes are ignored
+ * @returns {Map<string, HashedObject[]>}
+ */
+function indexSingleFrames(objects) {
+    const index = new Map()
+    for (const object of objects) {
+        if (!object.frameHashes || object.frameHashes.length !== 1) continue
+
+        const key = frameKey(object.strategy, object.frameHashes[0])
+        if (!index.has(key)) index.set(key, [])
+        index.get(key).push(object)
+    }
+    return index
+}
+
+
+
+
+/**
+ * Links every frame of a multi-frame object to the single-frame objects with the same frame hash
+ * @param {HashedObject} multiFrame - the multi-frame object
+ * @param {Map<string, HashedObject[]>} singleFrames - see indexSingleFrames
+ * @returns {FrameReport}
+ */
+function linkFrames(multiFrame, singleFrames) {
+    const frames = multiFrame.frameHashes.map((hash, i) => ({
+        frame: i + 1,
+        hash,
+        matches: singleFrames.get(frameKey(multiFrame.strategy, hash)) || []
+    }))
+
+    return {
+        object: multiFrame,
+        totalFrames: frames.length,
+        matchedFrames: frames.filter(f => f.matches.length).length,
+        frames
+    }
+}
+
+
+
+
+/**
+ * Links the frames of every multi-frame object of a list to the single-frame objects of the same list
+ * @param {HashedObject[]} objects
+ * @returns {FrameReport[]} - one report per multi-frame object
+ */
+function matchFrames(objects) {
+    const singleFrames = indexSingleFrames(objects)
+    return objects
+        .filter(object => object.frameHashes && object.frameHashes.length > 1)
+        .map(object => linkFrames(object, singleFrames))
+}
+
+
+
+module.exports = { indexSingleFrames, linkFrames, matchFrames }
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Byte-for-byte verification of duplicate groups.
+ *
+ * Duplicates are found by hash only, and some strategies hash a part of the object (e.g. the
+ * ContentSequence of Structured Reports). Before acting on a group, every member can be compared
+ * with the first one: the whole file first, then the bytes extracted by its hash strategy.
+ */
+const fs = require('fs')
+const dicomParser = require('dicom-parser')
+
+const { findStrategy } = require('./hashStrategies')
+
+
+
+// from the strongest to the weakest
+const VERIFICATION = {
+    IDENTICAL_FILE: 'identical file',
+    IDENTICAL_CONTENT: 'identical content, different header',
+    HASH_ONLY: 'hash-only match',
+}
+
+const STRENGTH = [VERIFICATION.IDENTICAL_FILE, VERIFICATION.IDENTICAL_CONTENT, VERIFICATION.HASH_ONLY]
+
+
+
+/**
+ * Extracts the bytes hashed by the strategy of a file
+ * @param {Buffer} fileBytes - the whole file
+ * @param {import('./hashStrategies').HashOptions} hashOptions
+ * @returns {{strategy: string, bytes: Buffer}}
+ * @throws {Error} if the file can't be parsed or has nothing to hash
+ */
+function extractContent(fileBytes, hashOptions) {
+    const dataSet = dicomParser.parseDicom(fileBytes)
+    const strategy = findStrategy(dataSet, hashOptions)
+    if (!strategy) throw new Error('no hash strategy for this file')
+
+    const extracted = strategy.extract(dataSet, hashOptions)
+    if (!extracted) throw new Error('nothing to hash in this file')
+
+    return { strategy: strategy.id, bytes: Buffer.concat([].concat(extracted)) }
+}
+
+
+
+
+/**
+ * Compares a file with the reference file of its group
+ * @param {{bytes: Buffer, content: object|null}} reference - first file of the group
+ * @param {string} filePath
+ * @param {import('./hashStrategies').HashOptions} hashOptions
+ * @returns {Promise<{verification: string, reason?: string}>}
+ */
+async function compareWithReference(reference, filePath, hashOptions) {
+    let bytes
+    try {
+        bytes = await fs.promises.readFile(filePath)
+    } catch (error) {
+        return { verification: VERIFICATION.HASH_ONLY, reason: error.message }
+    }
+
+    if (bytes.equals(reference.bytes)) {
+        return { verification: VERIFICATION.IDENTICAL_FILE }
+    }
+    if (!reference.content) {
+        return { verification: VERIFICATION.HASH_ONLY, reason: `first file of the group: ${reference.error}` }
+    }
+
+    let content
+    try {
+        content = extractContent(bytes, hashOptions)
+    } catch (error) {
+        // dicom-parser throws strings
+        return { verification: VERIFICATION.HASH_ONLY, reason: error.message || String(error) }
+    }
+
+    if (content.strategy !== reference.content.strategy) {
+        return { verification: VERIFICATION.HASH_ONLY, reason: `hashed with ${content.strategy}, the first file with ${reference.content.strategy}` }
+    }
+    if (!content.bytes.equals(reference.content.bytes)) {
+        return { verification: VERIFICATION.HASH_ONLY, reason: 'the hashed bytes differ' }
+    }
+    return { verification: VERIFICATION.IDENTICAL_CONTENT }
+}
+
+
+
+
+/**
+ * Verifies a duplicate group: every file is compared byte for byte with the first one
+ * @param {string[]} files - paths of the group, the first file is the reference
+ * @param {import('./hashStrategies').HashOptions} [hashOptions] - the options the group was found with
+ * @returns {Promise<{verification: string, files: {fullPath: string, verification: string, reason?: string}[]}>}
+ *   the verification of the group is the weakest of its files, the first file is always an "identical file"
+ */
+async function verifyGroup(files, hashOptions = {}) {
+    const [first, ...others] = files
+    const results = []
+
+    let reference
+    try {
+        reference = { bytes: await fs.promises.readFile(first), content: null }
+    } catch (error) {
+        const reason = `first file of the group: ${error.message}`
+        return {
+            verification: VERIFICATION.HASH_ONLY,
+            files: files.map(fullPath => ({ fullPath, verification: VERIFICATION.HASH_ONLY, reason }))
+        }
+    }
+    try {
+        reference.content = extractContent(reference.bytes, hashOptions)
+    } catch (error) {
+        reference.error = error.message || String(error)
+    }
+
+    results.push({ fullPath: first, verification: VERIFICATION.IDENTICAL_FILE })
+    for (const filePath of others) {
+        results.push({ fullPath: filePath, ...await compareWithReference(reference, filePath, hashOptions) })
+    }
+
+    return {
+        verification: STRENGTH[Math.max(...results.map(r => STRENGTH.indexOf(r.verification)))],
+        files: results
+    }
+}
+
+
+
+module.exports = { VERIFICATION, verifyGroup }
@@ -0,0 +1,381 @@
+/**
+ * @fileoverview Registry of content hash strategies shared by every tool.
+ *
+ * A strategy decides which bytes of a DICOM dataset identify its content (the pixel data for
+ * images, the encapsulated document for PDFs, ...). The first registered strategy that matches
+ * the SOP Class UID of a dataset is used and its id is stored next to the hash, so hashes
+ * computed by different strategies (or by a different version of one) are never mixed up.
+ *
+ * The hash mode selects how image pixel data is hashed:
+ *   raw      the PixelData bytes as stored in the file (pixel-data@1)
+ *   decoded  the decoded pixel values in canonical form (pixel-decoded@1), so the same image stored
+ *            with different transfer syntaxes gets the same hash. Transfer syntaxes that can't be
+ *            decoded (lossy JPEG, JPEG-LS, JPEG 2000) fall back to raw, the strategy id tells them
+ *            apart and reportDecodeFallbacks lists them at the end of a run
+ *   bitstream  for encapsulated transfer syntaxes, the compressed bitstream of every frame with the
+ *            item tags, Basic Offset Table and fragment boundaries left out (pixel-bitstream@1), so
+ *            the same JPEG stream fragmented differently by two archives gets the same hash.
+ *            Native pixel data falls back to raw, which is already independent of the layout
+ *
+ * With the `frames` option the image strategies also hash every frame on its own, in the same
+ * form as the object hash (stored bytes, canonical values or bitstream). A frame of an Enhanced
+ * or legacy converted multi-frame object then has the same frame hash as the single-frame
+ * instance it was built from, as long as both use the same hash mode and encoding.
+ *
+ * With the `perceptual` option images also get a perceptual hash (see lib/perceptualHash.js),
+ * to find near duplicates that the exact hash misses.
+ *
+ * Custom strategies are plain CommonJS modules exporting one strategy or an array of them,
+ * loaded with loadPlugins(dir). They take precedence over the built-in ones:
+ *
+ *   module.exports = {
+ *       id: 'my-overlay@1',
+ *       description: 'Overlay data of secondary captures',
+ *       matches: (sopClassUID, dataSet) => sopClassUID === '1.2.840.10008.5.1.4.1.1.7',
+ *       extract: dataSet => elementBytes(dataSet, 'x60003000')
+ *   }
+ */
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+const { getPixelInfo, canDecode, decodePixelData, getEncapsulatedFrames, getNativeFrames, trimFramePadding } = require('./pixelData')
+const { perceptualHash } = require('./perceptualHash')
+
+/**
+ * @typedef {object} HashStrategy
+ * @property {string} id - stable identifier stored next to the hash (name@version), bump the version when the hashed bytes change
+ * @property {string} description - short description shown in the documentation
+ * @property {(sopClassUID: string, dataSet: object, options: HashOptions) => boolean} matches - true if the strategy handles the dataset
+ * @property {(dataSet: object, options: HashOptions) => Uint8Array|Uint8Array[]|null} extract - bytes to hash, null if there is nothing to hash
+ * @property {(dataSet: object, options: HashOptions) => Uint8Array[]} [frames] - bytes to hash for each frame, only for images
+ */
+
+/**
+ * @typedef {object} HashOptions
+ * @property {string} [mode] - one of HASH_MODES, defaults to 'raw'
+ * @property {boolean} [frames] - also hash every frame of the images on its own
+ * @property {boolean} [perceptual] - also compute the perceptual hash of the images
+ */
+
+/**
+ * @typedef {object} HashResult
+ * @property {string} hash - SHA-256 of the extracted bytes, hex encoded
+ * @property {string} strategy - id of the strategy that produced the hash
+ * @property {string[]} [frameHashes] - SHA-256 of every frame, in frame order (only with the frames option, for images)
+ * @property {string|null} [perceptualHash] - only with the perceptual option, null if the pixel data can't be decoded
+ */
+
+const PDF_SOP_CLASS = '1.2.840.10008.5.1.4.1.1.104.1'
+const SR_SOP_CLASS_PREFIX = '1.2.840.10008.5.1.4.1.1.88.'
+const RT_STRUCTURE_SET_SOP_CLASS = '1.2.840.10008.5.1.4.1.1.481.3'
+const WAVEFORM_SOP_CLASS_PREFIX = '1.2.840.10008.5.1.4.1.1.9.1.'
+
+const HASH_MODES = ['raw', 'decoded', 'bitstream']
+
+
+
+/**
+ * Returns the value bytes of an element, without copying
+ * @param {object} dataSet - dicom-parser dataset
+ * @param {string} tag - tag in dicom-parser format, e.g. 'x7fe00010'
+ * @returns {Uint8Array|null} - null if the element is missing or empty
+ */
+function elementBytes(dataSet, tag) {
+    const element = dataSet.elements[tag]
+    if (!element || !element.length) return null
+    return dataSet.byteArray.subarray(element.dataOffset, element.dataOffset + element.length)
+}
+
+
+
+
+// decoded frames are shared by extract and frames of pixel-decoded@1, so a dataset is only decoded once
+const decodedFramesCache = new WeakMap()
+
+/**
+ * @param {object} dataSet - dicom-parser dataset
+ * @returns {Buffer[]} - canonical frames, see decodePixelData
+ */
+function decodedFrames(dataSet) {
+    if (!decodedFramesCache.has(dataSet)) {
+        decodedFramesCache.set(dataSet, decodePixelData(dataSet))
+    }
+    return decodedFramesCache.get(dataSet)
+}
+
+
+
+
+/**
+ * @param {object} dataSet - dicom-parser dataset
+ * @returns {Uint8Array[]} - bitstream of every frame, without the padding after the end of image marker
+ */
+function bitstreamFrames(dataSet) {
+    return getEncapsulatedFrames(dataSet, getPixelInfo(dataSet).numberOfFrames).map(trimFramePadding)
+}
+
+
+
+
+// Special SOP classes are listed before the generic image strategy.
+// Segmentations have pixel data so they are handled as images
+const builtInStrategies = [
+    {
+        id: 'encapsulated-pdf@1',
+        description: 'EncapsulatedDocument (0042,0011) of Encapsulated PDF objects',
+        matches: sopClassUID => sopClassUID === PDF_SOP_CLASS,
+        extract: dataSet => elementBytes(dataSet, 'x00420011')
+    },
+    {
+        id: 'sr-content@1',
+        description: 'ContentSequence (0040,A730) of Structured Reports',
+        matches: sopClassUID => sopClassUID.startsWith(SR_SOP_CLASS_PREFIX),
+        extract: dataSet => elementBytes(dataSet, 'x0040a730')
+    },
+    {
+        id: 'rt-structure-set@1',
+        description: 'StructureSetROISequence, ROIContourSequence and RTROIObservationsSequence of RT Structure Sets',
+        matches: sopClassUID => sopClassUID === RT_STRUCTURE_SET_SOP_CLASS,
+        extract: dataSet => {
+            const parts = ['x30060020', 'x30060039', 'x30060080']
+                .map(tag => elementBytes(dataSet, tag))
+                .filter(Boolean)
+            return parts.length ? parts : null
+        }
+    },
+    {
+        id: 'waveform@1',
+        description: 'WaveformSequence (5400,0100) of Waveform objects (ECG, EEG, ...)',
+        matches: sopClassUID => sopClassUID.startsWith(WAVEFORM_SOP_CLASS_PREFIX),
+        extract: dataSet => elementBytes(dataSet, 'x54000100')
+    },
+    {
+        id: 'pixel-decoded@1',
+        description: 'PixelData (7FE0,0010) decoded to canonical pixel values (hash mode "decoded")',
+        matches: (sopClassUID, dataSet, options) => options.mode === 'decoded'
+            && !!dataSet.elements.x7fe00010
+            && canDecode(getPixelInfo(dataSet).transferSyntax),
+        extract: dataSet => {
+            const { rows, columns, samplesPerPixel, numberOfFrames } = getPixelInfo(dataSet)
+            const frames = decodedFrames(dataSet)
+            if (!frames.length) return null
+
+            // the dimensions are hashed too so a reshaped image never matches
+            const header = Buffer.alloc(16)
+            header.writeUInt32LE(rows, 0)
+            header.writeUInt32LE(columns, 4)
+            header.writeUInt32LE(samplesPerPixel, 8)
+            header.writeUInt32LE(numberOfFrames, 12)
+            return [header, ...frames]
+        },
+        frames: dataSet => decodedFrames(dataSet)
+    },
+    {
+        id: 'pixel-bitstream@1',
+        description: 'Frame bitstreams of encapsulated PixelData (7FE0,0010), without item tags and offset table (hash mode "bitstream")',
+        matches: (sopClassUID, dataSet, options) => options.mode === 'bitstream'
+            && !!dataSet.elements.x7fe00010
+            && getPixelInfo(dataSet).encapsulated,
+        extract: dataSet => {
+            const frames = bitstreamFrames(dataSet)
+            if (!frames.length) return null
+
+            // every frame is preceded by its length so the frame boundaries are part of the hash
+            return frames.flatMap(frame => {
+                const length = Buffer.alloc(4)
+                length.writeUInt32LE(frame.length)
+                return [length, frame]
+            })
+        },
+        frames: dataSet => bitstreamFrames(dataSet)
+    },
+    {
+        id: 'pixel-data@1',
+        description: 'PixelData (7FE0,0010) as stored in the file',
+        matches: () => true,
+        extract: dataSet => elementBytes(dataSet, 'x7fe00010'),
+        // frames as stored: the bitstream of encapsulated frames, the byte range of native ones
+        frames: dataSet => getPixelInfo(dataSet).encapsulated ? bitstreamFrames(dataSet) : getNativeFrames(dataSet)
+    },
+]
+
+// custom strategies, checked before the built-in ones
+const customStrategies = []
+const loadedPluginDirs = new Set()
+
+// number of images hashed raw in decoded mode since the start, by transfer syntax (see reportDecodeFallbacks)
+const decodeFallbacks = new Map()
+
+
+
+
+/**
+ * Registers a custom strategy. Custom strategies are checked before the built-in ones,
+ * in registration order
+ * @param {HashStrategy} strategy
+ * @throws {Error} if the strategy is malformed or its id is already registered
+ */
+function registerStrategy(strategy) {
+    if (!strategy || typeof strategy.id !== 'string' || typeof strategy.matches !== 'function' || typeof strategy.extract !== 'function') {
+        throw new Error('A hash strategy needs an "id" string and "matches" and "extract" functions')
+    }
+    if (getStrategies().some(s => s.id === strategy.id)) {
+        throw new Error(`Hash strategy "${strategy.id}" is already registered`)
+    }
+    customStrategies.push(strategy)
+}
+
+
+
+
+/**
+ * Loads every .js file of a folder as a strategy plugin (see file header).
+ * Loading the same folder twice is a no-op
+ * @param {string} dir - plugin folder
+ * @returns {string[]} - ids of the strategies registered
+ * @throws {Error} if the folder can't be read or a plugin is invalid
+ */
+function loadPlugins(dir) {
+    const resolved = path.resolve(dir)
+    if (loadedPluginDirs.has(resolved)) return []
+
+    const ids = []
+    const files = fs.readdirSync(resolved).filter(f => f.endsWith('.js')).sort()
+    for (const file of files) {
+        const exported = require(path.join(resolved, file))
+        for (const strategy of [].concat(exported)) {
+            try {
+                registerStrategy(strategy)
+            } catch (error) {
+                throw new Error(`Invalid hash plugin ${path.join(resolved, file)}: ${error.message}`)
+            }
+            ids.push(strategy.id)
+        }
+    }
+
+    loadedPluginDirs.add(resolved)
+    return ids
+}
+
+
+
+
+/**
+ * @returns {HashStrategy[]} - registered strategies, in the order they are checked
+ */
+function getStrategies() {
+    return [...customStrategies, ...builtInStrategies]
+}
+
+
+
+
+/**
+ * Finds the strategy that handles a dataset
+ * @param {object} dataSet - dicom-parser dataset
+ * @param {HashOptions} [options]
+ * @returns {HashStrategy|null}
+ */
+function findStrategy(dataSet, options = {}) {
+    const sopClassUID = dataSet.string('x00080016') || ''
+    return getStrategies().find(s => s.matches(sopClassUID, dataSet, options)) || null
+}
+
+
+
+
+/**
+ * Hashes the relevant content of a dataset with the matching strategy
+ * @param {object} dataSet - dicom-parser dataset
+ * @param {HashOptions} [options]
+ * @returns {HashResult|null} - null if no strategy matches or there is nothing to hash
+ * @throws {Error} if the strategy fails, e.g. corrupt compressed pixel data in decoded mode
+ */
+function hashDataSet(dataSet, options = {}) {
+    const strategy = findStrategy(dataSet, options)
+    if (!strategy) return null
+
+    const extracted = strategy.extract(dataSet, options)
+    if (!extracted) return null
+
+    const result = { hash: hashBuffer(extracted), strategy: strategy.id }
+
+    if (options.mode === 'decoded' && strategy.id === 'pixel-data@1' && dataSet.elements.x7fe00010) {
+        const { transferSyntax } = getPixelInfo(dataSet)
+        decodeFallbacks.set(transferSyntax, (decodeFallbacks.get(transferSyntax) || 0) + 1)
+    }
+
+    if (options.frames && strategy.frames && dataSet.elements.x7fe00010) {
+        result.frameHashes = strategy.frames(dataSet, options).map(frame => hashBuffer(frame))
+    }
+
+    if (options.perceptual) {
+        // a perceptual hash is a bonus, pixel data that fails to decode still gets its exact hash
+        try {
+            result.perceptualHash = perceptualHash(dataSet)
+        } catch (error) {
+            result.perceptualHash = null
+        }
+    }
+
+    return result
+}
+
+
+
+
+/**
+ * Prints on stderr the number of images --hash-mode decoded hashed as stored since the start, by
+ * transfer syntax. They only match copies stored with the same transfer syntax
+ */
+function reportDecodeFallbacks() {
+    if (!decodeFallbacks.size) return
+    const total = [...decodeFallbacks.values()].reduce((sum, count) => sum + count, 0)
+    const syntaxes = [...decodeFallbacks].map(([transferSyntax, count]) => `${transferSyntax}: ${count}`).join(', ')
+    console.error(`Warning: ${total} images hashed as stored (pixel-data@1), their transfer syntax can't be decoded (${syntaxes})`)
+}
+
+
+
+
+/**
+ * Generates a SHA-256 hash from a buffer or a list of buffers (hashed as if concatenated).
+ * @param {Uint8Array|Uint8Array[]} buffer - The buffer(s) to hash.
+ * @returns {string} - The SHA-256 hash in hexadecimal format.
+ */
+function hashBuffer(buffer) {
+    const hash = crypto.createHash('sha256')
+    for (const part of [].concat(buffer)) {
+        hash.update(part)
+    }
+    return hash.digest('hex')
+}
+
+
+
+/**
+ * Option specs for the commands that hash files (see lib/cli.js)
+ */
+const pluginOption = { name: 'plugins', flags: ['--plugins'], arg: '<dir>', multiple: true, description: 'Load custom hash strategies from this folder (repeatable)' }
+const hashModeOption = { name: 'hashMode', flags: ['--hash-mode'], arg: '<mode>', choices: HASH_MODES, default: 'raw', description: 'How image pixel data is hashed (decoded hashes lossy JPEG, JPEG-LS and JPEG 2000 as stored)' }
+const framesOption = { name: 'frames', flags: ['--frames'], description: 'Also hash every frame of the images on its own' }
+const perceptualOption = { name: 'perceptual', flags: ['--perceptual'], description: 'Also compute the perceptual hash of the images' }
+
+
+
+module.exports = {
+    elementBytes,
+    registerStrategy,
+    loadPlugins,
+    getStrategies,
+    findStrategy,
+    hashDataSet,
+    hashBuffer,
+    reportDecodeFallbacks,
+    HASH_MODES,
+    pluginOption,
+    hashModeOption,
+    framesOption,
+    perceptualOption
+}
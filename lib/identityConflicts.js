@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Patient identity conflicts: objects with the same content hash filed under
+ * different patients, studies or SOP instances.
+ *
+ * Identical content under two PatientIDs usually means a misfiled study, so every hash whose
+ * members disagree is reported with a severity:
+ *   critical - different PatientID
+ *   high     - same PatientID, different PatientName
+ *   medium   - same patient, different StudyInstanceUID
+ *   low      - same patient and study, different SOPInstanceUID
+ */
+
+
+
+// from the most to the least severe
+const SEVERITIES = ['critical', 'high', 'medium', 'low']
+
+// field compared, and the severity of a disagreement on it
+const CHECKS = [
+    { field: 'patientId', severity: 'critical' },
+    { field: 'patientName', severity: 'high', normalize: name => name.toUpperCase().replace(/[\^\s]+$/, '').replace(/\s+/g, ' ') },
+    { field: 'studyInstanceUid', severity: 'medium' },
+    { field: 'sopInstanceUid', severity: 'low' },
+]
+
+
+
+/**
+ * Reads the identity of a dataset
+ * @param {object} dataSet - dicom-parser dataset
+ * @returns {{patientId: string|null, patientName: string|null, studyInstanceUid: string|null, seriesInstanceUid: string|null, sopInstanceUid: string|null}}
+ */
+function readIdentity(dataSet) {
+    const get = tag => {
+        const value = dataSet.string(tag)
+        return value ? value.trim() : null
+    }
+    return {
+        patientId: get('x00100020'),
+        patientName: get('x00100010'),
+        studyInstanceUid: get('x0020000d'),
+        seriesInstanceUid: get('x0020000e'),
+        sopInstanceUid: get('x00080018'),
+    }
+}
+
+
+
+
+/**
+ * Finds the hashes whose members disagree on their identity
+ * @param {Iterable<object>} records - { hash, strategy, patientId, patientName, studyInstanceUid, sopInstanceUid, ... },
+ *   missing fields (e.g. records stored by an older sync) are not compared
+ * @returns {{hash: string, strategy: string, severity: string, fields: string[], members: object[]}[]}
+ *   one conflict per hash, the most severe first. fields lists the fields the members disagree on
+ */
+function findConflicts(records) {
+    const groups = new Map()
+    for (const record of records) {
+        const key = `${record.strategy}:${record.hash}`
+        if (!groups.has(key)) groups.set(key, [])
+        groups.get(key).push(record)
+    }
+
+    const conflicts = []
+    for (const members of groups.values()) {
+        if (members.length < 2) continue
+
+        const fields = CHECKS.filter(({ field, normalize = value => value }) => {
+            const values = new Set(members.map(m => m[field]).filter(Boolean).map(normalize))
+            return values.size > 1
+        })
+        if (!fields.length) continue
+
+        conflicts.push({
+            hash: members[0].hash,
+            strategy: members[0].strategy,
+            severity: fields[0].severity,
+            fields: fields.map(({ field }) => field),
+            members
+        })
+    }
+
+    return conflicts.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity))
+}
+
+
+
+
+/**
+ * @param {string} severity - one of SEVERITIES
+ * @param {string} threshold - one of SEVERITIES, or 'none'
+ * @returns {boolean} - true if the severity is at least the threshold
+ */
+function atLeast(severity, threshold) {
+    return threshold !== 'none' && SEVERITIES.indexOf(severity) <= SEVERITIES.indexOf(threshold)
+}
+
+
+
+module.exports = { SEVERITIES, readIdentity, findConflicts, atLeast }
@@ -0,0 +1,257 @@
+/**
+ * @fileoverview Local LMDB index of DICOM files, written by the index command and read by query.
+ *
+ * Named databases of the LMDB environment:
+ *   files      file path -> record (hash, strategy, UIDs, size, mtimeMs, ...)
+ *   byHash     content hash -> file paths
+ *   byStudy    StudyInstanceUID -> file paths
+ *   byPatient  PatientID -> file paths
+ *   bySop      SOPInstanceUID -> file paths
+ *   state      name -> value, e.g. the last Orthanc change stored by sync (see lib/storage)
+ * The secondary databases are updated in the same transaction as the records, so lookups by hash,
+ * study, patient or SOPInstanceUID read only the matching entries instead of the whole index.
+ */
+const { open } = require('lmdb')
+
+// secondary database -> record field it is keyed by
+const SECONDARY_KEYS = {
+    byHash: 'hash',
+    byStudy: 'studyInstanceUid',
+    byPatient: 'patientId',
+    bySop: 'sopInstanceUid',
+}
+
+// databases every index has, state is created on the first write
+const REQUIRED_NAMES = ['files', ...Object.keys(SECONDARY_KEYS)]
+const DATABASE_NAMES = [...REQUIRED_NAMES, 'state']
+
+/**
+ * @typedef {object} IndexFilters
+ * @property {string} [patientId]
+ * @property {string} [studyInstanceUid]
+ * @property {string} [seriesInstanceUid]
+ * @property {string} [modality]
+ * @property {string} [sopClassUid]
+ * @property {string} [sopInstanceUid]
+ * @property {string} [hash]
+ * @property {string} [pathPrefix] - absolute path the file paths start with
+ */
+
+
+
+/**
+ * Opens the index, creating it if needed. Indexes written before the secondary databases existed
+ * kept the records at the top level, they are removed so the next scan indexes the files again
+ * @param {string} dbPath - LMDB folder
+ * @param {{readOnly?: boolean}} [options]
+ * @returns {Promise<object>} - { files, byHash, byStudy, byPatient, bySop, state, close() }, state is
+ *   undefined in a read only index that never stored one
+ * @throws {Error} if a read only index doesn't exist or has the old layout
+ */
+async function openIndex(dbPath, { readOnly = false } = {}) {
+    const root = open({ path: dbPath, readOnly })
+
+    if (!readOnly) {
+        const legacyKeys = [...root.getKeys()].filter(key => !DATABASE_NAMES.includes(key))
+        if (legacyKeys.length) {
+            console.log(`Converting the index to the new layout, its ${legacyKeys.length} files will be indexed again`)
+            await root.transaction(() => legacyKeys.forEach(key => root.remove(key)))
+        }
+    }
+
+    const index = {
+        root,
+        files: root.openDB('files', { compression: true }),
+        state: root.openDB('state'),
+        close: () => root.close()
+    }
+    for (const name of Object.keys(SECONDARY_KEYS)) {
+        index[name] = root.openDB(name, { dupSort: true })
+    }
+
+    if (REQUIRED_NAMES.some(name => !index[name])) {
+        await root.close()
+        throw new Error(`${dbPath} was written by an older version, run "dicom-hash index" again to update it`)
+    }
+
+    return index
+}
+
+
+
+
+/**
+ * @param {object} index - see openIndex
+ * @param {string} filePath
+ * @returns {object|undefined} - the record of the file
+ */
+function getRecord(index, filePath) {
+    return index.files.get(filePath)
+}
+
+
+
+
+/**
+ * Stores the record of a file and its secondary keys, replacing the previous ones
+ * @param {object} index - see openIndex
+ * @param {string} filePath
+ * @param {object} record
+ * @returns {Promise}
+ */
+function putRecord(index, filePath, record) {
+    return index.root.transaction(() => {
+        removeSecondaryKeys(index, filePath, index.files.get(filePath))
+        index.files.put(filePath, record)
+        for (const [name, field] of Object.entries(SECONDARY_KEYS)) {
+            if (record[field]) index[name].put(record[field], filePath)
+        }
+    })
+}
+
+
+
+
+/**
+ * Removes the record of a file and its secondary keys
+ * @param {object} index - see openIndex
+ * @param {string} filePath
+ * @returns {Promise}
+ */
+function removeRecord(index, filePath) {
+    return index.root.transaction(() => {
+        removeSecondaryKeys(index, filePath, index.files.get(filePath))
+        index.files.remove(filePath)
+    })
+}
+
+
+
+
+// must run inside a transaction
+function removeSecondaryKeys(index, filePath, record) {
+    if (!record) return
+    for (const [name, field] of Object.entries(SECONDARY_KEYS)) {
+        if (record[field]) index[name].remove(record[field], filePath)
+    }
+}
+
+
+
+
+/**
+ * @param {object} index - see openIndex
+ * @returns {Iterable<string>} - path of every indexed file
+ */
+function indexedPaths(index) {
+    return index.files.getKeys()
+}
+
+
+
+
+/**
+ * @param {string} filePath
+ * @param {object} record
+ * @param {IndexFilters} filters
+ * @returns {boolean} - true if the record matches every filter
+ */
+function matchesFilters(filePath, record, filters) {
+    if (filters.pathPrefix && !filePath.startsWith(filters.pathPrefix)) return false
+    return ['patientId', 'studyInstanceUid', 'seriesInstanceUid', 'modality', 'sopClassUid', 'sopInstanceUid', 'hash']
+        .every(field => !filters[field] || record[field] === filters[field])
+}
+
+
+
+
+/**
+ * Finds the records matching the filters. The hash, study, patient and SOPInstanceUID filters are
+ * looked up in the secondary databases and the path prefix is a range of the files database, the
+ * other filters are checked record by record
+ * @param {object} index - see openIndex
+ * @param {IndexFilters} [filters]
+ * @returns {Generator<object>} - records, with the file path in "path"
+ */
+function* findRecords(index, filters = {}) {
+    const secondary = Object.entries(SECONDARY_KEYS).find(([, field]) => filters[field])
+
+    if (secondary) {
+        const [name, field] = secondary
+        for (const filePath of index[name].getValues(filters[field])) {
+            const record = index.files.get(filePath)
+            if (record && matchesFilters(filePath, record, filters)) yield { path: filePath, ...record }
+        }
+        return
+    }
+
+    const range = filters.pathPrefix ? { start: filters.pathPrefix } : {}
+    for (const { key, value } of index.files.getRange(range)) {
+        if (filters.pathPrefix && !key.startsWith(filters.pathPrefix)) break
+        if (matchesFilters(key, value, filters)) yield { path: key, ...value }
+    }
+}
+
+
+
+
+/**
+ * Finds the sets of files with the same hash. With filters, the sets that hold at least one
+ * matching file are returned, with all their files so the copies outside the filters are listed too
+ * @param {object} index - see openIndex
+ * @param {IndexFilters} [filters]
+ * @returns {Generator<{hash: string, strategy: string, records: object[]}>}
+ */
+function* findDuplicateGroups(index, filters = {}) {
+    const filtered = Object.values(filters).some(Boolean)
+    const hashes = filtered
+        ? new Set([...findRecords(index, filters)].map(record => record.hash).filter(Boolean))
+        : index.byHash.getKeys()
+
+    for (const hash of hashes) {
+        const paths = [...index.byHash.getValues(hash)]
+        if (paths.length < 2) continue
+
+        const records = paths.map(filePath => ({ path: filePath, ...index.files.get(filePath) }))
+        yield { hash, strategy: records[0].strategy, records }
+    }
+}
+
+
+
+
+/**
+ * @param {object} index - see openIndex
+ * @param {string} name
+ * @returns {any} - the stored value, undefined if none
+ */
+function readState(index, name) {
+    return index.state ? index.state.get(name) : undefined
+}
+
+
+
+
+/**
+ * @param {object} index - see openIndex, not read only
+ * @param {string} name
+ * @param {any} value
+ * @returns {Promise}
+ */
+function writeState(index, name, value) {
+    return index.state.put(name, value)
+}
+
+
+
+module.exports = {
+    openIndex,
+    getRecord,
+    putRecord,
+    removeRecord,
+    indexedPaths,
+    findRecords,
+    findDuplicateGroups,
+    readState,
+    writeState
+}
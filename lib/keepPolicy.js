@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Keep policy: picks the copy of a duplicate group that should survive.
+ *
+ * A policy is an ordered list of rules, e.g. ['root=/data/pacs', 'not-anonymised', 'oldest'].
+ * The first rule keeps the best files of the group, the next rules only break the ties, and the
+ * first remaining file (in the order of the group) is kept. The reason of the choice lists the
+ * rules that told the files apart.
+ */
+const fs = require('fs')
+const path = require('path')
+const dicomParser = require('dicom-parser')
+
+
+
+/**
+ * @typedef {object} Candidate
+ * @property {string} fullPath
+ * @property {fs.Stats} stats
+ * @property {object|null} dataSet - dicom-parser dataset without the pixel data, only read if a rule needs it
+ */
+
+/**
+ * @typedef {object} KeepRule
+ * @property {string} id - the rule as written by the user, e.g. 'root=/data/pacs'
+ * @property {boolean} [needsDataSet] - the rule reads the DICOM elements
+ * @property {(candidate: Candidate) => number} score - higher is better
+ * @property {(candidate: Candidate) => string} explain - why the kept file won, e.g. 'under /data/pacs'
+ */
+
+const RULES = {
+    'oldest': () => ({
+        score: c => -c.stats.mtimeMs,
+        explain: c => `oldest (modified ${c.stats.mtime.toISOString()})`
+    }),
+    'newest': () => ({
+        score: c => c.stats.mtimeMs,
+        explain: c => `newest (modified ${c.stats.mtime.toISOString()})`
+    }),
+    'shortest-path': () => ({
+        score: c => -c.fullPath.length,
+        explain: () => 'shortest path'
+    }),
+    'dcm-extension': () => ({
+        score: c => path.extname(c.fullPath).toLowerCase() === '.dcm' ? 1 : 0,
+        explain: () => '.dcm extension'
+    }),
+    'richest-metadata': () => ({
+        needsDataSet: true,
+        score: c => countElements(c.dataSet),
+        explain: c => `richest metadata (${countElements(c.dataSet)} non-empty elements)`
+    }),
+    'not-anonymised': () => ({
+        needsDataSet: true,
+        score: c => c.dataSet && !isAnonymised(c.dataSet) ? 1 : 0,
+        explain: () => 'not anonymised'
+    }),
+    'root': dir => {
+        if (!dir) throw new Error('The "root" keep rule needs a folder: root=<folder>')
+        const root = path.resolve(dir)
+        return {
+            score: c => c.fullPath.startsWith(root + path.sep) ? 1 : 0,
+            explain: () => `under ${root}`
+        }
+    },
+}
+
+// both spellings are accepted
+RULES['not-anonymized'] = RULES['not-anonymised']
+
+const RULE_NAMES = ['root=<folder>', 'oldest', 'newest', 'shortest-path', 'dcm-extension', 'richest-metadata', 'not-anonymised']
+
+
+
+/**
+ * Parses a keep rule
+ * @param {string} text - e.g. 'oldest' or 'root=/data/pacs'
+ * @returns {KeepRule}
+ * @throws {Error} if the rule is unknown
+ */
+function parseKeepRule(text) {
+    const [name, ...rest] = text.split('=')
+    const factory = RULES[name]
+    if (!factory) {
+        throw new Error(`Unknown keep rule: ${text} (expected one of ${RULE_NAMES.join(', ')})`)
+    }
+    return { id: text, ...factory(rest.join('=')) }
+}
+
+
+
+
+/**
+ * @param {object|null} dataSet - dicom-parser dataset
+ * @returns {number} - number of non-empty top level elements
+ */
+function countElements(dataSet) {
+    if (!dataSet) return 0
+    return Object.values(dataSet.elements).filter(element => element.length > 0).length
+}
+
+
+
+
+/**
+ * @param {object} dataSet - dicom-parser dataset
+ * @returns {boolean} - true if the dataset says it was de-identified, or has no or an "anonymous" patient name
+ */
+function isAnonymised(dataSet) {
+    const patientName = (dataSet.string('x00100010') || '').trim()
+    return (dataSet.string('x00120062') || '').toUpperCase() === 'YES'
+        || Boolean(dataSet.string('x00120063'))
+        || Boolean(dataSet.elements.x00120064)
+        || !patientName
+        || /anonym/i.test(patientName)
+}
+
+
+
+
+/**
+ * Reads what the rules need to know about a file
+ * @param {string} fullPath
+ * @param {boolean} needsDataSet
+ * @returns {Promise<Candidate|null>} - null if the file can't be read
+ */
+async function describeCandidate(fullPath, needsDataSet) {
+    let stats
+    try {
+        stats = await fs.promises.stat(fullPath)
+    } catch (error) {
+        return null
+    }
+
+    let dataSet = null
+    if (needsDataSet) {
+        try {
+            dataSet = dicomParser.parseDicom(await fs.promises.readFile(fullPath), { untilTag: 'x7fe00010' })
+        } catch (error) {
+            // not parsable: no metadata, and not kept for its metadata
+        }
+    }
+    return { fullPath, stats, dataSet }
+}
+
+
+
+
+/**
+ * Picks the file of a duplicate group to keep
+ * @param {string[]} files - paths of the group
+ * @param {KeepRule[]} rules - see parseKeepRule
+ * @returns {Promise<{files: string[], keep: {fullPath: string, reason: string, rules: string[]}}>}
+ *   the files of the group with the kept file first, and why it was kept
+ */
+async function chooseKeeper(files, rules) {
+    const needsDataSet = rules.some(rule => rule.needsDataSet)
+    const candidates = (await Promise.all(files.map(file => describeCandidate(file, needsDataSet)))).filter(Boolean)
+
+    if (!candidates.length) {
+        return { files, keep: { fullPath: files[0], reason: 'first file of the group (no file could be read)', rules: [] } }
+    }
+
+    let remaining = candidates
+    const decisive = []
+    for (const rule of rules) {
+        if (remaining.length === 1) break
+        const scores = remaining.map(candidate => rule.score(candidate))
+        const best = Math.max(...scores)
+        const winners = remaining.filter((_, i) => scores[i] === best)
+        if (winners.length < remaining.length) {
+            decisive.push(rule)
+            remaining = winners
+        }
+    }
+
+    const kept = remaining[0]
+    const reason = decisive.length
+        ? decisive.map(rule => rule.explain(kept)).join(', ')
+        : 'first file of the group (no keep rule tells the files apart)'
+
+    return {
+        files: [kept.fullPath, ...files.filter(file => file !== kept.fullPath)],
+        keep: { fullPath: kept.fullPath, reason, rules: decisive.map(rule => rule.id) }
+    }
+}
+
+
+
+/**
+ * Option spec for the commands that pick the copy to keep (see lib/cli.js)
+ */
+const keepOption = { name: 'keep', flags: ['--keep'], arg: '<rule>', multiple: true, description: `Keep rule choosing the copy that survives, in order of priority (repeatable): ${RULE_NAMES.join(', ')}` }
+
+
+
+module.exports = { parseKeepRule, chooseKeeper, isAnonymised, keepOption }
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview HTTP lookup service over the hash database, for the applications that need to
+ * know if an image is already stored without running the check command:
+ *
+ *   GET  /health               the service and its database answer
+ *   GET  /lookup/<hash>        instances with this content hash
+ *   POST /lookup               instances with the content of the uploaded DICOM file (request body)
+ *   POST /lookup/batch         instances of several hashes, body { "hashes": [...] }
+ *
+ * Uploaded files are hashed by lib/fileHelper.js with the hash options of the server, so the
+ * answer is the one of "dicom-hash check". Every answer is JSON, errors are { "error": "..." }.
+ */
+const http = require('http')
+
+const { hashDicomBuffer } = require('./fileHelper')
+
+
+
+// content hashes are SHA-256 in hexadecimal (see lib/hashStrategies.js)
+const HASH_PATTERN = /^[0-9a-f]{64}$/
+
+// hashes per batch request
+const MAX_BATCH_HASHES = 1000
+
+// size of a batch request body, the uploads have their own limit
+const MAX_JSON_BYTES = 1024 * 1024
+
+
+
+/**
+ * Error answered with its HTTP status
+ */
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message)
+        this.name = 'HttpError'
+        this.status = status
+    }
+}
+
+
+
+
+/**
+ * @param {object} record - storage record (see lib/storage)
+ * @returns {object} - the fields of a match in the answers
+ */
+function describeMatch(record) {
+    return {
+        orthancId: record.orthancId || null,
+        instanceId: record.instanceId || null,
+        path: record.orthancId ? null : record.path || null,
+        sopInstanceUid: record.sopInstanceUid || null,
+        seriesInstanceUid: record.seriesInstanceUid || null,
+        studyInstanceUid: record.studyInstanceUid || null,
+        strategy: record.strategy || null,
+    }
+}
+
+
+
+
+/**
+ * @param {string} hash
+ * @param {object[]} records - records with this hash
+ * @returns {{hash: string, found: boolean, matches: object[]}}
+ */
+function lookupResult(hash, records) {
+    return { hash, found: records.length > 0, matches: records.map(describeMatch) }
+}
+
+
+
+
+/**
+ * Reads a request body
+ * @param {http.IncomingMessage} request
+ * @param {number} maxBytes
+ * @returns {Promise<Buffer>}
+ * @throws {HttpError} 413 when the body is larger than maxBytes
+ */
+async function readBody(request, maxBytes) {
+    if (Number(request.headers['content-length']) > maxBytes) {
+        throw new HttpError(413, `Request body larger than ${maxBytes} bytes`)
+    }
+    const chunks = []
+    let size = 0
+    for await (const chunk of request) {
+        size += chunk.length
+        if (size > maxBytes) throw new HttpError(413, `Request body larger than ${maxBytes} bytes`)
+        chunks.push(chunk)
+    }
+    return Buffer.concat(chunks)
+}
+
+
+
+
+/**
+ * @param {string} hash - hash given by the client
+ * @returns {string} - the hash in lower case
+ * @throws {HttpError} 400 if it is not a SHA-256
+ */
+function checkHash(hash) {
+    const normalized = String(hash).toLowerCase()
+    if (!HASH_PATTERN.test(normalized)) throw new HttpError(400, `Invalid hash "${hash}", expected 64 hexadecimal characters`)
+    return normalized
+}
+
+
+
+
+/**
+ * Answers one request
+ * @param {import('./storage').Storage} storage - open storage
+ * @param {object} settings - see createLookupServer
+ * @param {http.IncomingMessage} request
+ * @returns {Promise<{status: number, body: object}>}
+ * @throws {HttpError} for invalid requests
+ */
+async function route(storage, settings, request) {
+    const { pathname } = new URL(request.url, 'http://localhost')
+    const segments = pathname.split('/').filter(Boolean)
+    const [resource, argument] = segments
+
+    if (pathname === '/health') {
+        if (request.method !== 'GET') throw new HttpError(405, 'Use GET')
+        // a lookup of an unknown hash shows that the database answers
+        try {
+            await storage.findByHash('0'.repeat(64))
+        } catch (error) {
+            throw new HttpError(503, `Database unavailable: ${error.message}`)
+        }
+        return { status: 200, body: { status: 'ok', storage: settings.storageDescription, hashMode: settings.hashOptions.mode } }
+    }
+
+    if (resource !== 'lookup' || segments.length > 2) throw new HttpError(404, `Unknown path ${pathname}`)
+
+    if (argument === 'batch') {
+        if (request.method !== 'POST') throw new HttpError(405, 'Use POST')
+        let payload
+        try {
+            payload = JSON.parse((await readBody(request, MAX_JSON_BYTES)).toString('utf8'))
+        } catch (error) {
+            if (error instanceof HttpError) throw error
+            throw new HttpError(400, 'The body must be JSON: { "hashes": [...] }')
+        }
+        if (!payload || !Array.isArray(payload.hashes)) throw new HttpError(400, 'The body must be JSON: { "hashes": [...] }')
+        if (payload.hashes.length > MAX_BATCH_HASHES) throw new HttpError(413, `At most ${MAX_BATCH_HASHES} hashes per request`)
+
+        const hashes = payload.hashes.map(checkHash)
+        const matches = await storage.findByHashes([...new Set(hashes)])
+        return { status: 200, body: { results: hashes.map(hash => lookupResult(hash, matches.get(hash) || [])) } }
+    }
+
+    if (argument) {
+        if (request.method !== 'GET') throw new HttpError(405, 'Use GET')
+        const hash = checkHash(argument)
+        return { status: 200, body: lookupResult(hash, await storage.findByHash(hash)) }
+    }
+
+    if (request.method !== 'POST') throw new HttpError(405, 'Use POST with the DICOM file as body')
+    const dicomData = await readBody(request, settings.maxUploadBytes)
+    let hashed
+    try {
+        hashed = hashDicomBuffer(dicomData, settings.hashOptions)
+    } catch (error) {
+        // dicom-parser throws strings
+        throw new HttpError(422, `Unable to hash the DICOM file: ${error.message || String(error)}`)
+    }
+    return { status: 200, body: { ...lookupResult(hashed.hash, await storage.findByHash(hashed.hash)), strategy: hashed.strategy } }
+}
+
+
+
+
+/**
+ * Creates the lookup server, it still has to listen
+ * @param {import('./storage').Storage} storage - open storage, closed by the caller
+ * @param {object} settings
+ * @param {object} settings.hashOptions - hash options of the uploaded files (see lib/hashStrategies.js)
+ * @param {number} settings.maxUploadBytes - largest accepted DICOM file
+ * @param {string} settings.storageDescription - shown by /health
+ * @param {(line: string) => void} [settings.log] - called with one line per request
+ * @returns {http.Server}
+ */
+function createLookupServer(storage, settings) {
+    const log = settings.log || (() => {})
+
+    return http.createServer(async (request, response) => {
+        let status, body
+        try {
+            ({ status, body } = await route(storage, settings, request))
+        } catch (error) {
+            status = error instanceof HttpError ? error.status : 500
+            body = { error: error.message || String(error) }
+        }
+
+        // the rest of an upload refused early is not read, the connection can't be reused
+        response.writeHead(status, status === 413 ? { 'Content-Type': 'application/json', Connection: 'close' } : { 'Content-Type': 'application/json' })
+        response.end(JSON.stringify(body) + '\n')
+        log(`${request.method} ${request.url} ${status}`)
+    })
+}
+
+
+
+module.exports = { createLookupServer }
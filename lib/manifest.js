@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Manifests of the file actions taken by the resolve command (and read back by restore).
+ *
+ * A manifest is a JSON lines file: a "header" object describing the run, then one "action"
+ * object per file. Every action is appended as soon as it is taken, so the manifest is complete
+ * even if the run is interrupted.
+ */
+const fs = require('fs')
+
+
+
+/**
+ * Creates a manifest and writes its header
+ * @param {string} filePath - manifest path, must not exist
+ * @param {object} header - description of the run
+ * @returns {{write: (action: object) => void}}
+ * @throws {Error} if the file already exists or can't be written
+ */
+function createManifest(filePath, header) {
+    fs.writeFileSync(filePath, JSON.stringify({ type: 'header', ...header }) + '\n', { flag: 'wx' })
+
+    return {
+        write: action => fs.appendFileSync(filePath, JSON.stringify({ type: 'action', ...action }) + '\n')
+    }
+}
+
+
+
+
+/**
+ * Reads a manifest
+ * @param {string} filePath
+ * @returns {{header: object, actions: object[]}}
+ * @throws {Error} if the file can't be read or is not a manifest
+ */
+function readManifest(filePath) {
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim())
+
+    const objects = lines.map((line, i) => {
+        try {
+            return JSON.parse(line)
+        } catch (error) {
+            throw new Error(`${filePath}:${i + 1} is not valid JSON`)
+        }
+    })
+
+    if (!objects.length || objects[0].type !== 'header') {
+        throw new Error(`${filePath} is not a manifest`)
+    }
+
+    const { type, ...header } = objects[0]
+    return {
+        header,
+        actions: objects.slice(1).filter(o => o.type === 'action').map(({ type, ...action }) => action)
+    }
+}
+
+
+
+module.exports = { createManifest, readManifest }
@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Per-tag diff of the DICOM headers of the files of a duplicate group.
+ *
+ * Every top level element (file meta information included, pixel data and group lengths excluded)
+ * is read from every file and the tags whose values are not the same in all the files are
+ * reported, with the value of each file. Text values are shown as text, binary values and sequences by their length
+ * and a short SHA-256 so they can still be compared.
+ */
+const fs = require('fs')
+const crypto = require('crypto')
+const dicomParser = require('dicom-parser')
+
+
+
+// names shown next to the tags, the others are shown as (gggg,eeee) only
+const TAG_NAMES = {
+    x00020003: 'MediaStorageSOPInstanceUID',
+    x00020010: 'TransferSyntaxUID',
+    x00020012: 'ImplementationClassUID',
+    x00020013: 'ImplementationVersionName',
+    x00020016: 'SourceApplicationEntityTitle',
+    x00080005: 'SpecificCharacterSet',
+    x00080008: 'ImageType',
+    x00080012: 'InstanceCreationDate',
+    x00080013: 'InstanceCreationTime',
+    x00080016: 'SOPClassUID',
+    x00080018: 'SOPInstanceUID',
+    x00080020: 'StudyDate',
+    x00080021: 'SeriesDate',
+    x00080022: 'AcquisitionDate',
+    x00080023: 'ContentDate',
+    x00080030: 'StudyTime',
+    x00080031: 'SeriesTime',
+    x00080032: 'AcquisitionTime',
+    x00080033: 'ContentTime',
+    x00080050: 'AccessionNumber',
+    x00080060: 'Modality',
+    x00080070: 'Manufacturer',
+    x00080080: 'InstitutionName',
+    x00080090: 'ReferringPhysicianName',
+    x00081030: 'StudyDescription',
+    x0008103e: 'SeriesDescription',
+    x00100010: 'PatientName',
+    x00100020: 'PatientID',
+    x00100030: 'PatientBirthDate',
+    x00100040: 'PatientSex',
+    x00101010: 'PatientAge',
+    x00120062: 'PatientIdentityRemoved',
+    x00120063: 'DeidentificationMethod',
+    x00180015: 'BodyPartExamined',
+    x0020000d: 'StudyInstanceUID',
+    x0020000e: 'SeriesInstanceUID',
+    x00200010: 'StudyID',
+    x00200011: 'SeriesNumber',
+    x00200013: 'InstanceNumber',
+    x00200052: 'FrameOfReferenceUID',
+    x00280002: 'SamplesPerPixel',
+    x00280004: 'PhotometricInterpretation',
+    x00280008: 'NumberOfFrames',
+    x00280010: 'Rows',
+    x00280011: 'Columns',
+    x00280100: 'BitsAllocated',
+    x00280101: 'BitsStored',
+    x00281050: 'WindowCenter',
+    x00281051: 'WindowWidth',
+    x00281052: 'RescaleIntercept',
+    x00281053: 'RescaleSlope',
+}
+
+// tags rewritten by most exports and re-imports, ignored with --ignore-volatile
+const VOLATILE_TAGS = [
+    'x00020003', 'x00020012', 'x00020013', 'x00020016',
+    'x00080012', 'x00080013', 'x00080018',
+]
+
+// VRs whose values are not text
+const BINARY_VRS = ['OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'UN', 'US', 'SS', 'UL', 'SL', 'UV', 'SV', 'FL', 'FD', 'AT']
+
+
+
+/**
+ * Parses a tag written by the user
+ * @param {string} text - '0010,0020', '(0010,0020)', '00100020', 'x00100020' or a name, e.g. 'PatientID'
+ * @returns {string} - tag in dicom-parser format, e.g. 'x00100020'
+ * @throws {Error} if the tag can't be parsed
+ */
+function parseTag(text) {
+    const hex = text.replace(/[()\s,]/g, '').replace(/^x/i, '').toLowerCase()
+    if (/^[0-9a-f]{8}$/.test(hex)) return `x${hex}`
+
+    const byName = Object.keys(TAG_NAMES).find(tag => TAG_NAMES[tag].toLowerCase() === text.toLowerCase())
+    if (byName) return byName
+    throw new Error(`Unknown tag: ${text} (expected gggg,eeee or a tag name such as PatientID)`)
+}
+
+
+
+
+/**
+ * @param {string} tag - dicom-parser format, e.g. 'x00100020'
+ * @returns {string} - e.g. '(0010,0020)'
+ */
+function formatTag(tag) {
+    return `(${tag.slice(1, 5)},${tag.slice(5, 9)})`.toUpperCase()
+}
+
+
+
+
+/**
+ * Describes the value of an element so that equal values give equal descriptions
+ * @param {object} dataSet - dicom-parser dataset
+ * @param {object} element - dicom-parser element
+ * @returns {string}
+ */
+function describeValue(dataSet, element) {
+    const bytes = dataSet.byteArray.subarray(element.dataOffset, element.dataOffset + element.length)
+    const digest = () => crypto.createHash('sha256').update(bytes).digest('hex').slice(0, 12)
+
+    if (element.items) {
+        return `<sequence of ${element.items.length} items, sha256 ${digest()}>`
+    }
+
+    // the VR is unknown in implicit VR files, the value is shown as text if it looks like text
+    const text = Buffer.from(bytes).toString('latin1').replace(/[\0 ]+$/, '')
+    const printable = !/[\x00-\x08\x0e-\x1f\x7f]/.test(text)
+    if (!BINARY_VRS.includes(element.vr) && printable) {
+        return text
+    }
+    return bytes.length <= 8 ? `<${Buffer.from(bytes).toString('hex')}>` : `<${bytes.length} bytes, sha256 ${digest()}>`
+}
+
+
+
+
+/**
+ * Reads the header values of a file
+ * @param {string} filePath
+ * @returns {Promise<Map<string, string>|null>} - tag -> value description, null if the file can't be parsed
+ */
+async function readHeader(filePath) {
+    try {
+        const dataSet = dicomParser.parseDicom(await fs.promises.readFile(filePath), { untilTag: 'x7fe00010' })
+        const values = new Map()
+        for (const [tag, element] of Object.entries(dataSet.elements)) {
+            // group lengths change with any value of their group, the values themselves are diffed
+            if (tag === 'x7fe00010' || tag.endsWith('0000')) continue
+            values.set(tag, describeValue(dataSet, element))
+        }
+        return values
+    } catch (error) {
+        return null
+    }
+}
+
+
+
+
+/**
+ * Diffs the headers of the files of a group
+ * @param {string[]} files - paths of the group
+ * @param {{ignore?: string[]}} [options] - tags to leave out, in dicom-parser format (see parseTag)
+ * @returns {Promise<{tag: string, name: string|null, values: (string|null)[]}[]>} - the tags whose values
+ *   differ, sorted by tag, with the value of every file in the order of the group (null if the tag is
+ *   missing or the file can't be parsed)
+ */
+async function diffGroup(files, options = {}) {
+    const ignore = new Set(options.ignore || [])
+    const headers = []
+    for (const file of files) {
+        headers.push(await readHeader(file))
+    }
+
+    const tags = new Set()
+    headers.forEach(header => header && header.forEach((_, tag) => tags.add(tag)))
+
+    return [...tags]
+        .filter(tag => !ignore.has(tag))
+        .sort()
+        .map(tag => ({
+            tag: formatTag(tag),
+            name: TAG_NAMES[tag] || null,
+            values: headers.map(header => header && header.has(tag) ? header.get(tag) : null)
+        }))
+        .filter(({ values }) => values.some(value => value !== values[0]))
+}
+
+
+
+
+/**
+ * Formats a diff for the console, one line per tag
+ * @param {object[]} diff - see diffGroup
+ * @param {string} [indent]
+ * @returns {string[]}
+ */
+function formatDiff(diff, indent = '    ') {
+    if (!diff.length) return [`${indent}no header differences`]
+    return diff.map(({ tag, name, values }) => {
+        const shown = values.map(value => value === null ? '(missing)' : JSON.stringify(value)).join(' | ')
+        return `${indent}${tag}${name ? ` ${name}` : ''}: ${shown}`
+    })
+}
+
+
+
+/**
+ * Option specs for the commands that diff the headers (see lib/cli.js)
+ */
+const diffOptions = [
+    { name: 'diff', flags: ['--diff'], description: 'Diff the DICOM headers of the files of every group' },
+    { name: 'ignoreTags', flags: ['--ignore-tag'], arg: '<tag>', multiple: true, description: 'Leave this tag out of the diff, e.g. 0008,0018 or SOPInstanceUID (repeatable)' },
+    { name: 'ignoreVolatile', flags: ['--ignore-volatile'], description: `Leave the tags rewritten by most exports out of the diff (${VOLATILE_TAGS.map(tag => TAG_NAMES[tag]).join(', ')})` },
+]
+
+
+
+
+/**
+ * Builds the diff options from the parsed options of a command
+ * @param {object} opts - parsed options with the diffOptions
+ * @returns {{ignore: string[]}}
+ * @throws {Error} if a tag can't be parsed
+ */
+function getDiffOptions(opts) {
+    return {
+        ignore: [...opts.ignoreTags.map(parseTag), ...(opts.ignoreVolatile ? VOLATILE_TAGS : [])]
+    }
+}
+
+
+
+module.exports = { diffGroup, formatDiff, parseTag, formatTag, getDiffOptions, diffOptions, VOLATILE_TAGS }
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Completeness of a migration: every local file is compared with the instances of the
+ * archive (Orthanc, or a DICOMweb server) stored in the hash database by sync, and every study is
+ * rated from the statuses of its files.
+ *
+ * File statuses:
+ *   present          an archive instance has the same content and SOPInstanceUID
+ *   different uid    archive instances have the same content, none with the SOPInstanceUID of the file
+ *   content differs  no archive instance has the content, one has the SOPInstanceUID (e.g. transcoded
+ *                    or modified on import, or hashed in another hash mode)
+ *   missing          neither the content nor the SOPInstanceUID are in the archive
+ *   unhashable       the file can't be parsed or has nothing to hash
+ *
+ * The records of local files (index command) are not part of the archive and are left out.
+ */
+
+
+
+const STATUS = {
+    PRESENT: 'present',
+    DIFFERENT_UID: 'different uid',
+    CONTENT_DIFFERS: 'content differs',
+    MISSING: 'missing',
+    UNHASHABLE: 'unhashable',
+}
+
+const STUDY_STATUS = {
+    COMPLETE: 'complete',
+    INCOMPLETE: 'incomplete',
+    // nothing missing, but some files could not be hashed
+    UNVERIFIED: 'unverified',
+}
+
+// files of no study (unparsable, or without StudyInstanceUID)
+const UNKNOWN_STUDY = 'unknown'
+
+
+
+/**
+ * @param {object} record - record of the storage
+ * @returns {boolean} - true for the instances of Orthanc or of a DICOMweb server (their WADO-RS URL as path)
+ */
+function isArchiveRecord(record) {
+    return Boolean(record.orthancId) || /^https?:\/\//.test(record.path || '')
+}
+
+
+
+
+/**
+ * @param {object} record - archive record
+ * @returns {{orthancId: string|null, url: string|null, sopInstanceUid: string|null, studyInstanceUid: string|null}}
+ */
+function describeArchiveInstance(record) {
+    return {
+        orthancId: record.orthancId || null,
+        url: record.orthancId ? null : record.path,
+        sopInstanceUid: record.sopInstanceUid || record.instanceId || null,
+        studyInstanceUid: record.studyInstanceUid || null,
+    }
+}
+
+
+
+
+/**
+ * Gives the status of a hashed file
+ * @param {string|null} sopInstanceUid - SOPInstanceUID of the local file
+ * @param {object[]} hashMatches - records with the hash of the file
+ * @param {object[]} [uidMatches] - records with the SOPInstanceUID of the file, only needed without archive hash match
+ * @returns {{status: string, archive: object[]}} - status and archive instances it is based on (see describeArchiveInstance)
+ */
+function classifyFile(sopInstanceUid, hashMatches, uidMatches = []) {
+    const sameContent = hashMatches.filter(isArchiveRecord).map(describeArchiveInstance)
+    if (sameContent.length) {
+        const sameUid = sameContent.filter(instance => instance.sopInstanceUid === sopInstanceUid)
+        return sameUid.length
+            ? { status: STATUS.PRESENT, archive: sameUid }
+            : { status: STATUS.DIFFERENT_UID, archive: sameContent }
+    }
+
+    const sameUid = uidMatches.filter(isArchiveRecord).map(describeArchiveInstance)
+    return sameUid.length
+        ? { status: STATUS.CONTENT_DIFFERS, archive: sameUid }
+        : { status: STATUS.MISSING, archive: [] }
+}
+
+
+
+
+/**
+ * @param {object} counts - number of files per status
+ * @returns {string} - one of STUDY_STATUS
+ */
+function studyStatus(counts) {
+    if (counts[STATUS.MISSING] || counts[STATUS.CONTENT_DIFFERS]) return STUDY_STATUS.INCOMPLETE
+    if (counts[STATUS.UNHASHABLE]) return STUDY_STATUS.UNVERIFIED
+    return STUDY_STATUS.COMPLETE
+}
+
+
+
+
+/**
+ * @returns {object} - every status at 0
+ */
+function emptyCounts() {
+    return Object.fromEntries(Object.values(STATUS).map(status => [status, 0]))
+}
+
+
+
+
+/**
+ * Counts the files per study and overall
+ * @returns {{add: (file: {status: string, studyInstanceUid?: string|null, patientId?: string|null}) => void,
+ *   studies: () => object[], totals: () => object}}
+ *   studies gives { studyInstanceUid, patientId, status, files, counts } sorted by StudyInstanceUID,
+ *   totals gives { files, counts, studies, studyCounts } (studyCounts: number of studies per study status)
+ */
+function createStudyTally() {
+    const studies = new Map()
+
+    const add = file => {
+        const studyInstanceUid = file.studyInstanceUid || UNKNOWN_STUDY
+        if (!studies.has(studyInstanceUid)) {
+            studies.set(studyInstanceUid, { studyInstanceUid, patientId: file.patientId || null, files: 0, counts: emptyCounts() })
+        }
+        const study = studies.get(studyInstanceUid)
+        study.files++
+        study.counts[file.status]++
+    }
+
+    const studyList = () => [...studies.values()]
+        .sort((a, b) => a.studyInstanceUid.localeCompare(b.studyInstanceUid))
+        .map(study => ({ ...study, status: studyStatus(study.counts) }))
+
+    const totals = () => {
+        const list = studyList()
+        const counts = emptyCounts()
+        list.forEach(study => Object.keys(counts).forEach(status => { counts[status] += study.counts[status] }))
+        return {
+            files: list.reduce((sum, study) => sum + study.files, 0),
+            counts,
+            studies: list.length,
+            studyCounts: Object.fromEntries(Object.values(STUDY_STATUS).map(status => [status, list.filter(study => study.status === status).length])),
+        }
+    }
+
+    return { add, studies: studyList, totals }
+}
+
+
+
+module.exports = { STATUS, STUDY_STATUS, UNKNOWN_STUDY, isArchiveRecord, classifyFile, studyStatus, createStudyTally }
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Orthanc REST API helpers used to build the hash database.
+ */
+const axios = require('axios')
+
+
+
+/**
+ * Creates an axios instance bound to the Orthanc url, with basic auth when configured
+ * @param {{url: string, username?: string, password?: string}} orthancSettings - "orthanc" section of config.json
+ * @returns {import('axios').AxiosInstance}
+ */
+const createAxiosInstance = (orthancSettings) => {
+    const { url, username, password } = orthancSettings
+    const auth = username && password ? { auth: { username, password } } : {}
+    return axios.create({ baseURL: url, ...auth })
+}
+
+
+
+
+/**
+ * Tests the Orthanc connection using the /system endpoint
+ * @param {import('axios').AxiosInstance} axiosInstance
+ * @returns {Promise<boolean>}
+ */
+async function testOrthancConnection(axiosInstance) {
+    if (!axiosInstance) return false
+
+    try {
+        const response = await axiosInstance.get('/system')
+        if (response.status === 200) {
+            console.log('Successfully connected to Orthanc.')
+            return true
+        } else {
+            console.error('Unexpected response from Orthanc:', response.status)
+            return false
+        }
+    } catch (error) {
+        console.error('Failed to connect to Orthanc:', error.message)
+        return false
+    }
+}
+
+
+
+
+/**
+ * Fetches the ids of all instances stored in Orthanc
+ * @param {import('axios').AxiosInstance} axiosInstance
+ * @returns {Promise<string[]>} - list of orthanc instance ids
+ * @throws {Error} if Orthanc can't list them
+ */
+async function fetchOrthancInstances(axiosInstance) {
+    try {
+        const response = await axiosInstance.get('/instances')
+        return response.data
+    } catch (error) {
+        throw new Error(`Orthanc could not list its instances: ${error.message}`)
+    }
+}
+
+
+
+
+/**
+ * Downloads the DICOM file of an instance
+ * @param {import('axios').AxiosInstance} axiosInstance
+ * @param {string} orthancId - orthanc instance id
+ * @returns {Promise<Buffer>}
+ * @throws if the download fails
+ */
+async function fetchDicomFile(axiosInstance, orthancId) {
+    const response = await axiosInstance.get(`/instances/${orthancId}/file`, { responseType: 'arraybuffer' })
+    return Buffer.from(response.data)
+}
+
+
+
+/**
+ * Fetches a page of the Orthanc changes log
+ * @param {import('axios').AxiosInstance} axiosInstance
+ * @param {number} since - sequence number of the last processed change
+ * @param {number} limit - maximum number of changes
+ * @returns {Promise<{Changes: {ChangeType: string, ResourceType: string, ID: string, Seq: number}[], Done: boolean, Last: number}>}
+ * @throws if the request fails
+ */
+async function fetchChanges(axiosInstance, since, limit) {
+    const response = await axiosInstance.get('/changes', { params: { since, limit } })
+    return response.data
+}
+
+
+
+
+/**
+ * Fetches the sequence number of the last change of Orthanc
+ * @param {import('axios').AxiosInstance} axiosInstance
+ * @returns {Promise<number>}
+ * @throws if the request fails
+ */
+async function fetchLastChange(axiosInstance) {
+    const response = await axiosInstance.get('/changes', { params: { last: '' } })
+    return response.data.Last
+}
+
+
+
+module.exports = { createAxiosInstance, testOrthancConnection, fetchOrthancInstances, fetchDicomFile, fetchChanges, fetchLastChange }
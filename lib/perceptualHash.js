@@ -0,0 +1,354 @@
+/**
+ * @fileoverview Perceptual hashes (DCT pHash) of images, to find the near duplicates that exact
+ * hashes miss: re-exports with a rescaled bit depth, a window/level burnt in or a lossy recompression.
+ *
+ * Every frame is decoded, converted to grey levels, normalised to its 1st - 99th percentile range
+ * and reduced to 32x32 pixels. The 64 bits of a frame hash tell which of the 8x8 lowest frequencies
+ * of its DCT (without the DC row and column) are above their median. The perceptual hash of an
+ * image is the hex string of its frame hashes, 16 characters per frame.
+ *
+ * Two images are compared frame by frame and their distance is the largest Hamming distance
+ * between two frames, so images with a different number of frames are never similar.
+ */
+const jpeg = require('jpeg-js')
+
+const { TRANSFER_SYNTAX, getPixelInfo, canDecode, decodePixelData, getEncapsulatedFrames } = require('./pixelData')
+
+const SIZE = 32         // side of the reduced image
+const LOW = 8           // side of the block of low frequencies kept
+const FRAME_HASH_LENGTH = LOW * LOW / 4
+const HASH_BITS = LOW * LOW
+
+// lossy transfer syntaxes decoded for perceptual hashes only, they don't decode the same with every decoder
+const JPEG_LOSSY_TRANSFER_SYNTAXES = [TRANSFER_SYNTAX.JPEG_BASELINE, TRANSFER_SYNTAX.JPEG_EXTENDED]
+
+// DCT-II basis for the frequencies 0..LOW, COSINES[u * SIZE + x] = cos((2x + 1) u PI / 2 SIZE)
+const COSINES = new Float64Array((LOW + 1) * SIZE)
+for (let u = 0; u <= LOW; u++) {
+    for (let x = 0; x < SIZE; x++) {
+        COSINES[u * SIZE + x] = Math.cos((2 * x + 1) * u * Math.PI / (2 * SIZE))
+    }
+}
+
+
+
+/**
+ * Reads a canonical frame (see lib/pixelData.js) as grey levels
+ * @param {Buffer} frame - canonical frame
+ * @param {object} info - see getPixelInfo
+ * @param {string} photometric - PhotometricInterpretation
+ * @returns {Float64Array} - one grey level per pixel
+ */
+function canonicalToGrey(frame, info, photometric) {
+    const pixelCount = info.rows * info.columns
+    const spp = info.samplesPerPixel
+    const width = frame.length / (pixelCount * spp)
+    const signed = info.pixelRepresentation === 1
+    const read = offset => width === 1 ? (signed ? frame.readInt8(offset) : frame[offset])
+        : width === 2 ? (signed ? frame.readInt16LE(offset) : frame.readUInt16LE(offset))
+            : (signed ? frame.readInt32LE(offset) : frame.readUInt32LE(offset))
+
+    const grey = new Float64Array(pixelCount)
+    for (let p = 0; p < pixelCount; p++) {
+        const offset = p * spp * width
+        if (spp === 1 || photometric.startsWith('YBR')) {
+            // the luminance is the first sample of YBR colour spaces
+            grey[p] = read(offset)
+        } else {
+            grey[p] = 0.299 * read(offset) + 0.587 * read(offset + width) + 0.114 * read(offset + 2 * width)
+        }
+    }
+    return grey
+}
+
+
+
+
+/**
+ * Decodes every frame of a dataset to grey levels
+ * @param {object} dataSet - dicom-parser dataset
+ * @returns {{rows: number, columns: number, grey: Float64Array}[]|null} - null if the transfer syntax can't be decoded
+ * @throws {Error} if the pixel data is corrupt
+ */
+function decodeGreyFrames(dataSet) {
+    const info = getPixelInfo(dataSet)
+    const photometric = (dataSet.string('x00280004') || 'MONOCHROME2').toUpperCase()
+    let frames
+
+    if (canDecode(info.transferSyntax)) {
+        frames = decodePixelData(dataSet).map(frame => ({
+            rows: info.rows,
+            columns: info.columns,
+            grey: canonicalToGrey(frame, info, photometric)
+        }))
+
+    } else if (JPEG_LOSSY_TRANSFER_SYNTAXES.includes(info.transferSyntax) && info.bitsAllocated === 8) {
+        frames = getEncapsulatedFrames(dataSet, info.numberOfFrames).map(bitstream => {
+            // jpeg-js converts YBR to RGB, so the colour frames are RGB here
+            const image = jpeg.decode(bitstream, { useTArray: true, formatAsRGBA: false })
+            const grey = new Float64Array(image.width * image.height)
+            for (let p = 0; p < grey.length; p++) {
+                grey[p] = 0.299 * image.data[p * 3] + 0.587 * image.data[p * 3 + 1] + 0.114 * image.data[p * 3 + 2]
+            }
+            return { rows: image.height, columns: image.width, grey }
+        })
+
+    } else {
+        return null
+    }
+
+    // MONOCHROME1 is displayed inverted, normalisation takes care of the offset
+    if (photometric === 'MONOCHROME1') {
+        frames.forEach(({ grey }) => grey.forEach((v, i) => { grey[i] = -v }))
+    }
+    return frames
+}
+
+
+
+
+/**
+ * Normalises a frame to its 1st - 99th percentile range and reduces it to SIZE x SIZE pixels
+ * by averaging the pixels of each cell
+ * @param {{rows: number, columns: number, grey: Float64Array}} frame
+ * @returns {Float64Array} - SIZE x SIZE grey levels in [0, 1], row by row
+ */
+function reduceFrame({ rows, columns, grey }) {
+    // percentiles of a sample of the pixels, the sort is the slow part on large frames
+    const step = Math.max(1, Math.floor(grey.length / 65536))
+    const sample = new Float64Array(Math.ceil(grey.length / step))
+    for (let i = 0; i < sample.length; i++) sample[i] = grey[i * step]
+    sample.sort()
+    const low = sample[Math.floor(sample.length * 0.01)]
+    const high = sample[Math.floor((sample.length - 1) * 0.99)]
+    const range = high - low || 1
+
+    const reduced = new Float64Array(SIZE * SIZE)
+    for (let y = 0; y < SIZE; y++) {
+        const top = Math.floor(y * rows / SIZE)
+        const bottom = Math.max(top + 1, Math.floor((y + 1) * rows / SIZE))
+        for (let x = 0; x < SIZE; x++) {
+            const left = Math.floor(x * columns / SIZE)
+            const right = Math.max(left + 1, Math.floor((x + 1) * columns / SIZE))
+
+            let sum = 0
+            for (let r = top; r < bottom; r++) {
+                for (let c = left; c < right; c++) {
+                    sum += Math.min(1, Math.max(0, (grey[r * columns + c] - low) / range))
+                }
+            }
+            reduced[y * SIZE + x] = sum / ((bottom - top) * (right - left))
+        }
+    }
+    return reduced
+}
+
+
+
+
+/**
+ * Computes the 64 bit pHash of a reduced frame
+ * @param {Float64Array} reduced - see reduceFrame
+ * @returns {string} - 16 hex characters
+ */
+function frameHash(reduced) {
+    // separable DCT of the frequencies 1..LOW in both directions,
+    // the DC row and column only hold the mean brightness
+    const rowsDct = new Float64Array((LOW + 1) * SIZE)
+    for (let v = 1; v <= LOW; v++) {
+        for (let y = 0; y < SIZE; y++) {
+            let sum = 0
+            for (let x = 0; x < SIZE; x++) sum += COSINES[v * SIZE + x] * reduced[y * SIZE + x]
+            rowsDct[v * SIZE + y] = sum
+        }
+    }
+
+    const coefficients = []
+    for (let u = 1; u <= LOW; u++) {
+        for (let v = 1; v <= LOW; v++) {
+            let sum = 0
+            for (let y = 0; y < SIZE; y++) sum += COSINES[u * SIZE + y] * rowsDct[v * SIZE + y]
+            coefficients.push(sum)
+        }
+    }
+
+    const median = [...coefficients].sort((a, b) => a - b)[coefficients.length / 2]
+
+    let hex = ''
+    for (let i = 0; i < coefficients.length; i += 4) {
+        let nibble = 0
+        for (let b = 0; b < 4; b++) {
+            nibble = (nibble << 1) | (coefficients[i + b] > median ? 1 : 0)
+        }
+        hex += nibble.toString(16)
+    }
+    return hex
+}
+
+
+
+
+/**
+ * Computes the perceptual hash of an image (see file header)
+ * @param {object} dataSet - dicom-parser dataset
+ * @returns {string|null} - null if the dataset has no pixel data or its transfer syntax can't be decoded
+ * @throws {Error} if the pixel data is corrupt
+ */
+function perceptualHash(dataSet) {
+    if (!dataSet.elements.x7fe00010) return null
+
+    const frames = decodeGreyFrames(dataSet)
+    if (!frames || !frames.length) return null
+
+    return frames.map(frame => frameHash(reduceFrame(frame))).join('')
+}
+
+
+
+
+/**
+ * Hamming distance between two frame hashes
+ * @param {string} a - 16 hex characters
+ * @param {string} b - 16 hex characters
+ * @returns {number} - number of different bits (0 - 64)
+ */
+function frameDistance(a, b) {
+    let distance = 0
+    for (let i = 0; i < a.length; i++) {
+        let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16)
+        while (bits) {
+            distance += bits & 1
+            bits >>= 1
+        }
+    }
+    return distance
+}
+
+
+
+
+/**
+ * Distance between two perceptual hashes: the largest Hamming distance between their frames
+ * @param {string} a - perceptual hash
+ * @param {string} b - perceptual hash
+ * @returns {number} - 0 - 64, Infinity if the images don't have the same number of frames
+ */
+function perceptualDistance(a, b) {
+    if (a.length !== b.length) return Infinity
+
+    let distance = 0
+    for (let i = 0; i < a.length; i += FRAME_HASH_LENGTH) {
+        distance = Math.max(distance, frameDistance(a.slice(i, i + FRAME_HASH_LENGTH), b.slice(i, i + FRAME_HASH_LENGTH)))
+    }
+    return distance
+}
+
+
+
+
+/**
+ * @param {number} distance - see perceptualDistance
+ * @returns {number} - similarity score between 0 and 1, 1 for identical perceptual hashes
+ */
+function similarityScore(distance) {
+    return Math.round((1 - distance / HASH_BITS) * 1000) / 1000
+}
+
+
+
+
+/**
+ * Finds the pairs of perceptual hashes within a distance of each other.
+ * Uses a BK-tree per hash length, so every hash is not compared with every other one
+ * @param {string[]} hashes - perceptual hashes
+ * @param {number} threshold - largest distance of a pair
+ * @returns {{a: number, b: number, distance: number}[]} - indexes in hashes, a < b
+ */
+function findSimilarPairs(hashes, threshold) {
+    const pairs = []
+
+    // identical hashes are paired directly, the tree only holds one node per distinct hash
+    const indexesByHash = new Map()
+    hashes.forEach((hash, i) => {
+        if (!indexesByHash.has(hash)) indexesByHash.set(hash, [])
+        indexesByHash.get(hash).push(i)
+    })
+
+    const trees = new Map()
+    for (const [hash, indexes] of indexesByHash) {
+        indexes.forEach((a, i) => indexes.slice(i + 1).forEach(b => pairs.push({ a, b, distance: 0 })))
+
+        let node = trees.get(hash.length)
+        if (!node) {
+            trees.set(hash.length, { hash, indexes, children: new Map() })
+            continue
+        }
+
+        // search then insert
+        const stack = [node]
+        while (stack.length) {
+            const current = stack.pop()
+            const distance = perceptualDistance(hash, current.hash)
+            if (distance <= threshold) {
+                current.indexes.forEach(a => indexes.forEach(b => pairs.push({ a: Math.min(a, b), b: Math.max(a, b), distance })))
+            }
+            for (const [childDistance, child] of current.children) {
+                if (Math.abs(childDistance - distance) <= threshold) stack.push(child)
+            }
+        }
+
+        for (;;) {
+            const distance = perceptualDistance(hash, node.hash)
+            if (!node.children.has(distance)) {
+                node.children.set(distance, { hash, indexes, children: new Map() })
+                break
+            }
+            node = node.children.get(distance)
+        }
+    }
+
+    return pairs
+}
+
+
+
+
+/**
+ * Groups items whose perceptual hashes are within a distance of each other, directly or through
+ * other items of the group
+ * @param {{perceptualHash: string}[]} items
+ * @param {number} threshold - largest distance (in bits) between two similar items
+ * @returns {{items: object[], pairs: {a: object, b: object, distance: number, similarity: number}[]}[]} - groups of two items or more
+ */
+function findSimilarGroups(items, threshold) {
+    const pairs = findSimilarPairs(items.map(item => item.perceptualHash), threshold)
+
+    // union-find of the paired items
+    const parent = items.map((_, i) => i)
+    const root = i => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]]
+            i = parent[i]
+        }
+        return i
+    }
+    pairs.forEach(({ a, b }) => { parent[root(a)] = root(b) })
+
+    const groups = new Map()
+    pairs.forEach(({ a, b, distance }) => {
+        const key = root(a)
+        if (!groups.has(key)) groups.set(key, { members: new Set(), pairs: [] })
+        const group = groups.get(key)
+        group.members.add(a).add(b)
+        group.pairs.push({ a: items[a], b: items[b], distance, similarity: similarityScore(distance) })
+    })
+
+    return [...groups.values()].map(({ members, pairs }) => ({
+        items: [...members].sort((x, y) => x - y).map(i => items[i]),
+        pairs
+    }))
+}
+
+
+
+module.exports = { perceptualHash, perceptualDistance, similarityScore, findSimilarGroups }
@@ -0,0 +1,375 @@
+/**
+ * @fileoverview Pixel data helpers: frame extraction for native and encapsulated transfer syntaxes
+ * and decoding to canonical pixel values, so the same image hashes the same whatever the
+ * transfer syntax it was stored with.
+ *
+ * Canonical form of a frame: one value per sample, interleaved (R1 G1 B1 R2 ...), masked to
+ * BitsStored and sign extended when PixelRepresentation is 1, written little endian in the
+ * smallest width that holds BitsStored (1, 2 or 4 bytes).
+ */
+const { Decoder: JpegLosslessDecoder } = require('jpeg-lossless-decoder-js')
+
+const TRANSFER_SYNTAX = {
+    IMPLICIT_LITTLE_ENDIAN: '1.2.840.10008.1.2',
+    EXPLICIT_LITTLE_ENDIAN: '1.2.840.10008.1.2.1',
+    DEFLATED_EXPLICIT_LITTLE_ENDIAN: '1.2.840.10008.1.2.1.99',
+    EXPLICIT_BIG_ENDIAN: '1.2.840.10008.1.2.2',
+    JPEG_BASELINE: '1.2.840.10008.1.2.4.50',
+    JPEG_EXTENDED: '1.2.840.10008.1.2.4.51',
+    JPEG_LOSSLESS: '1.2.840.10008.1.2.4.57',
+    JPEG_LOSSLESS_SV1: '1.2.840.10008.1.2.4.70',
+    RLE_LOSSLESS: '1.2.840.10008.1.2.5',
+}
+
+const NATIVE_TRANSFER_SYNTAXES = [
+    TRANSFER_SYNTAX.IMPLICIT_LITTLE_ENDIAN,
+    TRANSFER_SYNTAX.EXPLICIT_LITTLE_ENDIAN,
+    TRANSFER_SYNTAX.DEFLATED_EXPLICIT_LITTLE_ENDIAN,
+    TRANSFER_SYNTAX.EXPLICIT_BIG_ENDIAN,
+]
+
+// transfer syntaxes decodePixelData can turn into canonical values
+const DECODABLE_TRANSFER_SYNTAXES = [
+    ...NATIVE_TRANSFER_SYNTAXES,
+    TRANSFER_SYNTAX.JPEG_LOSSLESS,
+    TRANSFER_SYNTAX.JPEG_LOSSLESS_SV1,
+    TRANSFER_SYNTAX.RLE_LOSSLESS,
+]
+
+
+
+/**
+ * Reads the Image Pixel module attributes needed to interpret the pixel data
+ * @param {object} dataSet - dicom-parser dataset
+ * @returns {object} - { transferSyntax, rows, columns, samplesPerPixel, bitsAllocated, bitsStored,
+ *                       highBit, pixelRepresentation, planarConfiguration, numberOfFrames, encapsulated }
+ */
+function getPixelInfo(dataSet) {
+    const transferSyntax = dataSet.string('x00020010') || TRANSFER_SYNTAX.IMPLICIT_LITTLE_ENDIAN
+    const bitsAllocated = dataSet.uint16('x00280100') || 0
+    const bitsStored = dataSet.uint16('x00280101') || bitsAllocated
+
+    return {
+        transferSyntax,
+        rows: dataSet.uint16('x00280010') || 0,
+        columns: dataSet.uint16('x00280011') || 0,
+        samplesPerPixel: dataSet.uint16('x00280002') || 1,
+        bitsAllocated,
+        bitsStored,
+        highBit: dataSet.uint16('x00280102') === undefined ? bitsStored - 1 : dataSet.uint16('x00280102'),
+        pixelRepresentation: dataSet.uint16('x00280103') || 0,
+        planarConfiguration: dataSet.uint16('x00280006') || 0,
+        numberOfFrames: parseInt(dataSet.string('x00280008'), 10) || 1,
+        encapsulated: !NATIVE_TRANSFER_SYNTAXES.includes(transferSyntax),
+    }
+}
+
+
+
+
+/**
+ * @param {string} transferSyntax - transfer syntax UID
+ * @returns {boolean} - true if the pixel data of this transfer syntax can be decoded
+ */
+function canDecode(transferSyntax) {
+    return DECODABLE_TRANSFER_SYNTAXES.includes(transferSyntax)
+}
+
+
+
+
+/**
+ * Returns the bitstream of every frame of encapsulated pixel data.
+ * The fragments of a frame are concatenated and the Basic Offset Table is only used
+ * when the frame boundaries can't be found from the bitstreams themselves
+ * @param {object} dataSet - dicom-parser dataset
+ * @param {number} numberOfFrames - NumberOfFrames of the dataset
+ * @returns {Uint8Array[]} - one entry per frame
+ * @throws {Error} if the fragments can't be mapped to frames
+ */
+function getEncapsulatedFrames(dataSet, numberOfFrames) {
+    const element = dataSet.elements.x7fe00010
+    const fragments = (element && element.fragments) || []
+    if (!fragments.length) return []
+
+    const fragmentBytes = fragment => dataSet.byteArray.subarray(fragment.position, fragment.position + fragment.length)
+    const join = group => group.length === 1 ? fragmentBytes(group[0]) : Buffer.concat(group.map(fragmentBytes))
+
+    if (numberOfFrames <= 1) {
+        return [join(fragments)]
+    }
+    if (fragments.length === numberOfFrames) {
+        return fragments.map(fragmentBytes)
+    }
+
+    // several fragments per frame: a new frame starts with a fragment holding a JPEG SOI marker
+    // or a JPEG 2000 codestream SOC marker
+    const startsFrame = fragment => {
+        const bytes = fragmentBytes(fragment)
+        return bytes.length > 1 && bytes[0] === 0xff && (bytes[1] === 0xd8 || bytes[1] === 0x4f)
+    }
+    let starts = fragments.map((f, i) => startsFrame(f) ? i : -1).filter(i => i >= 0)
+
+    if (starts.length !== numberOfFrames || starts[0] !== 0) {
+        const offsets = element.basicOffsetTable || []
+        if (offsets.length !== numberOfFrames) {
+            throw new Error(`Unable to map ${fragments.length} fragments to ${numberOfFrames} frames`)
+        }
+        // offsets are relative to the first fragment item, like fragment.offset
+        starts = offsets.map(offset => fragments.findIndex(f => f.offset === offset))
+        if (starts.includes(-1)) {
+            throw new Error('Basic Offset Table does not match the fragments')
+        }
+    }
+
+    return starts.map((start, i) => join(fragments.slice(start, starts[i + 1])))
+}
+
+
+
+
+/**
+ * Removes the zero byte some archives append after the JPEG / JPEG 2000 end of image marker
+ * (FFD9) to give the last fragment an even length, so padded and unpadded frames hash the same
+ * @param {Uint8Array} frame - frame bitstream
+ * @returns {Uint8Array}
+ */
+function trimFramePadding(frame) {
+    const n = frame.length
+    if (n > 2 && frame[n - 1] === 0x00 && frame[n - 2] === 0xd9 && frame[n - 3] === 0xff) {
+        return frame.subarray(0, n - 1)
+    }
+    return frame
+}
+
+
+
+
+/**
+ * Decodes an RLE Lossless frame to sample values, interleaved by pixel
+ * @param {Uint8Array} frame - RLE frame (header and segments)
+ * @param {object} info - see getPixelInfo
+ * @returns {Uint32Array} - raw sample values
+ */
+function decodeRleFrame(frame, info) {
+    const view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength)
+    const numberOfSegments = view.getUint32(0, true)
+    const bytesPerSample = info.bitsAllocated / 8
+    const pixelCount = info.rows * info.columns
+
+    if (numberOfSegments !== info.samplesPerPixel * bytesPerSample) {
+        throw new Error(`Unexpected number of RLE segments: ${numberOfSegments}`)
+    }
+
+    const offsets = []
+    for (let i = 0; i < numberOfSegments; i++) {
+        offsets.push(view.getUint32(4 + i * 4, true))
+    }
+
+    const values = new Uint32Array(pixelCount * info.samplesPerPixel)
+
+    for (let segment = 0; segment < numberOfSegments; segment++) {
+        // segments are ordered by sample, then from the most to the least significant byte
+        const sample = Math.floor(segment / bytesPerSample)
+        const shift = 8 * (bytesPerSample - 1 - (segment % bytesPerSample))
+        const end = segment + 1 < numberOfSegments ? offsets[segment + 1] : frame.length
+
+        let pos = offsets[segment]
+        let pixel = 0
+        const write = byte => {
+            if (pixel < pixelCount) {
+                values[pixel * info.samplesPerPixel + sample] |= byte << shift
+            }
+            pixel++
+        }
+
+        // PackBits
+        while (pos < end && pixel < pixelCount) {
+            const n = (frame[pos++] << 24) >> 24
+            if (n >= 0) {
+                for (let i = 0; i <= n; i++) write(frame[pos++])
+            } else if (n > -128) {
+                const byte = frame[pos++]
+                for (let i = 0; i < 1 - n; i++) write(byte)
+            }
+        }
+    }
+
+    return values
+}
+
+
+
+
+/**
+ * Decodes a JPEG Lossless (process 14) frame to sample values, interleaved by pixel
+ * @param {Uint8Array} frame - JPEG bitstream
+ * @param {object} info - see getPixelInfo
+ * @returns {Uint8Array|Uint16Array} - raw sample values
+ */
+function decodeJpegLosslessFrame(frame, info) {
+    const decoder = new JpegLosslessDecoder()
+    return decoder.decode(frame.buffer, frame.byteOffset, frame.byteLength, info.bitsAllocated <= 8 ? 1 : 2)
+}
+
+
+
+
+/**
+ * Reads the samples of one frame of native pixel data, interleaved by pixel
+ * @param {Uint8Array} bytes - the whole PixelData value
+ * @param {object} info - see getPixelInfo
+ * @param {number} frameIndex - index of the frame
+ * @returns {Uint32Array} - raw sample values
+ */
+function readNativeFrame(bytes, info, frameIndex) {
+    const samplesPerFrame = info.rows * info.columns * info.samplesPerPixel
+    const values = new Uint32Array(samplesPerFrame)
+    const littleEndian = info.transferSyntax !== TRANSFER_SYNTAX.EXPLICIT_BIG_ENDIAN
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    const first = frameIndex * samplesPerFrame
+
+    for (let i = 0; i < samplesPerFrame; i++) {
+        const index = first + i
+        switch (info.bitsAllocated) {
+            case 1:
+                values[i] = (bytes[index >> 3] >> (index & 7)) & 1
+                break
+            case 8:
+                values[i] = bytes[index]
+                break
+            case 16:
+                values[i] = view.getUint16(index * 2, littleEndian)
+                break
+            case 32:
+                values[i] = view.getUint32(index * 4, littleEndian)
+                break
+            default:
+                throw new Error(`Unsupported BitsAllocated: ${info.bitsAllocated}`)
+        }
+    }
+
+    // colour by plane (RRR GGG BBB) to colour by pixel (RGB RGB)
+    if (info.samplesPerPixel > 1 && info.planarConfiguration === 1) {
+        const pixelCount = info.rows * info.columns
+        const interleaved = new Uint32Array(samplesPerFrame)
+        for (let s = 0; s < info.samplesPerPixel; s++) {
+            for (let p = 0; p < pixelCount; p++) {
+                interleaved[p * info.samplesPerPixel + s] = values[s * pixelCount + p]
+            }
+        }
+        return interleaved
+    }
+
+    return values
+}
+
+
+
+
+/**
+ * Converts raw sample values to the canonical byte form (see file header)
+ * @param {ArrayLike<number>} values - raw sample values as stored in BitsAllocated
+ * @param {object} info - see getPixelInfo
+ * @returns {Buffer}
+ */
+function toCanonical(values, info) {
+    const { bitsStored, highBit, pixelRepresentation } = info
+    const shift = highBit + 1 - bitsStored
+    const mask = bitsStored >= 32 ? 0xffffffff : (2 ** bitsStored) - 1
+    const width = bitsStored <= 8 ? 1 : bitsStored <= 16 ? 2 : 4
+    const output = Buffer.alloc(values.length * width)
+
+    for (let i = 0; i < values.length; i++) {
+        let value = (values[i] >>> shift) & mask
+        if (pixelRepresentation === 1 && bitsStored < 32 && value >= 2 ** (bitsStored - 1)) {
+            value -= 2 ** bitsStored
+        }
+
+        if (width === 1) {
+            pixelRepresentation === 1 ? output.writeInt8(value, i) : output.writeUInt8(value >>> 0, i)
+        } else if (width === 2) {
+            pixelRepresentation === 1 ? output.writeInt16LE(value, i * 2) : output.writeUInt16LE(value >>> 0, i * 2)
+        } else {
+            pixelRepresentation === 1 ? output.writeInt32LE(value | 0, i * 4) : output.writeUInt32LE(value >>> 0, i * 4)
+        }
+    }
+
+    return output
+}
+
+
+
+
+/**
+ * Decodes every frame of a dataset to its canonical form
+ * @param {object} dataSet - dicom-parser dataset
+ * @returns {Buffer[]} - one canonical buffer per frame
+ * @throws {Error} if the transfer syntax is not supported or the pixel data is corrupt
+ */
+function decodePixelData(dataSet) {
+    const info = getPixelInfo(dataSet)
+    const element = dataSet.elements.x7fe00010
+    if (!element) return []
+
+    if (!canDecode(info.transferSyntax)) {
+        throw new Error(`Unsupported transfer syntax for decoding: ${info.transferSyntax}`)
+    }
+
+    if (!info.encapsulated) {
+        const bytes = dataSet.byteArray.subarray(element.dataOffset, element.dataOffset + element.length)
+        const frames = []
+        for (let i = 0; i < info.numberOfFrames; i++) {
+            frames.push(toCanonical(readNativeFrame(bytes, info, i), info))
+        }
+        return frames
+    }
+
+    return getEncapsulatedFrames(dataSet, info.numberOfFrames).map(frame => {
+        const values = info.transferSyntax === TRANSFER_SYNTAX.RLE_LOSSLESS
+            ? decodeRleFrame(frame, info)
+            : decodeJpegLosslessFrame(frame, info)
+        return toCanonical(values, info)
+    })
+}
+
+
+
+
+/**
+ * Splits native pixel data into frames, as stored (no byte swapping or masking).
+ * Frames of 1 bit data don't always start on a byte boundary, they are unpacked to one byte per pixel
+ * @param {object} dataSet - dicom-parser dataset
+ * @returns {Uint8Array[]} - one entry per frame
+ * @throws {Error} if the pixel data is shorter than NumberOfFrames frames
+ */
+function getNativeFrames(dataSet) {
+    const info = getPixelInfo(dataSet)
+    const element = dataSet.elements.x7fe00010
+    if (!element || !element.length) return []
+
+    const bytes = dataSet.byteArray.subarray(element.dataOffset, element.dataOffset + element.length)
+    const frameIndexes = [...Array(info.numberOfFrames).keys()]
+
+    if (info.bitsAllocated === 1) {
+        return frameIndexes.map(i => Uint8Array.from(readNativeFrame(bytes, info, i)))
+    }
+
+    const frameLength = info.rows * info.columns * info.samplesPerPixel * info.bitsAllocated / 8
+    if (frameLength * info.numberOfFrames > bytes.length) {
+        throw new Error(`PixelData is too short for ${info.numberOfFrames} frames`)
+    }
+    return frameIndexes.map(i => bytes.subarray(i * frameLength, (i + 1) * frameLength))
+}
+
+
+
+module.exports = {
+    TRANSFER_SYNTAX,
+    getPixelInfo,
+    canDecode,
+    getEncapsulatedFrames,
+    getNativeFrames,
+    trimFramePadding,
+    decodePixelData
+}
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Versioned schema of the PostgreSQL hash database.
+ *
+ * Every change to the tables is a new migration appended to MIGRATIONS, never an edit of an
+ * applied one. migrate applies the missing migrations in order, each in its own transaction, and
+ * records them in dicom_hash_schema_migrations. An advisory lock keeps concurrent writers (e.g.
+ * sync --write-workers) from migrating at the same time.
+ *
+ * The hashes live in dicom_hash_instances, one row per Orthanc instance or local file indexed by
+ * hash: the duplicates are rows sharing a hash. record_key is the Orthanc ID of an instance and
+ * the path of a file (see lib/storage). The dicom_hashes table of the first versions (one row per
+ * hash, so the duplicates were dropped) is left untouched and no longer written.
+ */
+
+
+
+// any constant shared by the processes migrating the same database
+const MIGRATION_LOCK_ID = 4242001
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'one row per instance',
+        statements: [
+            `CREATE TABLE dicom_hash_instances (
+                record_key TEXT PRIMARY KEY,
+                orthanc_id TEXT,
+                file_path TEXT,
+                file_name TEXT,
+                file_size BIGINT,
+                mtime_ms DOUBLE PRECISION,
+                indexed_with TEXT,
+                sop_instance_uid TEXT,
+                patient_id TEXT,
+                patient_name TEXT,
+                study_instance_uid TEXT,
+                series_instance_uid TEXT,
+                modality TEXT,
+                sop_class_uid TEXT,
+                hash TEXT NOT NULL,
+                hash_strategy TEXT NOT NULL,
+                frame_hashes TEXT[],
+                frame_count INTEGER,
+                perceptual_hash TEXT,
+                deleted_at TIMESTAMPTZ,
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )`,
+            `CREATE INDEX dicom_hash_instances_hash_idx ON dicom_hash_instances (hash, hash_strategy)`,
+            `CREATE INDEX dicom_hash_instances_sop_instance_uid_idx ON dicom_hash_instances (sop_instance_uid)`,
+            `CREATE INDEX dicom_hash_instances_study_idx ON dicom_hash_instances (patient_id, study_instance_uid, series_instance_uid)`,
+            `CREATE INDEX dicom_hash_instances_orthanc_id_idx ON dicom_hash_instances (orthanc_id)`,
+            `CREATE INDEX dicom_hash_instances_file_path_idx ON dicom_hash_instances (file_path text_pattern_ops)`,
+            // created on demand by the sync command before the schema was versioned
+            `CREATE TABLE IF NOT EXISTS dicom_hash_sync_state (
+                name TEXT PRIMARY KEY,
+                last_change BIGINT NOT NULL,
+                updated_at TIMESTAMPTZ NOT NULL
+            )`,
+        ]
+    },
+]
+
+// columns of dicom_hash_instances written by the storage adapter, and the record field they hold
+const INSTANCE_COLUMNS = [
+    ['record_key', 'key'],
+    ['orthanc_id', 'orthancId'],
+    ['file_path', 'path'],
+    ['file_name', 'fileName'],
+    ['file_size', 'size'],
+    ['mtime_ms', 'mtimeMs'],
+    ['indexed_with', 'indexedWith'],
+    ['sop_instance_uid', 'sopInstanceUid'],
+    ['patient_id', 'patientId'],
+    ['patient_name', 'patientName'],
+    ['study_instance_uid', 'studyInstanceUid'],
+    ['series_instance_uid', 'seriesInstanceUid'],
+    ['modality', 'modality'],
+    ['sop_class_uid', 'sopClassUid'],
+    ['hash', 'hash'],
+    ['hash_strategy', 'strategy'],
+    ['frame_hashes', 'frameHashes'],
+    ['frame_count', 'frameCount'],
+    ['perceptual_hash', 'perceptualHash'],
+]
+
+
+
+/**
+ * Applies the migrations missing in the database
+ * @param {import('pg').Client} client - connected client
+ * @returns {Promise<number[]>} - versions applied
+ * @throws {Error} if a migration fails, it is rolled back
+ */
+async function migrate(client) {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID])
+    try {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS dicom_hash_schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `)
+        const { rows } = await client.query('SELECT version FROM dicom_hash_schema_migrations')
+        const applied = new Set(rows.map(row => row.version))
+
+        const versions = []
+        for (const migration of MIGRATIONS.filter(m => !applied.has(m.version))) {
+            await client.query('BEGIN')
+            try {
+                for (const statement of migration.statements) await client.query(statement)
+                await client.query('INSERT INTO dicom_hash_schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name])
+                await client.query('COMMIT')
+            } catch (error) {
+                await client.query('ROLLBACK')
+                throw new Error(`PostgreSQL migration ${migration.version} (${migration.name}) failed: ${error.message}`)
+            }
+            versions.push(migration.version)
+        }
+        return versions
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID])
+    }
+}
+
+
+
+
+/**
+ * Builds the upsert of records into dicom_hash_instances. A stored record is replaced,
+ * and no longer marked deleted
+ * @param {object[]} records - storage records (see lib/storage), with distinct keys
+ * @returns {{text: string, values: any[]}} - parameterised query
+ */
+function buildInstanceUpsert(records) {
+    const names = INSTANCE_COLUMNS.map(([name]) => name)
+    const rows = records.map((_, row) => `(${names.map((__, column) => `$${row * names.length + column + 1}`).join(', ')})`)
+    const updates = names.slice(1).map(name => `${name} = EXCLUDED.${name}`)
+
+    return {
+        text: `
+            INSERT INTO dicom_hash_instances (${names.join(', ')})
+            VALUES ${rows.join(', ')}
+            ON CONFLICT (record_key) DO UPDATE SET ${updates.join(', ')}, deleted_at = NULL, updated_at = NOW()
+        `,
+        values: records.flatMap(record => {
+            const row = { ...record, frameCount: record.frameHashes ? record.frameHashes.length : null }
+            return INSTANCE_COLUMNS.map(([, field]) => row[field] === undefined ? null : row[field])
+        })
+    }
+}
+
+
+
+
+/**
+ * @param {object} row - row of dicom_hash_instances
+ * @returns {object} - storage record, without the empty columns
+ */
+function rowToRecord(row) {
+    const record = {}
+    for (const [name, field] of INSTANCE_COLUMNS) {
+        if (row[name] !== null && row[name] !== undefined) record[field] = row[name]
+    }
+    // BIGINT columns are read as strings
+    if (record.size !== undefined) record.size = Number(record.size)
+    if (record.sopInstanceUid) record.instanceId = record.sopInstanceUid
+    return record
+}
+
+
+
+module.exports = { MIGRATIONS, INSTANCE_COLUMNS, migrate, buildInstanceUpsert, rowToRecord }
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Study and series level rollup of the duplicates of the local index.
+ *
+ * The records are grouped in a Patient -> Study -> Series tree. A series node is one copy of a
+ * series: the files of a SeriesInstanceUID in one folder, so the same series copied in two
+ * folders gives two nodes. Every node has its duplicate coverage, the share of its instances whose
+ * content is also in another series copy, and every series copy lists the copies it shares
+ * content with ("complete" when the other copy holds all of its content).
+ */
+const path = require('path')
+
+
+
+/**
+ * @typedef {object} SeriesNode
+ * @property {string|null} seriesInstanceUid
+ * @property {string} folder
+ * @property {number} instances - number of files
+ * @property {number} duplicated - files whose content is also in another series copy
+ * @property {number} internalDuplicates - files whose content is in another file of the same copy
+ * @property {number} coverage - duplicated / instances, between 0 and 1
+ * @property {{seriesInstanceUid: string|null, folder: string, studyInstanceUid: string|null, patientId: string|null, shared: number, complete: boolean}[]} copies
+ *   the other series copies holding some of its content, shared is the number of distinct contents they hold
+ */
+
+
+
+/**
+ * @param {object} record - index record with its path
+ * @returns {string} - content key, the same hash with another strategy is another content
+ */
+function contentKey(record) {
+    return `${record.strategy}:${record.hash}`
+}
+
+
+
+
+/**
+ * Builds the rollup tree
+ * @param {object[]} records - index records (with "path") of the files to show
+ * @param {object[]} [related] - other records holding the same content, e.g. the copies outside
+ *   the filters, they count for the coverage but are not shown
+ * @returns {{patientId: string|null, instances: number, duplicated: number, coverage: number,
+ *   studies: {studyInstanceUid: string|null, instances: number, duplicated: number, coverage: number, series: SeriesNode[]}[]}[]}
+ */
+function buildRollup(records, related = []) {
+    const shown = new Set(records.map(record => record.path))
+    const all = [...records, ...related.filter(record => !shown.has(record.path))]
+
+    // series copies, and the copies holding every content
+    const nodes = new Map()
+    const contentNodes = new Map()
+    for (const record of all) {
+        const folder = path.dirname(record.path)
+        const nodeKey = `${record.seriesInstanceUid}\0${folder}`
+        if (!nodes.has(nodeKey)) {
+            nodes.set(nodeKey, {
+                patientId: record.patientId || null,
+                studyInstanceUid: record.studyInstanceUid || null,
+                seriesInstanceUid: record.seriesInstanceUid || null,
+                folder,
+                records: [],
+                shown: false
+            })
+        }
+        const node = nodes.get(nodeKey)
+        node.records.push(record)
+        node.shown = node.shown || shown.has(record.path)
+
+        const content = contentKey(record)
+        if (!contentNodes.has(content)) contentNodes.set(content, new Set())
+        contentNodes.get(content).add(node)
+    }
+
+    const tree = new Map()
+    for (const node of nodes.values()) {
+        if (!node.shown) continue
+
+        const contents = new Set(node.records.map(contentKey))
+        const duplicated = node.records.filter(record => contentNodes.get(contentKey(record)).size > 1).length
+
+        // other copies and the number of distinct contents shared with each
+        const shared = new Map()
+        for (const content of contents) {
+            for (const other of contentNodes.get(content)) {
+                if (other !== node) shared.set(other, (shared.get(other) || 0) + 1)
+            }
+        }
+
+        const series = {
+            seriesInstanceUid: node.seriesInstanceUid,
+            folder: node.folder,
+            instances: node.records.length,
+            duplicated,
+            internalDuplicates: node.records.length - contents.size,
+            coverage: ratio(duplicated, node.records.length),
+            copies: [...shared.entries()]
+                .map(([other, count]) => ({
+                    seriesInstanceUid: other.seriesInstanceUid,
+                    folder: other.folder,
+                    studyInstanceUid: other.studyInstanceUid,
+                    patientId: other.patientId,
+                    shared: count,
+                    complete: count === contents.size
+                }))
+                .sort((a, b) => b.shared - a.shared || a.folder.localeCompare(b.folder))
+        }
+
+        if (!tree.has(node.patientId)) tree.set(node.patientId, new Map())
+        const studies = tree.get(node.patientId)
+        if (!studies.has(node.studyInstanceUid)) studies.set(node.studyInstanceUid, [])
+        studies.get(node.studyInstanceUid).push(series)
+    }
+
+    return [...tree.entries()].map(([patientId, studies]) => {
+        const studyNodes = [...studies.entries()].map(([studyInstanceUid, series]) => ({
+            studyInstanceUid,
+            ...totals(series),
+            series: series.sort((a, b) => String(a.seriesInstanceUid).localeCompare(String(b.seriesInstanceUid)) || a.folder.localeCompare(b.folder))
+        }))
+        return { patientId, ...totals(studyNodes), studies: studyNodes }
+    })
+}
+
+
+
+
+/**
+ * @param {{instances: number, duplicated: number}[]} children
+ * @returns {{instances: number, duplicated: number, coverage: number}}
+ */
+function totals(children) {
+    const instances = children.reduce((sum, child) => sum + child.instances, 0)
+    const duplicated = children.reduce((sum, child) => sum + child.duplicated, 0)
+    return { instances, duplicated, coverage: ratio(duplicated, instances) }
+}
+
+
+
+
+/**
+ * @param {number} part
+ * @param {number} total
+ * @returns {number} - rounded to 3 decimals, 0 for an empty total
+ */
+function ratio(part, total) {
+    return total ? Math.round(part / total * 1000) / 1000 : 0
+}
+
+
+
+module.exports = { buildRollup }
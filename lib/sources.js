@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Instance sources of the sync command, selected with --source:
+ *   orthanc    the Orthanc REST API ("orthanc" section of config.json), with its changes log
+ *   dicomweb   any DICOMweb server, QIDO-RS and WADO-RS ("dicomweb" section of config.json)
+ * Both sections take the same { url, username?, password? } settings.
+ *
+ * An instance is identified by its Orthanc ID, or by its WADO-RS URL for DICOMweb. The hash
+ * records of Orthanc instances have their orthancId, the ones of DICOMweb instances their URL as path.
+ */
+const { createAxiosInstance, testOrthancConnection, fetchOrthancInstances, fetchDicomFile, fetchChanges, fetchLastChange } = require('./orthanc')
+const { testDicomwebConnection, fetchDicomwebInstances, fetchDicomwebFile } = require('./dicomweb')
+
+
+
+/**
+ * @typedef {object} Source
+ * @property {string} type - one of SOURCE_TYPES
+ * @property {string} url - root URL of the server, recorded in the sync checkpoints
+ * @property {() => Promise<boolean>} test - checks the connection, prints the outcome
+ * @property {() => Promise<string[]>} listInstances - ids of every instance, rejects if the server can't list them
+ * @property {(id: string) => Promise<Buffer>} fetchInstance - the DICOM file of an instance
+ * @property {(id: string) => object} recordFields - fields identifying the instance in its hash record
+ * @property {(() => Promise<number>)|null} fetchLastChange - sequence number of the last change, null without changes log
+ * @property {((since: number, limit: number) => Promise<object>)|null} fetchChanges - a page of the changes log
+ *   (see lib/orthanc.js), null without changes log
+ */
+
+const SOURCE_TYPES = ['orthanc', 'dicomweb']
+
+
+
+/**
+ * Creates the source of the sync command
+ * @param {string} type - one of SOURCE_TYPES
+ * @param {{url: string, username?: string, password?: string}} settings - section of config.json
+ * @param {{concurrency?: number}} [options] - number of concurrent requests to list the DICOMweb instances
+ * @returns {Source}
+ */
+function createSource(type, settings, { concurrency = 1 } = {}) {
+    const axiosInstance = createAxiosInstance(settings)
+
+    if (type === 'dicomweb') {
+        return {
+            type,
+            url: axiosInstance.defaults.baseURL,
+            test: () => testDicomwebConnection(axiosInstance),
+            listInstances: () => fetchDicomwebInstances(axiosInstance, concurrency),
+            fetchInstance: instanceUrl => fetchDicomwebFile(axiosInstance, instanceUrl),
+            recordFields: instanceUrl => ({ path: instanceUrl }),
+            fetchLastChange: null,
+            fetchChanges: null,
+        }
+    }
+
+    return {
+        type,
+        url: axiosInstance.defaults.baseURL,
+        test: () => testOrthancConnection(axiosInstance),
+        listInstances: () => fetchOrthancInstances(axiosInstance),
+        fetchInstance: orthancId => fetchDicomFile(axiosInstance, orthancId),
+        recordFields: orthancId => ({ orthancId }),
+        fetchLastChange: () => fetchLastChange(axiosInstance),
+        fetchChanges: (since, limit) => fetchChanges(axiosInstance, since, limit),
+    }
+}
+
+
+
+module.exports = { SOURCE_TYPES, createSource }
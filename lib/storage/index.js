@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Storage layer of the hash records, with one adapter per backend selected by the
+ * "database" section of config.json:
+ *   { "type": "postgres", "connectionString": "postgres://..." }
+ *   { "type": "mongodb", "connectionString": "mongodb://...", "databaseName"?, "collectionName"? }
+ *   { "type": "lmdb", "path": "dicom_db" }    the local index of the index command
+ *
+ * A record is an Orthanc instance stored by sync (keyed by its orthancId) or a local file stored
+ * by index (keyed by its absolute path): { key, orthancId?, path?, sopInstanceUid, patientId,
+ * patientName, studyInstanceUid, seriesInstanceUid, modality, sopClassUid, hash, strategy,
+ * frameHashes, ... }. Every adapter returns the records with their key.
+ *
+ * PostgreSQL and MongoDB keep the deleted records with a deletion date and leave them out of the
+ * lookups, LMDB removes them.
+ */
+const path = require('path')
+
+const { DEFAULT_INDEX_PATH } = require('../config')
+
+
+
+/**
+ * @typedef {object} Storage
+ * @property {string} type - backend type
+ * @property {(key: string) => Promise<object|null>} get - the record with this key
+ * @property {(record: object) => Promise<void>} put - stores a record, replacing the one with its key
+ * @property {(records: object[]) => Promise<number>} bulkUpsert - stores records, returns their number
+ * @property {(hash: string) => Promise<object[]>} findByHash - the records with this content hash
+ * @property {(hashes: string[]) => Promise<Map<string, object[]>>} findByHashes - the records of
+ *   several hashes in one lookup, by hash (hashes without records are left out)
+ * @property {(uid: string, field?: string) => Promise<object[]>} findByUid - the records with this UID,
+ *   field is one of UID_FIELDS (SOPInstanceUID by default)
+ * @property {(filters?: {pathPrefix?: string}) => AsyncIterable<object>} iterate - every record, or the
+ *   files whose path starts with pathPrefix
+ * @property {() => Promise<object[]>} findSharedHashes - the records whose hash (and strategy) is shared
+ *   with at least one other record, for the conflicts command
+ * @property {() => Promise<import('../frameMatching').FrameReport[]>} findFrameMatches - the frames of every
+ *   multi-frame record linked to the single-frame records with the same frame hash, for the frames command
+ * @property {(keys: string[]) => Promise<number>} delete - deletes records, returns the number deleted
+ * @property {() => Promise<number|null>} readSyncState - last Orthanc change stored by sync, null if none
+ * @property {(lastChange: number) => Promise<void>} writeSyncState
+ * @property {() => Promise<void>} close
+ */
+
+const UID_FIELDS = ['sopInstanceUid', 'seriesInstanceUid', 'studyInstanceUid']
+
+const ADAPTERS = {
+    postgres: () => require('./postgres'),
+    mongodb: () => require('./mongodb'),
+    lmdb: () => require('./lmdb'),
+}
+
+const STORAGE_TYPES = Object.keys(ADAPTERS)
+
+
+
+/**
+ * @param {object} record
+ * @returns {string} - key of the record: the Orthanc ID of an instance, the path of a file
+ */
+function recordKey(record) {
+    return record.key || record.orthancId || record.path
+}
+
+
+
+
+/**
+ * @param {object[]} records
+ * @returns {Map<string, object[]>} - the records by hash
+ */
+function groupByHash(records) {
+    const groups = new Map()
+    for (const record of records) {
+        if (!groups.has(record.hash)) groups.set(record.hash, [])
+        groups.get(record.hash).push(record)
+    }
+    return groups
+}
+
+
+
+
+/**
+ * Checks the "database" section of config.json
+ * @param {object} databaseConfig
+ * @returns {string|null} - what is wrong with it, null if it is valid
+ */
+function checkStorageConfig(databaseConfig) {
+    if (!databaseConfig || !STORAGE_TYPES.includes(databaseConfig.type)) {
+        return `Invalid database configuration in config.json, "type" must be one of ${STORAGE_TYPES.join(', ')}`
+    }
+    if (databaseConfig.type !== 'lmdb' && !databaseConfig.connectionString) {
+        return `Invalid database configuration in config.json, a ${databaseConfig.type} database needs a "connectionString"`
+    }
+    return null
+}
+
+
+
+
+/**
+ * Opens the storage of the "database" section of config.json
+ * @param {object} databaseConfig - see file header
+ * @param {{readOnly?: boolean}} [options] - readOnly only applies to LMDB, the other backends
+ *   are read the same way
+ * @returns {Promise<Storage>}
+ * @throws {Error} if the configuration is invalid or the backend can't be opened
+ */
+async function openStorage(databaseConfig, options = {}) {
+    const problem = checkStorageConfig(databaseConfig)
+    if (problem) throw new Error(problem)
+
+    return ADAPTERS[databaseConfig.type]().open(databaseConfig, options)
+}
+
+
+
+
+/**
+ * @param {object} databaseConfig - "database" section of config.json
+ * @returns {string} - short description of the storage, without credentials
+ */
+function describeStorage(databaseConfig) {
+    if (databaseConfig.type === 'lmdb') return `LMDB index ${path.resolve(databaseConfig.path || DEFAULT_INDEX_PATH)}`
+    return `${databaseConfig.type} database ${databaseConfig.connectionString.replace(/\/\/[^@/]*@/, '//')}`
+}
+
+
+
+module.exports = { STORAGE_TYPES, UID_FIELDS, recordKey, groupByHash, checkStorageConfig, openStorage, describeStorage }
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview LMDB storage adapter over the local index of the index command (see
+ * lib/indexStore.js). Files are keyed by path as before, Orthanc instances by orthancId.
+ */
+const fs = require('fs')
+const path = require('path')
+
+const { UID_FIELDS, recordKey, groupByHash } = require('./index')
+const { DEFAULT_INDEX_PATH } = require('../config')
+const { openIndex, getRecord, putRecord, removeRecord, findRecords, findDuplicateGroups, readState, writeState } = require('../indexStore')
+const { indexSingleFrames, linkFrames } = require('../frameMatching')
+
+
+
+/**
+ * @param {string} key
+ * @param {object} value - stored record, without its key
+ * @returns {object} - storage record, files have their path
+ */
+function toRecord(key, value) {
+    return value.orthancId ? { key, ...value } : { key, path: key, ...value }
+}
+
+
+
+
+/**
+ * @param {object} record - index record with its key in "path" (see findRecords)
+ * @returns {object} - storage record
+ */
+function fromIndexRecord({ path: key, ...value }) {
+    return toRecord(key, value)
+}
+
+
+
+
+/**
+ * @param {{path?: string}} databaseConfig - "database" section of config.json, path defaults to the index of the index command
+ * @param {{readOnly?: boolean}} [options]
+ * @returns {Promise<import('./index').Storage>}
+ * @throws {Error} if a read only index does not exist, only index and sync create one
+ */
+async function open(databaseConfig, { readOnly = false } = {}) {
+    const indexPath = path.resolve(databaseConfig.path || DEFAULT_INDEX_PATH)
+    if (readOnly && !fs.existsSync(indexPath)) {
+        throw new Error(`LMDB index not found at ${indexPath} ("path" of the "database" section of config.json), run "dicom-hash index <folder>" or "dicom-hash sync" first`)
+    }
+    const index = await openIndex(indexPath, { readOnly })
+
+    const storage = {
+        type: 'lmdb',
+
+        async get(key) {
+            const value = getRecord(index, key)
+            return value ? toRecord(key, value) : null
+        },
+
+        async put(record) {
+            const { key, path: _path, ...value } = record
+            await putRecord(index, recordKey(record), value)
+        },
+
+        async bulkUpsert(records) {
+            await Promise.all(records.map(storage.put))
+            return records.length
+        },
+
+        findByHash: async hash => [...findRecords(index, { hash })].map(fromIndexRecord),
+
+        findByHashes: async hashes => groupByHash([...new Set(hashes)].flatMap(hash => [...findRecords(index, { hash })].map(fromIndexRecord))),
+
+        async findByUid(uid, field = 'sopInstanceUid') {
+            if (!UID_FIELDS.includes(field)) throw new Error(`Unknown UID field "${field}"`)
+            return [...findRecords(index, { [field]: uid })].map(fromIndexRecord)
+        },
+
+        async *iterate({ pathPrefix } = {}) {
+            for (const record of findRecords(index, { pathPrefix })) yield fromIndexRecord(record)
+        },
+
+        findSharedHashes: async () => [...findDuplicateGroups(index)].flatMap(group => group.records.map(fromIndexRecord)),
+
+        // no frame hash lookup in the index: the multi-frame records are read first, then the
+        // single-frame records holding one of their frames
+        async findFrameMatches() {
+            const frameCount = record => record.frameHashes ? record.frameHashes.length : 0
+            const multiFrames = []
+            for (const record of findRecords(index)) {
+                if (frameCount(record) > 1) multiFrames.push(fromIndexRecord(record))
+            }
+            const wanted = new Set(multiFrames.flatMap(record => record.frameHashes))
+            const singleFrames = []
+            for (const record of findRecords(index)) {
+                if (frameCount(record) === 1 && wanted.has(record.frameHashes[0])) singleFrames.push(fromIndexRecord(record))
+            }
+
+            const bySingleFrame = indexSingleFrames(singleFrames)
+            return multiFrames.map(record => linkFrames(record, bySingleFrame))
+        },
+
+        async delete(keys) {
+            const existing = keys.filter(key => getRecord(index, key))
+            await Promise.all(existing.map(key => removeRecord(index, key)))
+            return existing.length
+        },
+
+        async readSyncState() {
+            const lastChange = readState(index, 'orthancLastChange')
+            return lastChange === undefined ? null : lastChange
+        },
+
+        writeSyncState: lastChange => writeState(index, 'orthancLastChange', lastChange),
+
+        close: () => index.close()
+    }
+
+    return storage
+}
+
+
+
+module.exports = { open }
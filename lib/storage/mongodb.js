@@ -0,0 +1,195 @@
+/**
+ * @fileoverview MongoDB storage adapter: one document per record in the hash collection, with the
+ * same fields as the PostgreSQL table. Instances are matched by orthancId and files by path.
+ */
+const { MongoClient } = require('mongodb')
+
+const { UID_FIELDS, recordKey, groupByHash } = require('./index')
+const { indexSingleFrames, linkFrames } = require('../frameMatching')
+
+
+
+// records per bulkWrite
+const BATCH_SIZE = 100
+
+// documents are returned without the MongoDB id
+const PROJECTION = { _id: 0 }
+
+
+
+/**
+ * @param {MongoClient} client - connected client
+ * @param {{databaseName?: string, collectionName?: string}} databaseConfig - "database" section of config.json
+ * @returns {object} - the collection holding the hashes
+ */
+function getHashCollection(client, databaseConfig) {
+    return client.db(databaseConfig.databaseName || 'cliniti').collection(databaseConfig.collectionName || 'dicom-hashes')
+}
+
+
+
+
+/**
+ * @param {MongoClient} client - connected client
+ * @param {{databaseName?: string, collectionName?: string}} databaseConfig - "database" section of config.json
+ * @returns {object} - the collection holding the sync state, next to the hash collection
+ */
+function getSyncStateCollection(client, databaseConfig) {
+    return client.db(databaseConfig.databaseName || 'cliniti').collection(`${databaseConfig.collectionName || 'dicom-hashes'}-sync`)
+}
+
+
+
+
+/**
+ * @param {string} key - record key
+ * @returns {object} - filter of the document with this key, instances stored before the keys
+ *   existed only have their orthancId
+ */
+function keyFilter(key) {
+    return { $or: [{ orthancId: key }, { path: key }] }
+}
+
+
+
+
+/**
+ * @param {object} document
+ * @returns {object} - storage record
+ */
+function toRecord(document) {
+    return { key: recordKey(document), ...document }
+}
+
+
+
+
+/**
+ * @param {{connectionString: string, databaseName?: string, collectionName?: string}} databaseConfig - "database" section of config.json
+ * @returns {Promise<import('./index').Storage>}
+ */
+async function open(databaseConfig) {
+    const client = new MongoClient(databaseConfig.connectionString)
+    await client.connect()
+
+    const collection = getHashCollection(client, databaseConfig)
+    try {
+        // single-frame instances are looked up by frame hash in findFrameMatches
+        await collection.createIndex({ frameCount: 1, frameHashes: 1 })
+        // instances are grouped by hash in findSharedHashes
+        await collection.createIndex({ hash: 1, strategy: 1 })
+        await collection.createIndex({ orthancId: 1 })
+        await collection.createIndex({ path: 1 })
+        await collection.createIndex({ sopInstanceUid: 1 })
+    } catch (error) {
+        await client.close()
+        throw error
+    }
+
+    const find = async filter => (await collection.find({ ...filter, deletedAt: null }, { projection: PROJECTION }).toArray()).map(toRecord)
+
+    const storage = {
+        type: 'mongodb',
+
+        async get(key) {
+            const [record] = await find(keyFilter(key))
+            return record || null
+        },
+
+        async put(record) {
+            await storage.bulkUpsert([record])
+        },
+
+        async bulkUpsert(records) {
+            for (let i = 0; i < records.length; i += BATCH_SIZE) {
+                const bulkOps = records.slice(i, i + BATCH_SIZE).map(record => {
+                    const { key, frameHashes, ...fields } = record
+                    Object.keys(fields).forEach(field => fields[field] === undefined && delete fields[field])
+                    return {
+                        updateOne: {
+                            filter: record.orthancId ? { orthancId: record.orthancId } : { path: recordKey(record) },
+                            // Frame hashes of a previous run are removed when the frames were not hashed,
+                            // they could come from another strategy than the new hash.
+                            // deletedAt is cleared when a deleted record is stored again
+                            update: frameHashes
+                                ? { $set: { ...fields, frameHashes, frameCount: frameHashes.length, deletedAt: null } }
+                                : { $set: { ...fields, deletedAt: null }, $unset: { frameHashes: '', frameCount: '' } },
+                            upsert: true,
+                        },
+                    }
+                })
+                await collection.bulkWrite(bulkOps)
+            }
+            return records.length
+        },
+
+        findByHash: hash => find({ hash }),
+
+        findByHashes: async hashes => groupByHash(hashes.length ? await find({ hash: { $in: hashes } }) : []),
+
+        findByUid(uid, field = 'sopInstanceUid') {
+            if (!UID_FIELDS.includes(field)) throw new Error(`Unknown UID field "${field}"`)
+            return find({ [field]: uid })
+        },
+
+        async *iterate({ pathPrefix } = {}) {
+            const filter = pathPrefix ? { path: { $regex: '^' + pathPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') } } : {}
+            for await (const document of collection.find({ ...filter, deletedAt: null }, { projection: PROJECTION })) {
+                yield toRecord(document)
+            }
+        },
+
+        async findSharedHashes() {
+            const shared = collection.aggregate([
+                { $match: { deletedAt: null } },
+                { $group: { _id: { hash: '$hash', strategy: '$strategy' }, count: { $sum: 1 } } },
+                { $match: { count: { $gt: 1 } } }
+            ], { allowDiskUse: true })
+
+            const pairs = []
+            for await (const { _id } of shared) pairs.push(_id)
+
+            const records = []
+            for (let i = 0; i < pairs.length; i += BATCH_SIZE) {
+                records.push(...await find({ $or: pairs.slice(i, i + BATCH_SIZE) }))
+            }
+            return records
+        },
+
+        async findFrameMatches() {
+            const reports = []
+            for await (const document of collection.find({ frameCount: { $gt: 1 }, deletedAt: null }, { projection: PROJECTION })) {
+                const multiFrame = toRecord(document)
+                const singleFrames = await find({ frameCount: 1, strategy: multiFrame.strategy, frameHashes: { $in: multiFrame.frameHashes } })
+                reports.push(linkFrames(multiFrame, indexSingleFrames(singleFrames)))
+            }
+            return reports
+        },
+
+        async delete(keys) {
+            if (!keys.length) return 0
+            const result = await collection.updateMany(
+                { $or: [{ orthancId: { $in: keys } }, { path: { $in: keys } }], deletedAt: null },
+                { $set: { deletedAt: new Date() } })
+            return result.modifiedCount
+        },
+
+        async readSyncState() {
+            const state = await getSyncStateCollection(client, databaseConfig).findOne({ _id: 'orthanc' })
+            return state ? state.lastChange : null
+        },
+
+        async writeSyncState(lastChange) {
+            await getSyncStateCollection(client, databaseConfig)
+                .updateOne({ _id: 'orthanc' }, { $set: { lastChange, updatedAt: new Date() } }, { upsert: true })
+        },
+
+        close: () => client.close()
+    }
+
+    return storage
+}
+
+
+
+module.exports = { open }
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview PostgreSQL storage adapter: the records are rows of dicom_hash_instances, the
+ * schema is migrated when the storage is opened (see lib/postgresSchema.js).
+ */
+const { Client } = require('pg')
+
+const { UID_FIELDS, recordKey, groupByHash } = require('./index')
+const { migrate, buildInstanceUpsert, rowToRecord } = require('../postgresSchema')
+const { indexSingleFrames, linkFrames } = require('../frameMatching')
+
+
+
+// records per INSERT, PostgreSQL takes at most 65535 parameters per query
+const BATCH_SIZE = 1000
+
+const UID_COLUMNS = {
+    sopInstanceUid: 'sop_instance_uid',
+    seriesInstanceUid: 'series_instance_uid',
+    studyInstanceUid: 'study_instance_uid',
+}
+
+
+
+/**
+ * @param {{connectionString: string}} databaseConfig - "database" section of config.json
+ * @returns {Promise<import('./index').Storage>}
+ */
+async function open(databaseConfig) {
+    const client = new Client({ connectionString: databaseConfig.connectionString })
+    await client.connect()
+    try {
+        await migrate(client)
+    } catch (error) {
+        await client.end()
+        throw error
+    }
+
+    const select = async (where, params) => {
+        const { rows } = await client.query(`SELECT * FROM dicom_hash_instances WHERE deleted_at IS NULL AND ${where}`, params)
+        return rows.map(rowToRecord)
+    }
+
+    const storage = {
+        type: 'postgres',
+
+        async get(key) {
+            const [record] = await select('record_key = $1', [key])
+            return record || null
+        },
+
+        async put(record) {
+            await storage.bulkUpsert([record])
+        },
+
+        async bulkUpsert(records) {
+            for (let i = 0; i < records.length; i += BATCH_SIZE) {
+                const batch = records.slice(i, i + BATCH_SIZE).map(record => ({ ...record, key: recordKey(record) }))
+                await client.query(buildInstanceUpsert(batch))
+            }
+            return records.length
+        },
+
+        findByHash: hash => select('hash = $1', [hash]),
+
+        findByHashes: async hashes => groupByHash(hashes.length ? await select('hash = ANY($1)', [hashes]) : []),
+
+        findByUid(uid, field = 'sopInstanceUid') {
+            if (!UID_FIELDS.includes(field)) throw new Error(`Unknown UID field "${field}"`)
+            return select(`${UID_COLUMNS[field]} = $1`, [uid])
+        },
+
+        // pages by key, so large tables are not read at once
+        async *iterate({ pathPrefix } = {}) {
+            let after = ''
+            for (;;) {
+                const params = [after]
+                let where = 'record_key > $1'
+                if (pathPrefix) {
+                    params.push(pathPrefix.replace(/[\\%_]/g, '\\$&') + '%')
+                    where += ' AND file_path LIKE $2'
+                }
+                const records = await select(`${where} ORDER BY record_key LIMIT ${BATCH_SIZE}`, params)
+                yield* records
+                if (records.length < BATCH_SIZE) return
+                after = records[records.length - 1].key
+            }
+        },
+
+        findSharedHashes: () => select(`(hash, hash_strategy) IN (
+            SELECT hash, hash_strategy FROM dicom_hash_instances
+            WHERE deleted_at IS NULL
+            GROUP BY hash, hash_strategy HAVING COUNT(*) > 1
+        )`, []),
+
+        async findFrameMatches() {
+            const reports = []
+            for (const multiFrame of await select('frame_count > 1', [])) {
+                const singleFrames = await select('frame_count = 1 AND hash_strategy = $1 AND frame_hashes && $2', [multiFrame.strategy, multiFrame.frameHashes])
+                reports.push(linkFrames(multiFrame, indexSingleFrames(singleFrames)))
+            }
+            return reports
+        },
+
+        async delete(keys) {
+            if (!keys.length) return 0
+            const result = await client.query(
+                'UPDATE dicom_hash_instances SET deleted_at = NOW() WHERE record_key = ANY($1) AND deleted_at IS NULL',
+                [keys])
+            return result.rowCount
+        },
+
+        async readSyncState() {
+            const { rows } = await client.query(`SELECT last_change FROM dicom_hash_sync_state WHERE name = 'orthanc'`)
+            return rows.length ? Number(rows[0].last_change) : null
+        },
+
+        async writeSyncState(lastChange) {
+            await client.query(`
+                INSERT INTO dicom_hash_sync_state (name, last_change, updated_at) VALUES ('orthanc', $1, NOW())
+                ON CONFLICT (name) DO UPDATE SET last_change = EXCLUDED.last_change, updated_at = EXCLUDED.updated_at
+            `, [lastChange])
+        },
+
+        close: () => client.end()
+    }
+
+    return storage
+}
+
+
+
+module.exports = { open }
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Checkpoints of the full Orthanc sync, read back by sync --resume and --retry-failed.
+ * The --changes runs append their pages to it, and hash again the instances that failed.
+ *
+ * A checkpoint is a JSON lines file, like the resolve manifests: a "header" object describing the
+ * run (source and its URL, hash options, change sequence number at the start), then one "batch" object
+ * per batch stored in the database, with the instances hashed (and their strategy), the ones
+ * that failed and the ones deleted from Orthanc. A batch is appended once it is written to the database,
+ * so a crash loses at most the batches still waiting for the database, and a line cut by the crash is ignored.
+ */
+const fs = require('fs')
+
+
+
+/**
+ * Creates a checkpoint, replacing the one of a previous run
+ * @param {string} filePath
+ * @param {object} header - description of the run
+ * @returns {{write: (batch: {done: object[], failed: object[], deleted?: string[]}) => void}} - see openCheckpoint
+ */
+function createCheckpoint(filePath, header) {
+    fs.writeFileSync(filePath, JSON.stringify({ type: 'header', ...header }) + '\n')
+    return openCheckpoint(filePath)
+}
+
+
+
+
+/**
+ * Opens an existing checkpoint to append batches
+ * @param {string} filePath
+ * @returns {{write: (batch: {done: object[], failed: object[], deleted?: string[]}) => void}} - done holds
+ *   { id, strategy } objects, failed { id, instanceId, error, detail } objects, deleted the ids of the
+ *   deleted instances, id being the id of the instance in the source (see lib/sources.js)
+ */
+function openCheckpoint(filePath) {
+    return {
+        write: ({ done, failed, deleted = [] }) => fs.appendFileSync(filePath, JSON.stringify({ type: 'batch', done, failed, deleted }) + '\n')
+    }
+}
+
+
+
+
+/**
+ * Reads a checkpoint. An instance is done, failed or neither (deleted) according to the last batch it is in
+ * @param {string} filePath
+ * @returns {{header: object, done: Map<string, string>, failed: Map<string, object>}}
+ *   done maps instance ids to the id of the strategy that hashed them, failed to their failure
+ * @throws {Error} if the file can't be read or is not a checkpoint
+ */
+function readCheckpoint(filePath) {
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim())
+
+    const objects = []
+    for (const [i, line] of lines.entries()) {
+        try {
+            objects.push(JSON.parse(line))
+        } catch (error) {
+            // the last line may have been cut by a crash
+            if (i < lines.length - 1) throw new Error(`${filePath}:${i + 1} is not valid JSON`)
+        }
+    }
+
+    if (!objects.length || objects[0].type !== 'header') {
+        throw new Error(`${filePath} is not a sync checkpoint`)
+    }
+
+    const done = new Map()
+    const failed = new Map()
+    objects.filter(o => o.type === 'batch').forEach(batch => {
+        batch.done.forEach(entry => {
+            done.set(entry.id, entry.strategy)
+            failed.delete(entry.id)
+        })
+        batch.failed.forEach(failure => {
+            failed.set(failure.id, failure)
+            done.delete(failure.id)
+        })
+        batch.deleted.forEach(id => {
+            done.delete(id)
+            failed.delete(id)
+        })
+    })
+
+    const { type, ...header } = objects[0]
+    return { header, done, failed }
+}
+
+
+
+module.exports = { createCheckpoint, openCheckpoint, readCheckpoint }
@@ -1,16 +1,8 @@
-const { open } = require('lmdb')
-const path = require('path')
+/**
+ * @fileoverview Displays the entries of the local LMDB database.
+ * Kept for compatibility, same as "dicom-hash query".
+ * Usage: node readDb.js --help
+ */
+const { runStandalone } = require('./lib/cli')
 
-const db = open({
-  path: path.resolve(__dirname, 'dicom_db'),
-  readOnly: true
-})
-const limit = 50 // Limit the number of entries to display
-
-let i = 0
-for (const { key, value } of db.getRange()) {
-    i++
-    console.log('key:', key)
-    console.log('val:', value)
-    if(i>limit) break
-}
\ No newline at end of file
+runStandalone(require('./lib/commands/query'), 'node readDb.js')
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Builds small DICOM Part 10 files in memory for the tests: a CT image of 16 bit
+ * monochrome pixels, stored native little or big endian, or RLE Lossless.
+ */
+
+
+
+const CT_IMAGE_STORAGE = '1.2.840.10008.5.1.4.1.1.2'
+
+const TRANSFER_SYNTAX = {
+    EXPLICIT_LITTLE_ENDIAN: '1.2.840.10008.1.2.1',
+    EXPLICIT_BIG_ENDIAN: '1.2.840.10008.1.2.2',
+    RLE_LOSSLESS: '1.2.840.10008.1.2.5',
+}
+
+// value representations with a 4 byte length
+const LONG_VRS = ['OB', 'OW', 'SQ', 'UN', 'UT']
+
+
+
+/**
+ * Encodes one explicit VR element
+ * @param {number} group
+ * @param {number} element
+ * @param {string} vr
+ * @param {Buffer|string} value - padded to an even length
+ * @param {boolean} [littleEndian]
+ * @returns {Buffer}
+ */
+function encodeElement(group, element, vr, value, littleEndian = true) {
+    let data = Buffer.isBuffer(value) ? value : Buffer.from(value, 'latin1')
+    if (data.length % 2) data = Buffer.concat([data, Buffer.from([vr === 'UI' || LONG_VRS.includes(vr) ? 0 : 0x20])])
+
+    const long = LONG_VRS.includes(vr)
+    const header = Buffer.alloc(long ? 12 : 8)
+    header[littleEndian ? 'writeUInt16LE' : 'writeUInt16BE'](group, 0)
+    header[littleEndian ? 'writeUInt16LE' : 'writeUInt16BE'](element, 2)
+    header.write(vr, 4, 'latin1')
+    if (long) header[littleEndian ? 'writeUInt32LE' : 'writeUInt32BE'](data.length, 8)
+    else header[littleEndian ? 'writeUInt16LE' : 'writeUInt16BE'](data.length, 6)
+    return Buffer.concat([header, data])
+}
+
+
+
+
+/**
+ * @param {number} value
+ * @param {boolean} littleEndian
+ * @returns {Buffer} - US value
+ */
+function uint16(value, littleEndian) {
+    const bytes = Buffer.alloc(2)
+    bytes[littleEndian ? 'writeUInt16LE' : 'writeUInt16BE'](value)
+    return bytes
+}
+
+
+
+
+/**
+ * RLE Lossless frame of 16 bit pixels: one segment per byte, high bytes first, as literal runs
+ * @param {number[]} pixels
+ * @returns {Buffer}
+ */
+function encodeRleFrame(pixels) {
+    const segments = [8, 0].map(shift => {
+        const bytes = Buffer.from(pixels.map(value => (value >> shift) & 0xff))
+        const runs = []
+        for (let i = 0; i < bytes.length; i += 128) {
+            const run = bytes.subarray(i, i + 128)
+            runs.push(Buffer.from([run.length - 1]), run)
+        }
+        const segment = Buffer.concat(runs)
+        return segment.length % 2 ? Buffer.concat([segment, Buffer.from([0x80])]) : segment
+    })
+
+    const header = Buffer.alloc(64)
+    header.writeUInt32LE(segments.length, 0)
+    header.writeUInt32LE(64, 4)
+    header.writeUInt32LE(64 + segments[0].length, 8)
+    return Buffer.concat([header, ...segments])
+}
+
+
+
+
+/**
+ * Encapsulated PixelData with an empty Basic Offset Table and one fragment
+ * @param {Buffer} fragment
+ * @returns {Buffer}
+ */
+function encapsulate(fragment) {
+    const item = data => {
+        const tag = Buffer.alloc(8)
+        tag.writeUInt16LE(0xfffe, 0)
+        tag.writeUInt16LE(0xe000, 2)
+        tag.writeUInt32LE(data.length, 4)
+        return Buffer.concat([tag, data])
+    }
+    const header = Buffer.alloc(12)
+    header.writeUInt16LE(0x7fe0, 0)
+    header.writeUInt16LE(0x0010, 2)
+    header.write('OB', 4, 'latin1')
+    header.writeUInt32LE(0xffffffff, 8)
+    const end = Buffer.alloc(8)
+    end.writeUInt16LE(0xfffe, 0)
+    end.writeUInt16LE(0xe0dd, 2)
+    return Buffer.concat([header, item(Buffer.alloc(0)), item(fragment), end])
+}
+
+
+
+
+/**
+ * Builds a CT image
+ * @param {object} [options]
+ * @param {number[]} [options.pixels] - 16 pixels of 12 bits, 4 rows of 4 columns
+ * @param {string} [options.transferSyntax] - one of TRANSFER_SYNTAX
+ * @param {string} [options.sopInstanceUid]
+ * @param {string} [options.patientId]
+ * @returns {Buffer} - the Part 10 file
+ */
+function buildImage({ pixels = [...Array(16).keys()].map(i => i * 200), transferSyntax = TRANSFER_SYNTAX.EXPLICIT_LITTLE_ENDIAN, sopInstanceUid = '1.2.3.4.5.1', patientId = 'P1' } = {}) {
+    const littleEndian = transferSyntax !== TRANSFER_SYNTAX.EXPLICIT_BIG_ENDIAN
+    const el = (group, element, vr, value) => encodeElement(group, element, vr, value, littleEndian)
+
+    // the file meta information is always explicit VR little endian
+    const meta = Buffer.concat([
+        encodeElement(0x0002, 0x0001, 'OB', Buffer.from([0, 1])),
+        encodeElement(0x0002, 0x0002, 'UI', CT_IMAGE_STORAGE),
+        encodeElement(0x0002, 0x0003, 'UI', sopInstanceUid),
+        encodeElement(0x0002, 0x0010, 'UI', transferSyntax),
+    ])
+    const metaLength = Buffer.alloc(4)
+    metaLength.writeUInt32LE(meta.length)
+
+    let pixelData
+    if (transferSyntax === TRANSFER_SYNTAX.RLE_LOSSLESS) {
+        pixelData = encapsulate(encodeRleFrame(pixels))
+    } else {
+        pixelData = el(0x7fe0, 0x0010, 'OW', Buffer.concat(pixels.map(value => uint16(value, littleEndian))))
+    }
+
+    return Buffer.concat([
+        Buffer.alloc(128),
+        Buffer.from('DICM'),
+        encodeElement(0x0002, 0x0000, 'UL', metaLength),
+        meta,
+        el(0x0008, 0x0016, 'UI', CT_IMAGE_STORAGE),
+        el(0x0008, 0x0018, 'UI', sopInstanceUid),
+        el(0x0008, 0x0060, 'CS', 'CT'),
+        el(0x0010, 0x0020, 'LO', patientId),
+        el(0x0020, 0x000d, 'UI', '1.2.3.4'),
+        el(0x0020, 0x000e, 'UI', '1.2.3.4.5'),
+        el(0x0028, 0x0002, 'US', uint16(1, littleEndian)),
+        el(0x0028, 0x0004, 'CS', 'MONOCHROME2'),
+        el(0x0028, 0x0010, 'US', uint16(4, littleEndian)),
+        el(0x0028, 0x0011, 'US', uint16(4, littleEndian)),
+        el(0x0028, 0x0100, 'US', uint16(16, littleEndian)),
+        el(0x0028, 0x0101, 'US', uint16(12, littleEndian)),
+        el(0x0028, 0x0102, 'US', uint16(11, littleEndian)),
+        el(0x0028, 0x0103, 'US', uint16(0, littleEndian)),
+        pixelData,
+    ])
+}
+
+
+
+module.exports = { TRANSFER_SYNTAX, buildImage }
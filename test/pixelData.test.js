@@ -0,0 +1,40 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const dicomParser = require('dicom-parser')
+
+const { hashDataSet } = require('../lib/hashStrategies')
+const { TRANSFER_SYNTAX, buildImage } = require('./part10')
+
+
+
+const hashImage = (transferSyntax, mode, pixels) => hashDataSet(dicomParser.parseDicom(buildImage({ transferSyntax, pixels })), { mode })
+
+test('decoded hashes are equal across transfer syntaxes', () => {
+    const hashes = Object.values(TRANSFER_SYNTAX).map(transferSyntax => hashImage(transferSyntax, 'decoded'))
+
+    hashes.forEach(result => assert.strictEqual(result.strategy, 'pixel-decoded@1'))
+    assert.strictEqual(new Set(hashes.map(result => result.hash)).size, 1)
+})
+
+test('raw hashes depend on the transfer syntax', () => {
+    const hashes = Object.values(TRANSFER_SYNTAX).map(transferSyntax => hashImage(transferSyntax, 'raw'))
+
+    hashes.forEach(result => assert.strictEqual(result.strategy, 'pixel-data@1'))
+    assert.strictEqual(new Set(hashes.map(result => result.hash)).size, hashes.length)
+})
+
+test('decoded hashes ignore the bits above BitsStored', () => {
+    const pixels = [...Array(16).keys()].map(i => i * 200)
+    const padded = pixels.map(value => value | 0xf000)
+
+    assert.strictEqual(hashImage(TRANSFER_SYNTAX.EXPLICIT_LITTLE_ENDIAN, 'decoded', padded).hash,
+        hashImage(TRANSFER_SYNTAX.RLE_LOSSLESS, 'decoded', pixels).hash)
+})
+
+test('other pixels give another decoded hash', () => {
+    const pixels = [...Array(16).keys()].map(i => i * 200)
+    const changed = [...pixels.slice(0, 15), 7]
+
+    assert.notStrictEqual(hashImage(TRANSFER_SYNTAX.EXPLICIT_LITTLE_ENDIAN, 'decoded', pixels).hash,
+        hashImage(TRANSFER_SYNTAX.EXPLICIT_LITTLE_ENDIAN, 'decoded', changed).hash)
+})
@@ -0,0 +1,90 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const { EXIT } = require('../lib/cli')
+const { buildImage } = require('./part10')
+
+
+
+const BIN = path.join(__dirname, '..', 'bin', 'dicom-hash.js')
+
+/**
+ * Runs dicom-hash in a folder
+ * @param {string} cwd
+ * @param {string[]} args
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+function dicomHash(cwd, args) {
+    return spawnSync(process.execPath, [BIN, ...args], { cwd, encoding: 'utf8' })
+}
+
+/**
+ * Writes a duplicate group: the kept copy, a byte-identical copy and a copy of the same image with
+ * another SOPInstanceUID, so the same content hash but other bytes
+ * @param {import('node:test').TestContext} t - removes the folder after the test
+ * @returns {{dir: string, files: object, bytes: object}}
+ */
+function writeGroup(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'resolve-'))
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+    fs.mkdirSync(path.join(dir, 'data'))
+    const files = {
+        kept: path.join(dir, 'data', 'kept.dcm'),
+        copy: path.join(dir, 'data', 'copy.dcm'),
+        other: path.join(dir, 'data', 'other.dcm'),
+    }
+    const bytes = {
+        kept: buildImage(),
+        copy: buildImage(),
+        other: buildImage({ sopInstanceUid: '1.2.3.4.5.2' }),
+    }
+    Object.keys(files).forEach(name => fs.writeFileSync(files[name], bytes[name]))
+    fs.writeFileSync(path.join(dir, 'report.json'), JSON.stringify([[files.kept, files.copy, files.other]]))
+    return { dir, files, bytes }
+}
+
+
+
+test('resolve plans, applies and restore undoes the actions', t => {
+    const { dir, files, bytes } = writeGroup(t)
+
+    const plan = dicomHash(dir, ['resolve', 'report.json', '--action', 'delete', '--quarantine', 'quarantine', '--dry-run', '-m', 'plan.jsonl'])
+    assert.strictEqual(plan.status, EXIT.OK, plan.stderr)
+    Object.keys(files).forEach(name => assert.ok(fs.existsSync(files[name]), `${name} is left alone by the dry run`))
+
+    const apply = dicomHash(dir, ['resolve', '--apply', 'plan.jsonl', '-m', 'manifest.jsonl'])
+    assert.strictEqual(apply.status, EXIT.OK, apply.stderr)
+    assert.deepStrictEqual(fs.readFileSync(files.kept), bytes.kept)
+    assert.ok(!fs.existsSync(files.copy), 'the byte-identical copy is deleted')
+    assert.ok(!fs.existsSync(files.other), 'the copy with other bytes is quarantined')
+    assert.deepStrictEqual(fs.readFileSync(path.join(dir, 'quarantine', files.other)), bytes.other)
+
+    const restore = dicomHash(dir, ['restore', 'manifest.jsonl', '-m', 'restore.jsonl'])
+    assert.strictEqual(restore.status, EXIT.OK, restore.stderr)
+    Object.keys(files).forEach(name => assert.deepStrictEqual(fs.readFileSync(files[name]), bytes[name], `${name} is restored`))
+})
+
+test('resolve only deletes copies that are byte-identical to the kept copy', t => {
+    const { dir, files, bytes } = writeGroup(t)
+
+    assert.strictEqual(dicomHash(dir, ['resolve', 'report.json', '--action', 'delete', '--dry-run', '-m', 'plan.jsonl']).status, EXIT.OK)
+    assert.strictEqual(dicomHash(dir, ['resolve', '--apply', 'plan.jsonl', '-m', 'manifest.jsonl']).status, EXIT.OK)
+
+    assert.ok(!fs.existsSync(files.copy))
+    assert.deepStrictEqual(fs.readFileSync(files.other), bytes.other)
+})
+
+test('resolve leaves a copy modified after the dry run alone', t => {
+    const { dir, files } = writeGroup(t)
+
+    assert.strictEqual(dicomHash(dir, ['resolve', 'report.json', '--action', 'delete', '--dry-run', '-m', 'plan.jsonl']).status, EXIT.OK)
+    const modified = buildImage({ pixels: [...Array(16).keys()] })
+    fs.writeFileSync(files.copy, modified)
+    dicomHash(dir, ['resolve', '--apply', 'plan.jsonl', '-m', 'manifest.jsonl'])
+
+    assert.deepStrictEqual(fs.readFileSync(files.copy), modified)
+})
@@ -0,0 +1,42 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { createCheckpoint, openCheckpoint, readCheckpoint } = require('../lib/syncCheckpoint')
+
+
+
+const tempFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-')), 'checkpoint.jsonl')
+
+const failure = id => ({ id, instanceId: id, error: 'Error fetching DICOM file', detail: null })
+
+test('an instance is in the state of the last batch it is in', () => {
+    const filePath = tempFile()
+    const checkpoint = createCheckpoint(filePath, { source: 'orthanc', sourceUrl: 'http://orthanc:8042', lastChange: 12 })
+    checkpoint.write({ done: [{ id: 'a', strategy: 'pixel-data@1' }, { id: 'b', strategy: 'pixel-data@1' }], failed: [failure('c'), failure('d')] })
+    checkpoint.write({ done: [{ id: 'c', strategy: 'pixel-decoded@1' }], failed: [failure('b')], deleted: ['d'] })
+    openCheckpoint(filePath).write({ done: [], failed: [], deleted: ['a'] })
+
+    const { header, done, failed } = readCheckpoint(filePath)
+    assert.deepStrictEqual(header, { source: 'orthanc', sourceUrl: 'http://orthanc:8042', lastChange: 12 })
+    assert.deepStrictEqual([...done], [['c', 'pixel-decoded@1']])
+    assert.deepStrictEqual([...failed.keys()], ['b'])
+})
+
+test('a batch cut by a crash is ignored', () => {
+    const filePath = tempFile()
+    createCheckpoint(filePath, { source: 'orthanc', sourceUrl: 'http://orthanc:8042', lastChange: null })
+        .write({ done: [{ id: 'a', strategy: 'pixel-data@1' }], failed: [] })
+    fs.appendFileSync(filePath, '{"type":"batch","done":[{"id":"b"')
+
+    assert.deepStrictEqual([...readCheckpoint(filePath).done.keys()], ['a'])
+})
+
+test('a file that is not a checkpoint is refused', () => {
+    const filePath = tempFile()
+    fs.writeFileSync(filePath, '{"type":"batch","done":[],"failed":[],"deleted":[]}\n')
+
+    assert.throws(() => readCheckpoint(filePath), /is not a sync checkpoint/)
+})